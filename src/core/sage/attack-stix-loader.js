@@ -0,0 +1,316 @@
+// src/core/sage/attack-stix-loader.js
+
+// External reference and kill chain names used by the enterprise, mobile
+// and ICS bundles; references carry the ATT&CK IDs (T1059, TA0002, M1038)
+const ATTACK_SOURCE = /^mitre-(mobile-|ics-)?attack$/;
+
+/**
+ * Creates the empty index that bundles are merged into.
+ */
+function createIndex() {
+    return {
+        versions: {},
+        tactics: {},
+        techniques: {},
+        mitigations: {},
+        dataSources: {},
+        tacticTechniques: {},
+        tacticalPatterns: {},
+        revoked: {},
+        deprecated: []
+    };
+}
+
+/**
+ * AttackStixLoader builds lookup indexes from MITRE ATT&CK STIX 2.1
+ * bundles (enterprise, mobile or ICS): tactics with their techniques,
+ * techniques with their sub-techniques, mitigations and the data
+ * components that detect them. Objects are keyed by ATT&CK ID, so any
+ * release of the bundles can be swapped in without code changes.
+ *
+ * Revoked objects are left out and recorded with their replacement in
+ * `revoked`; deprecated objects are left out and listed in `deprecated`
+ * unless `includeDeprecated` is set. The ATT&CK version of each bundle is
+ * recorded in `versions`, keyed by domain.
+ */
+class AttackStixLoader {
+    constructor({ includeDeprecated = false } = {}) {
+        this.includeDeprecated = includeDeprecated;
+    }
+
+    /**
+     * Builds one index from one or more bundles.
+     */
+    load(bundles) {
+        const index = createIndex();
+        (Array.isArray(bundles) ? bundles : [bundles]).forEach(bundle => this.loadBundle(bundle, index));
+        this.buildTacticalPatterns(index);
+        return index;
+    }
+
+    /**
+     * Merges a bundle into the index.
+     */
+    loadBundle(bundle, index) {
+        if (!bundle || bundle.type !== 'bundle' || !Array.isArray(bundle.objects)) {
+            throw new Error('Not a STIX bundle: expected an object of type "bundle" with an objects array');
+        }
+
+        const objects = new Map(bundle.objects.map(object => [object.id, object]));
+        const domain = this.getDomain(bundle.objects);
+        const relationships = bundle.objects.filter(object => object.type === 'relationship' && !this.isRetired(object));
+
+        index.versions[domain] = this.getVersion(bundle.objects);
+
+        // Record retired objects before indexing, so references to them are skipped
+        bundle.objects
+            .filter(object => this.getAttackId(object) && this.isRetired(object))
+            .forEach(object => {
+                const attackId = this.getAttackId(object);
+                if (object.revoked) {
+                    const replacement = relationships.find(relationship =>
+                        relationship.relationship_type === 'revoked-by' && relationship.source_ref === object.id);
+                    index.revoked[attackId] = replacement ? this.getAttackId(objects.get(replacement.target_ref)) : null;
+                } else if (!index.deprecated.includes(attackId)) {
+                    index.deprecated.push(attackId);
+                }
+            });
+
+        const usable = object => object && !this.isRetired(object);
+
+        this.getTacticOrder(bundle.objects, objects).forEach((tactic, order) => {
+            const shortname = tactic.x_mitre_shortname;
+            const existing = index.tactics[shortname];
+
+            index.tactics[shortname] = existing
+                ? { ...existing, domains: Array.from(new Set([...existing.domains, domain])) }
+                : {
+                    id: this.getAttackId(tactic),
+                    name: tactic.name,
+                    shortname,
+                    description: tactic.description || '',
+                    url: this.getUrl(tactic),
+                    order,
+                    domains: [domain]
+                };
+            index.tacticTechniques[shortname] = index.tacticTechniques[shortname] || [];
+        });
+
+        bundle.objects
+            .filter(object => object.type === 'attack-pattern' && usable(object) && this.getAttackId(object))
+            .forEach(object => {
+                const id = this.getAttackId(object);
+                const tactics = (object.kill_chain_phases || [])
+                    .filter(phase => ATTACK_SOURCE.test(phase.kill_chain_name))
+                    .map(phase => phase.phase_name);
+
+                index.techniques[id] = {
+                    id,
+                    name: object.name,
+                    description: object.description || '',
+                    url: this.getUrl(object),
+                    tactics,
+                    platforms: object.x_mitre_platforms || [],
+                    domains: object.x_mitre_domains || [domain],
+                    isSubtechnique: Boolean(object.x_mitre_is_subtechnique),
+                    parent: null,
+                    subtechniques: [],
+                    mitigations: [],
+                    dataComponents: [],
+                    deprecated: Boolean(object.x_mitre_deprecated)
+                };
+
+                tactics.forEach(tactic => {
+                    index.tacticTechniques[tactic] = index.tacticTechniques[tactic] || [];
+                    if (!index.tacticTechniques[tactic].includes(id)) {
+                        index.tacticTechniques[tactic].push(id);
+                    }
+                });
+            });
+
+        bundle.objects
+            .filter(object => object.type === 'course-of-action' && usable(object) && this.getAttackId(object))
+            .forEach(object => {
+                const id = this.getAttackId(object);
+                index.mitigations[id] = {
+                    id,
+                    name: object.name,
+                    description: object.description || '',
+                    url: this.getUrl(object),
+                    techniques: []
+                };
+            });
+
+        bundle.objects
+            .filter(object => object.type === 'x-mitre-data-source' && usable(object) && this.getAttackId(object))
+            .forEach(object => {
+                const id = this.getAttackId(object);
+                index.dataSources[id] = {
+                    id,
+                    name: object.name,
+                    description: object.description || '',
+                    url: this.getUrl(object),
+                    platforms: object.x_mitre_platforms || [],
+                    components: {}
+                };
+            });
+
+        // Data components carry no ATT&CK ID; they are keyed by name within their source
+        const components = new Map();
+        bundle.objects
+            .filter(object => object.type === 'x-mitre-data-component' && usable(object))
+            .forEach(object => {
+                const source = objects.get(object.x_mitre_data_source_ref);
+                const dataSource = usable(source) && index.dataSources[this.getAttackId(source)];
+                if (!dataSource) {
+                    return;
+                }
+
+                dataSource.components[object.name] = { name: object.name, techniques: [] };
+                components.set(object.id, { dataSource, component: dataSource.components[object.name] });
+            });
+
+        relationships.forEach(relationship => {
+            const source = objects.get(relationship.source_ref);
+            const target = objects.get(relationship.target_ref);
+            if (!usable(source) || !usable(target)) {
+                return;
+            }
+
+            const technique = index.techniques[this.getAttackId(target)];
+
+            switch (relationship.relationship_type) {
+                case 'subtechnique-of': {
+                    const child = index.techniques[this.getAttackId(source)];
+                    if (child && technique) {
+                        child.parent = technique.id;
+                        if (!technique.subtechniques.includes(child.id)) {
+                            technique.subtechniques.push(child.id);
+                        }
+                    }
+                    break;
+                }
+
+                case 'mitigates': {
+                    const mitigation = index.mitigations[this.getAttackId(source)];
+                    if (mitigation && technique) {
+                        this.addUnique(mitigation.techniques, technique.id);
+                        this.addUnique(technique.mitigations, mitigation.id);
+                    }
+                    break;
+                }
+
+                case 'detects': {
+                    const detection = components.get(source.id);
+                    if (detection && technique) {
+                        this.addUnique(detection.component.techniques, technique.id);
+                        if (!technique.dataComponents.some(entry =>
+                            entry.dataSource === detection.dataSource.id && entry.name === detection.component.name)) {
+                            technique.dataComponents.push({
+                                dataSource: detection.dataSource.id,
+                                dataSourceName: detection.dataSource.name,
+                                name: detection.component.name
+                            });
+                        }
+                    }
+                    break;
+                }
+
+                default:
+                    break;
+            }
+        });
+
+        return index;
+    }
+
+    /**
+     * Keywords per tactic for spotting tactics in incident text, taken from
+     * the tactic's own name and the names of its techniques.
+     */
+    buildTacticalPatterns(index) {
+        Object.keys(index.tacticTechniques).forEach(tactic => {
+            const techniques = index.tacticTechniques[tactic];
+            const names = [
+                index.tactics[tactic] ? index.tactics[tactic].name : tactic,
+                ...techniques.map(id => index.techniques[id].name)
+            ];
+
+            index.tacticalPatterns[tactic] = {
+                techniques: [...techniques],
+                keywords: Array.from(new Set(names.map(name => name.toLowerCase())))
+            };
+        });
+    }
+
+    /**
+     * Tactics in matrix order; tactics not placed in a matrix follow.
+     */
+    getTacticOrder(bundleObjects, objects) {
+        const tactics = bundleObjects.filter(object => object.type === 'x-mitre-tactic' && !this.isRetired(object));
+        const ordered = [];
+
+        bundleObjects
+            .filter(object => object.type === 'x-mitre-matrix' && !this.isRetired(object))
+            .forEach(matrix => {
+                (matrix.tactic_refs || []).forEach(ref => {
+                    const tactic = objects.get(ref);
+                    if (tactic && !ordered.includes(tactic) && !this.isRetired(tactic)) {
+                        ordered.push(tactic);
+                    }
+                });
+            });
+
+        return [...ordered, ...tactics.filter(tactic => !ordered.includes(tactic))];
+    }
+
+    /**
+     * The ATT&CK release a bundle contains, from its collection object.
+     * Bundles without one report the newest object modification date;
+     * bundles that are not a release report no version.
+     */
+    getVersion(bundleObjects) {
+        const collection = bundleObjects.find(object => object.type === 'x-mitre-collection');
+        const modified = bundleObjects
+            .map(object => object.modified)
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
+
+        return {
+            version: (collection && collection.x_mitre_version) || null,
+            name: collection ? collection.name : null,
+            modified: collection ? collection.modified : modified,
+            specVersion: (collection && collection.x_mitre_attack_spec_version) || null
+        };
+    }
+
+    getDomain(bundleObjects) {
+        const withDomain = bundleObjects.find(object =>
+            Array.isArray(object.x_mitre_domains) && object.x_mitre_domains.length > 0);
+        return withDomain ? withDomain.x_mitre_domains[0] : 'unknown';
+    }
+
+    getAttackId(object) {
+        const reference = object && (object.external_references || [])
+            .find(entry => ATTACK_SOURCE.test(entry.source_name) && entry.external_id);
+        return reference ? reference.external_id : null;
+    }
+
+    getUrl(object) {
+        const reference = (object.external_references || []).find(entry => ATTACK_SOURCE.test(entry.source_name));
+        return (reference && reference.url) || null;
+    }
+
+    isRetired(object) {
+        return Boolean(object.revoked) || (!this.includeDeprecated && Boolean(object.x_mitre_deprecated));
+    }
+
+    addUnique(list, value) {
+        if (!list.includes(value)) {
+            list.push(value);
+        }
+    }
+}
+
+export default AttackStixLoader;
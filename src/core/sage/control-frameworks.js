@@ -0,0 +1,167 @@
+// src/core/sage/control-frameworks.js
+
+// Control types whose mapping to an observed technique means the control
+// did not stop it; every other type is applied while handling the incident
+const PREVENTIVE_TYPES = ['preventive'];
+
+// Orders controls within an assessment
+const STATUS_ORDER = ['failed', 'applied'];
+
+/**
+ * Loads the bundled control frameworks: NIST CSF, ISO/IEC 27001 Annex A
+ * and the CSA Cloud Controls Matrix.
+ */
+function loadDefaultFrameworks() {
+    return [
+        require('../../data/frameworks/controls/nist-csf.json'),
+        require('../../data/frameworks/controls/iso-27001.json'),
+        require('../../data/frameworks/controls/csa-ccm.json')
+    ];
+}
+
+/**
+ * ControlFrameworks maps what ATT&CK analysis found in an incident to the
+ * controls of data-driven control frameworks. Each control lists the
+ * ATT&CK mitigations, techniques and tactics it addresses, and its type:
+ *
+ * - preventive controls matching an observed technique `failed`: the
+ *   technique happened, so the control was missing or did not stop it;
+ * - detective, responsive and recovery controls matching the incident are
+ *   `applied`: they are the controls to exercise while handling it.
+ *
+ * Controls marked `always` apply to every incident.
+ */
+class ControlFrameworks {
+    constructor({ frameworks = loadDefaultFrameworks() } = {}) {
+        this.frameworks = {};
+        frameworks.forEach(framework => this.addFramework(framework));
+    }
+
+    addFramework(framework) {
+        if (!framework || !framework.id || !Array.isArray(framework.controls)) {
+            throw new Error('Control framework needs an id and a controls array');
+        }
+
+        this.frameworks[framework.id] = framework;
+        return this;
+    }
+
+    getFramework(frameworkId) {
+        const framework = this.frameworks[frameworkId];
+        if (!framework) {
+            throw new Error(`Unknown control framework: ${frameworkId}`);
+        }
+        return framework;
+    }
+
+    /**
+     * Assesses a framework's controls against ATT&CK findings: `techniques`
+     * (IDs or `{id, tactics}`), `mitigations` (`{id, name, techniques}`,
+     * as returned by FrameworkGuide.findMitreMitigations) and `tactics`.
+     */
+    assess(frameworkId, { techniques = [], mitigations = [], tactics = [] } = {}) {
+        const framework = this.getFramework(frameworkId);
+        const groups = new Map((framework.groups || []).map(group => [group.id, group]));
+
+        const techniqueIds = techniques.map(technique => (typeof technique === 'string' ? technique : technique.id));
+        const observedTactics = new Set([
+            ...tactics,
+            ...techniques.flatMap(technique => (typeof technique === 'string' ? [] : technique.tactics || []))
+        ]);
+
+        const controls = framework.controls
+            .map(control => this.assessControl(control, { techniqueIds, mitigations, observedTactics }))
+            .filter(Boolean)
+            .map(control => ({
+                ...control,
+                groupName: groups.has(control.group) ? groups.get(control.group).name : control.group
+            }))
+            .sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+                || b.techniques.length - a.techniques.length
+                || a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+        return {
+            framework: {
+                id: framework.id,
+                name: framework.name,
+                version: framework.version,
+                url: framework.url
+            },
+            controls,
+            failed: controls.filter(control => control.status === 'failed').map(control => control.id),
+            applied: controls.filter(control => control.status === 'applied').map(control => control.id),
+            summary: this.summarize(controls, groups)
+        };
+    }
+
+    /**
+     * Matches one control, or returns null when it does not apply.
+     */
+    assessControl(control, { techniqueIds, mitigations, observedTactics }) {
+        const attack = control.attack || {};
+        const matched = new Set();
+        const reasons = [];
+
+        mitigations
+            .filter(mitigation => (attack.mitigations || []).includes(mitigation.id))
+            .forEach(mitigation => {
+                mitigation.techniques.forEach(id => matched.add(id));
+                reasons.push(`${mitigation.id} ${mitigation.name} addresses ${mitigation.techniques.join(', ')}`);
+            });
+
+        techniqueIds
+            .filter(id => (attack.techniques || []).some(listed => id === listed || id.startsWith(`${listed}.`)))
+            .forEach(id => {
+                matched.add(id);
+                reasons.push(`Covers ${id}`);
+            });
+
+        const tactics = (attack.tactics || []).filter(tactic => observedTactics.has(tactic));
+        if (tactics.length > 0) {
+            reasons.push(`Covers ${tactics.join(', ')} activity`);
+        }
+
+        if (control.always) {
+            reasons.push('Applies to every incident');
+        } else if (reasons.length === 0) {
+            return null;
+        }
+
+        // A preventive control only failed if a technique it covers was observed
+        const status = PREVENTIVE_TYPES.includes(control.type) && matched.size > 0 ? 'failed' : 'applied';
+
+        return {
+            id: control.id,
+            title: control.title,
+            group: control.group,
+            type: control.type,
+            status,
+            techniques: Array.from(matched).sort(),
+            tactics,
+            reasons
+        };
+    }
+
+    /**
+     * Failed and applied control counts per group, in framework order.
+     */
+    summarize(controls, groups) {
+        const byGroup = {};
+        groups.forEach((group, id) => {
+            byGroup[id] = { name: group.name, failed: 0, applied: 0 };
+        });
+
+        controls.forEach(control => {
+            byGroup[control.group] = byGroup[control.group] || { name: control.groupName, failed: 0, applied: 0 };
+            byGroup[control.group][control.status]++;
+        });
+
+        return {
+            failed: controls.filter(control => control.status === 'failed').length,
+            applied: controls.filter(control => control.status === 'applied').length,
+            byGroup
+        };
+    }
+}
+
+export default ControlFrameworks;
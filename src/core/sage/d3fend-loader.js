@@ -0,0 +1,152 @@
+// src/core/sage/d3fend-loader.js
+
+// Base of the D3FEND knowledge base pages, keyed by class name
+const D3FEND_URL = 'https://d3fend.mitre.org/technique';
+
+// Class every D3FEND tactic (Harden, Detect, Isolate, ...) is a subclass of
+const DEFENSIVE_TACTIC = 'd3f:DefensiveTactic';
+
+// Properties describing a class rather than relating it to a digital artifact
+const NON_ARTIFACT_PROPERTIES = ['d3f:enables', 'd3f:d3fend-id', 'd3f:attack-id', 'd3f:definition', 'd3f:display-order'];
+
+/**
+ * Normalizes a JSON-LD property value to a list of referenced IDs.
+ */
+function toRefs(value) {
+    return (Array.isArray(value) ? value : [value])
+        .filter(entry => entry && typeof entry === 'object' && entry['@id'])
+        .map(entry => entry['@id']);
+}
+
+/**
+ * D3fendLoader builds lookup indexes from a D3FEND ontology export in
+ * JSON-LD (the `@graph` form of d3fend.json): defensive techniques with
+ * their tactic and the digital artifacts they act on, the artifact class
+ * hierarchy, and ATT&CK techniques with the artifacts they act on.
+ *
+ * Defensive and offensive techniques are only related through artifacts,
+ * as in D3FEND itself; `defenses` lists the defensive techniques acting on
+ * each artifact, and FrameworkGuide.findD3fendCountermeasures does the
+ * matching. Relations are kept by name (`analyzes`, `blocks`, `creates`),
+ * so any release of the export can be swapped in without code changes.
+ */
+class D3fendLoader {
+    /**
+     * Builds one index from one or more exports.
+     */
+    load(exports) {
+        const nodes = new Map();
+        let version = null;
+
+        (Array.isArray(exports) ? exports : [exports]).forEach(document => {
+            if (!document || !Array.isArray(document['@graph'])) {
+                throw new Error('Not a D3FEND export: expected a JSON-LD document with an @graph array');
+            }
+
+            document['@graph'].forEach(node => {
+                if (node['@type'] === 'owl:Ontology') {
+                    version = node['owl:versionInfo'] || version;
+                } else if (node['@id']) {
+                    nodes.set(node['@id'], { ...(nodes.get(node['@id']) || {}), ...node });
+                }
+            });
+        });
+
+        const index = {
+            version,
+            tactics: {},
+            artifacts: {},
+            techniques: {},
+            offensive: {},
+            defenses: {}
+        };
+
+        nodes.forEach(node => {
+            const parents = toRefs(node['rdfs:subClassOf']);
+
+            if (parents.includes(DEFENSIVE_TACTIC)) {
+                index.tactics[node['rdfs:label']] = {
+                    id: node['@id'],
+                    name: node['rdfs:label'],
+                    order: node['d3f:display-order'] !== undefined ? node['d3f:display-order'] : null
+                };
+            } else if (node['d3f:d3fend-id']) {
+                const [tactic] = toRefs(node['d3f:enables']);
+                index.techniques[node['d3f:d3fend-id']] = {
+                    id: node['d3f:d3fend-id'],
+                    name: node['rdfs:label'],
+                    definition: node['d3f:definition'] || '',
+                    tactic: tactic && nodes.has(tactic) ? nodes.get(tactic)['rdfs:label'] : null,
+                    url: `${D3FEND_URL}/${node['@id']}/`,
+                    artifacts: this.getArtifactRelations(node)
+                };
+            } else if (node['d3f:attack-id']) {
+                const parent = parents.map(ref => nodes.get(ref)).find(entry => entry && entry['d3f:attack-id']);
+                const attackId = node['d3f:attack-id'];
+                index.offensive[attackId] = {
+                    id: attackId,
+                    name: node['rdfs:label'],
+                    // Sub-techniques without their parent in the export still name it by ATT&CK ID
+                    parent: parent ? parent['d3f:attack-id'] : (attackId.includes('.') ? attackId.split('.')[0] : null),
+                    artifacts: this.getArtifactRelations(node)
+                };
+            } else {
+                index.artifacts[node['@id']] = {
+                    id: node['@id'],
+                    name: node['rdfs:label'],
+                    parents
+                };
+            }
+        });
+
+        Object.values(index.artifacts).forEach(artifact => {
+            artifact.ancestors = this.getAncestors(artifact.id, index.artifacts);
+        });
+
+        // Defensive techniques by the artifact they act on
+        Object.values(index.techniques).forEach(technique => {
+            technique.artifacts.forEach(({ relation, artifact }) => {
+                index.defenses[artifact] = index.defenses[artifact] || [];
+                index.defenses[artifact].push({ technique: technique.id, relation });
+            });
+        });
+
+        return index;
+    }
+
+    /**
+     * Relations from a technique to digital artifacts, e.g.
+     * `{relation: 'analyzes', artifact: 'd3f:Process'}`.
+     */
+    getArtifactRelations(node) {
+        return Object.keys(node)
+            .filter(key => key.startsWith('d3f:') && !NON_ARTIFACT_PROPERTIES.includes(key))
+            .flatMap(key => toRefs(node[key]).map(artifact => ({
+                relation: key.slice('d3f:'.length),
+                artifact
+            })));
+    }
+
+    /**
+     * Artifact ancestors, nearest first.
+     */
+    getAncestors(id, artifacts) {
+        const ancestors = [];
+        let frontier = (artifacts[id] && artifacts[id].parents) || [];
+
+        while (frontier.length > 0) {
+            const next = [];
+            frontier.forEach(parent => {
+                if (!ancestors.includes(parent) && parent !== id) {
+                    ancestors.push(parent);
+                    next.push(...((artifacts[parent] && artifacts[parent].parents) || []));
+                }
+            });
+            frontier = next;
+        }
+
+        return ancestors;
+    }
+}
+
+export default D3fendLoader;
@@ -1,19 +1,85 @@
 // src/sage/framework-guide.js
 
 import _ from 'lodash';
+import AttackStixLoader from './attack-stix-loader';
+import TechniqueMapper from './technique-mapper';
+import ControlFrameworks from './control-frameworks';
+import D3fendLoader from './d3fend-loader';
+import { isAbortError, throwIfAborted } from '../../shared/utils/abort';
+import { getIncidentHosts } from '../../shared/utils/incident-text';
+
+// Matches ATLAS technique IDs written in an incident, e.g. "AML.T0051.001"
+const ATLAS_TECHNIQUE_ID = /\bAML\.T\d{4}(?:\.\d{3})?\b/g;
+
+// Orders ATLAS impacts, most severe first
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// D3FEND restoration only counters techniques that damage an artifact
+const RESTORE_TACTIC = 'Restore';
+const DAMAGING_RELATIONS = ['modifies', 'deletes', 'terminates'];
+
+// Most specific D3FEND countermeasures listed as related to each ATT&CK
+// mitigation. Neither ATT&CK nor the bundled D3FEND data maps mitigations
+// to countermeasures, so they are related only through shared techniques.
+const MAX_COUNTERMEASURES_PER_MITIGATION = 5;
+
+// Detectors whose evidence shows how a technique was carried out
+const PROCEDURE_DETECTORS = ['command-line', 'pattern'];
+
+// Containment per ATT&CK tactic, most urgent first
+const IMMEDIATE_ACTIONS = {
+    'impact': 'Isolate affected hosts and protect backups from further damage',
+    'exfiltration': 'Block the destinations data is leaving to and preserve network logs',
+    'command-and-control': 'Block the command and control channel at the proxy, DNS and firewall',
+    'lateral-movement': 'Isolate affected hosts from the network to stop further movement',
+    'credential-access': 'Reset exposed credentials and revoke active sessions of affected accounts',
+    'privilege-escalation': 'Remove privileges gained by affected accounts',
+    'persistence': 'Find and disable persistence before restarting affected hosts',
+    'defense-evasion': 'Restore disabled security tooling and logging on affected hosts',
+    'execution': 'Stop malicious processes and preserve memory and disk evidence',
+    'initial-access': 'Close the entry vector: quarantine the message, disable the account or patch the exposed service'
+};
+
+// Containment when ATLAS techniques target an AI system
+const AI_IMMEDIATE_ACTION = 'Restrict access to the affected model and its inference API until the threat is understood';
 
 /**
  * FrameworkGuide class integrates security frameworks (MITRE ATT&CK, ATLAS)
  * and provides educational guidance based on security incidents
  */
 class FrameworkGuide {
-    constructor() {
+    /**
+     * `options.attackBundles` replaces the bundled ATT&CK data with other
+     * STIX 2.1 bundles, e.g. the full enterprise, mobile and ICS releases.
+     * `options.controlFrameworks` replaces the bundled control frameworks,
+     * and `options.d3fendExports` the bundled D3FEND ontology export.
+     */
+    constructor(options = {}) {
         // Initialize framework knowledge bases
         this.frameworks = {
-            mitre: this.initializeMitreFramework(),
-            atlas: this.initializeAtlasFramework()
+            mitre: this.initializeMitreFramework(options.attackBundles),
+            atlas: this.initializeAtlasFramework(),
+            d3fend: this.initializeD3fendFramework(options.d3fendExports)
         };
 
+        // Map incidents to ATT&CK and ATLAS techniques with the evidence behind each
+        this.techniqueMapper = new TechniqueMapper({
+            attack: this.frameworks.mitre,
+            minConfidence: options.minTechniqueConfidence
+        });
+        this.atlasMapper = new TechniqueMapper({
+            attack: this.frameworks.atlas,
+            detectors: this.frameworks.atlas.detectors,
+            idPattern: ATLAS_TECHNIQUE_ID,
+            minConfidence: options.minTechniqueConfidence
+        });
+        this.lastMappings = new Map();
+
+        // Control frameworks (NIST CSF, ISO 27001, CSA CCM) mapped from ATT&CK
+        this.controlFrameworks = new ControlFrameworks(
+            options.controlFrameworks ? { frameworks: options.controlFrameworks } : {}
+        );
+
         // Educational context mapping
         this.learningResources = {
             techniques: new Map(),    // Maps techniques to learning resources
@@ -24,13 +90,25 @@ class FrameworkGuide {
 
     /**
      * Analyzes an incident through multiple security frameworks
-     * and provides educational insights
+     * and provides educational insights. Honors `options.signal`
+     * between framework lookups.
      */
-    async analyzeIncident(incident) {
+    async analyzeIncident(incident, options = {}) {
+        const { signal } = options;
+
         try {
             // Analyze through each framework
+            throwIfAborted(signal);
             const mitreAnalysis = await this.analyzeMitrePerspective(incident);
+            throwIfAborted(signal);
             const atlasAnalysis = await this.analyzeAtlasPerspective(incident);
+            throwIfAborted(signal);
+            const controlAnalysis = {
+                nist: await this.analyzeNistFramework(incident),
+                iso27001: await this.analyzeISOStandards(incident),
+                cloudSecurity: await this.analyzeCloudSecurityAlliance(incident)
+            };
+            throwIfAborted(signal);
 
             // Generate educational insights
             const educationalContext = await this.generateEducationalContext({
@@ -41,7 +119,8 @@ class FrameworkGuide {
             return {
                 frameworkAnalysis: {
                     mitre: mitreAnalysis,
-                    atlas: atlasAnalysis
+                    atlas: atlasAnalysis,
+                    controls: controlAnalysis
                 },
                 educational: educationalContext,
                 recommendations: await this.generateRecommendations({
@@ -51,6 +130,10 @@ class FrameworkGuide {
                 })
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+
             console.error('Framework analysis failed:', error);
             throw new Error(`Framework analysis failed: ${error.message}`);
         }
@@ -76,6 +159,9 @@ class FrameworkGuide {
         // Find applicable mitigations
         analysis.mitigations = await this.findMitreMitigations(analysis.techniques);
 
+        // Find specific D3FEND countermeasures
+        analysis.countermeasures = await this.findD3fendCountermeasures(analysis.techniques);
+
         // Identify common procedures
         analysis.procedures = await this.identifyCommonProcedures(analysis.techniques);
 
@@ -86,34 +172,51 @@ class FrameworkGuide {
      * Analyzes incident through ATLAS framework for AI security perspective
      */
     async analyzeAtlasPerspective(incident) {
+        const threats = await this.identifyAtlasThreats(incident);
+
         return {
-            threats: await this.identifyAtlasThreats(incident),
+            tactics: this.getAtlasTactics(threats),
+            threats,
             impacts: await this.assessAtlasImpacts(incident),
             aiVulnerabilities: await this.identifyAIVulnerabilities(incident),
             safeguards: await this.recommendAtlasSafeguards(incident)
         };
     }
-    async analyzeWithFrameworks(incident) {
-        const frameworks = {
-            mitre: await this.analyzeMitreAttack(incident),
-            nist: await this.analyzeNistFramework(incident),
-            iso27001: await this.analyzeISOStandards(incident),
-            cloudSecurity: await this.analyzeCloudSecurityAlliance(incident)
-        };
 
-        // Cross-framework analysis
-        const correlations = this.correlateFrameworkInsights(frameworks);
-        
-        // Generate practical recommendations
-        const recommendations = this.generateActionableGuidance(correlations);
+    /**
+     * Assesses NIST CSF 2.0 subcategories against the incident's ATT&CK
+     * techniques and mitigations.
+     */
+    async analyzeNistFramework(incident) {
+        return this.assessControls('nist-csf', incident);
+    }
 
-        return {
-            frameworkAnalysis: frameworks,
-            correlations,
-            recommendations,
-            learningPath: this.createFrameworkLearningPath(frameworks)
-        };
+    /**
+     * Assesses ISO/IEC 27001:2022 Annex A controls.
+     */
+    async analyzeISOStandards(incident) {
+        return this.assessControls('iso-27001', incident);
     }
+
+    /**
+     * Assesses CSA Cloud Controls Matrix v4 controls.
+     */
+    async analyzeCloudSecurityAlliance(incident) {
+        return this.assessControls('csa-ccm', incident);
+    }
+
+    /**
+     * Lists which controls of a framework failed or applied, from the
+     * techniques mapped for the incident and their mitigations.
+     */
+    async assessControls(frameworkId, incident) {
+        const tactics = await this.identifyMitreTactics(incident);
+        const techniques = await this.mapToMitreTechniques(incident, tactics);
+        const mitigations = await this.findMitreMitigations(techniques);
+
+        return this.controlFrameworks.assess(frameworkId, { techniques, mitigations, tactics });
+    }
+
     /**
      * Generates educational context and learning resources based on analysis
      */
@@ -146,6 +249,63 @@ class FrameworkGuide {
         return educationalContext;
     }
 
+    /**
+     * Adds the ATT&CK and ATLAS tactics and techniques found in the
+     * analyses to the context's concepts, by ID.
+     */
+    extractSecurityConcepts(analyses, educationalContext) {
+        const { mitre, atlas } = analyses;
+
+        mitre.tactics.forEach(shortname => {
+            const tactic = this.frameworks.mitre.tactics[shortname];
+            if (tactic) {
+                educationalContext.concepts.add(tactic.id);
+            }
+        });
+        mitre.techniques.forEach(technique => educationalContext.concepts.add(technique.id));
+        atlas.tactics.forEach(tactic => educationalContext.concepts.add(tactic.id));
+        atlas.threats.forEach(threat => educationalContext.concepts.add(threat.id));
+    }
+
+    /**
+     * Looks up a concept ID among ATT&CK and ATLAS tactics and techniques.
+     */
+    getConcept(id) {
+        const { mitre, atlas } = this.frameworks;
+        const framework = id.startsWith('AML.') ? atlas : mitre;
+
+        return this.getMitreTechnique(id)
+            || framework.techniques[id]
+            || Object.values(framework.tactics).find(tactic => tactic.id === id)
+            || null;
+    }
+
+    /**
+     * Framework pages for the concepts.
+     */
+    async findLearningResources(concepts) {
+        return Array.from(concepts)
+            .map(id => this.getConcept(id))
+            .filter(concept => concept && concept.url)
+            .map(({ id, name, url }) => ({ id, name, url }));
+    }
+
+    /**
+     * Framework descriptions of the concepts, keyed by ID.
+     */
+    async generateConceptExplanations(concepts) {
+        const explanations = {};
+
+        Array.from(concepts).forEach(id => {
+            const concept = this.getConcept(id);
+            if (concept) {
+                explanations[id] = { name: concept.name, description: concept.description || '' };
+            }
+        });
+
+        return explanations;
+    }
+
     /**
      * Generates prioritized recommendations based on framework analysis
      */
@@ -184,6 +344,105 @@ class FrameworkGuide {
         return recommendations;
     }
 
+    /**
+     * Containment for the tactics the mapped techniques serve, most urgent
+     * first, and for AI systems when ATLAS techniques were mapped.
+     */
+    generateImmediateActions(mitreAnalysis, atlasAnalysis) {
+        const actions = Object.entries(IMMEDIATE_ACTIONS)
+            .map(([tactic, action]) => ({
+                action,
+                tactic,
+                techniques: mitreAnalysis.techniques
+                    .filter(technique => technique.tactics.includes(tactic))
+                    .map(technique => technique.id)
+            }))
+            .filter(entry => entry.techniques.length > 0);
+
+        if (atlasAnalysis && atlasAnalysis.threats.length > 0) {
+            actions.push({
+                action: AI_IMMEDIATE_ACTION,
+                tactic: null,
+                techniques: atlasAnalysis.threats.map(threat => threat.id)
+            });
+        }
+
+        return actions;
+    }
+
+    /**
+     * Steps confirming each mapped technique, most confident first, with
+     * the evidence that mapped it and the data sources that detect it.
+     * Scoping the affected hosts comes first when the incident names them.
+     */
+    createInvestigationPlan(incident, mitreAnalysis) {
+        const hosts = getIncidentHosts(incident);
+        const scope = hosts.length > 0
+            ? [{ step: `Scope the activity on ${hosts.join(', ')}`, technique: null, evidence: [], dataSources: [] }]
+            : [];
+
+        return [
+            ...scope,
+            ...mitreAnalysis.techniques.map(technique => ({
+                step: `Confirm ${technique.name} (${technique.id})`,
+                technique: technique.id,
+                confidence: technique.confidence,
+                evidence: Array.from(new Set(technique.evidence.map(item => item.text))),
+                dataSources: this.getDataSources(technique.id)
+            }))
+        ];
+    }
+
+    /**
+     * Data components detecting a technique, as "Data Source: Component".
+     * Sub-techniques without data components of their own fall back to
+     * their parent's.
+     */
+    getDataSources(techniqueId) {
+        const technique = this.getMitreTechnique(techniqueId);
+        if (!technique) {
+            return [];
+        }
+
+        const parent = technique.parent ? this.getMitreTechnique(technique.parent) : null;
+        const components = technique.dataComponents.length > 0 || !parent
+            ? technique.dataComponents
+            : parent.dataComponents;
+
+        return components.map(component => `${component.dataSourceName}: ${component.name}`);
+    }
+
+    /**
+     * Tactics to study, in matrix order, each with the techniques the
+     * incident showed for it; ATT&CK first, then ATLAS.
+     */
+    suggestLearningPath(mitreAnalysis, atlasAnalysis) {
+        const { tactics } = this.frameworks.mitre;
+        const attackPath = mitreAnalysis.tactics
+            .map(shortname => tactics[shortname])
+            .filter(Boolean)
+            .sort((a, b) => a.order - b.order)
+            .map(tactic => ({
+                framework: 'attack',
+                id: tactic.id,
+                name: tactic.name,
+                url: tactic.url,
+                techniques: mitreAnalysis.techniques
+                    .filter(technique => technique.tactics.includes(tactic.shortname))
+                    .map(technique => technique.id)
+            }));
+
+        const atlasPath = ((atlasAnalysis && atlasAnalysis.tactics) || []).map(tactic => ({
+            framework: 'atlas',
+            id: tactic.id,
+            name: tactic.name,
+            url: tactic.url,
+            techniques: tactic.techniques
+        }));
+
+        return [...attackPath, ...atlasPath];
+    }
+
     /**
      * Helper method to identify MITRE ATT&CK tactics from incident
      */
@@ -203,21 +462,328 @@ class FrameworkGuide {
     }
 
     /**
-     * Helper method to map identified tactics to specific techniques
+     * Helper method to map identified tactics to specific techniques.
+     * Each technique carries its confidence and the evidence spans that
+     * mapped it, most confident first.
      */
     async mapToMitreTechniques(incident, tactics) {
-        const techniques = new Set();
+        const techniques = new Map();
         
         for (const tactic of tactics) {
-            const tacticTechniques = this.frameworks.mitre.tacticTechniques[tactic];
+            const tacticTechniques = this.frameworks.mitre.tacticTechniques[tactic] || [];
             for (const technique of tacticTechniques) {
                 if (this.techniqueMatchesIncident(incident, technique)) {
-                    techniques.add(technique);
+                    techniques.set(technique, this.getTechniqueMapping(incident)
+                        .find(mapping => mapping.id === technique));
                 }
             }
         }
 
-        return Array.from(techniques);
+        return Array.from(techniques.values())
+            .sort((a, b) => b.confidence - a.confidence || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Techniques mapped for an incident. The last mapping is kept, since
+     * tactic and technique lookups for one incident all need it.
+     */
+    getTechniqueMapping(incident, mapper = this.techniqueMapper) {
+        const last = this.lastMappings.get(mapper);
+        if (last && last.incident === incident) {
+            return last.techniques;
+        }
+
+        const techniques = mapper.map(incident);
+        this.lastMappings.set(mapper, { incident, techniques });
+        return techniques;
+    }
+
+    /**
+     * Whether a tactical pattern applies: any of its techniques was mapped.
+     */
+    matchesPattern(incident, pattern) {
+        return this.getTechniqueMapping(incident)
+            .some(mapping => pattern.techniques.includes(mapping.id));
+    }
+
+    techniqueMatchesIncident(incident, techniqueId) {
+        return this.getTechniqueMapping(incident).some(mapping => mapping.id === techniqueId);
+    }
+
+    /**
+     * Looks up an ATT&CK technique by ID, following revocations to the
+     * technique that replaced it. Returns null for unknown or deprecated
+     * techniques.
+     */
+    getMitreTechnique(id) {
+        const { techniques, revoked } = this.frameworks.mitre;
+        const seen = new Set();
+        let current = id;
+
+        while (current && revoked[current] !== undefined && !seen.has(current)) {
+            seen.add(current);
+            current = revoked[current];
+        }
+
+        return (current && techniques[current]) || null;
+    }
+
+    /**
+     * Finds the ATT&CK mitigations for the given techniques, those covering
+     * the most techniques first. Sub-techniques without mitigations of
+     * their own fall back to their parent's.
+     */
+    async findMitreMitigations(techniques) {
+        const { mitigations } = this.frameworks.mitre;
+        const found = new Map();
+
+        techniques.forEach(reference => {
+            const technique = this.getMitreTechnique(typeof reference === 'string' ? reference : reference.id);
+            if (!technique) {
+                return;
+            }
+
+            const parent = technique.parent ? this.getMitreTechnique(technique.parent) : null;
+            const mitigationIds = technique.mitigations.length > 0 || !parent
+                ? technique.mitigations
+                : parent.mitigations;
+
+            mitigationIds.forEach(mitigationId => {
+                const mitigation = mitigations[mitigationId];
+                if (!mitigation) {
+                    return;
+                }
+
+                const entry = found.get(mitigationId) || {
+                    id: mitigation.id,
+                    name: mitigation.name,
+                    description: mitigation.description,
+                    url: mitigation.url,
+                    techniques: []
+                };
+                if (!entry.techniques.includes(technique.id)) {
+                    entry.techniques.push(technique.id);
+                }
+                found.set(mitigationId, entry);
+            });
+        });
+
+        return Array.from(found.values())
+            .sort((a, b) => b.techniques.length - a.techniques.length || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Finds D3FEND defensive techniques for the given ATT&CK techniques.
+     * A countermeasure applies when it acts on an artifact the technique
+     * acts on, or on a broader class of it (DNS Network Traffic covers
+     * Outbound Internet DNS Lookup Traffic). Sub-techniques inherit their
+     * parent's artifacts. Countermeasures acting on the exact artifact
+     * come first, then those covering the most techniques.
+     */
+    async findD3fendCountermeasures(techniques) {
+        const { offensive, artifacts, defenses, tactics } = this.frameworks.d3fend;
+        const d3fendTechniques = this.frameworks.d3fend.techniques;
+        const found = new Map();
+
+        techniques.forEach(reference => {
+            const referenceId = typeof reference === 'string' ? reference : reference.id;
+            const technique = this.getMitreTechnique(referenceId);
+            const techniqueId = technique ? technique.id : referenceId;
+
+            // Artifacts of the technique and of its parents
+            const relations = [];
+            let current = techniqueId;
+            while (current) {
+                const entry = offensive[current];
+                relations.push(...(entry ? entry.artifacts : []));
+                current = entry ? entry.parent : (current.includes('.') ? current.split('.')[0] : null);
+            }
+
+            relations.forEach(({ relation: attackRelation, artifact }) => {
+                const lineage = [artifact, ...((artifacts[artifact] && artifacts[artifact].ancestors) || [])];
+
+                lineage.forEach((defended, distance) => {
+                    (defenses[defended] || []).forEach(({ technique: defenseId, relation }) => {
+                        const defense = d3fendTechniques[defenseId];
+                        if (defense.tactic === RESTORE_TACTIC && !DAMAGING_RELATIONS.includes(attackRelation)) {
+                            return;
+                        }
+
+                        const entry = found.get(defenseId) || {
+                            id: defense.id,
+                            name: defense.name,
+                            tactic: defense.tactic,
+                            definition: defense.definition,
+                            url: defense.url,
+                            techniques: [],
+                            artifacts: [],
+                            distance
+                        };
+
+                        const artifactName = artifacts[defended] ? artifacts[defended].name : defended;
+                        let acted = entry.artifacts.find(item => item.name === artifactName && item.relation === relation);
+                        if (!acted) {
+                            acted = { name: artifactName, relation, techniques: [] };
+                            entry.artifacts.push(acted);
+                        }
+
+                        if (!acted.techniques.includes(techniqueId)) {
+                            acted.techniques.push(techniqueId);
+                        }
+                        if (!entry.techniques.includes(techniqueId)) {
+                            entry.techniques.push(techniqueId);
+                        }
+                        entry.distance = Math.min(entry.distance, distance);
+                        found.set(defenseId, entry);
+                    });
+                });
+            });
+        });
+
+        const tacticOrder = tactic => (tactics[tactic] && tactics[tactic].order !== null ? tactics[tactic].order : Infinity);
+
+        return Array.from(found.values())
+            .sort((a, b) => a.distance - b.distance
+                || b.techniques.length - a.techniques.length
+                || tacticOrder(a.tactic) - tacticOrder(b.tactic)
+                || a.id.localeCompare(b.id))
+            .map(({ distance, ...countermeasure }) => countermeasure);
+    }
+
+    /**
+     * Mitigation strategies: ATT&CK mitigations with the D3FEND
+     * countermeasures addressing the same techniques, the countermeasures
+     * themselves with the artifacts they act on, and ATLAS safeguards.
+     */
+    async developMitigationStrategies(mitreAnalysis, atlasAnalysis) {
+        const countermeasures = mitreAnalysis.countermeasures
+            || await this.findD3fendCountermeasures(mitreAnalysis.techniques);
+
+        return [
+            ...mitreAnalysis.mitigations.map(mitigation => ({
+                source: 'attack',
+                id: mitigation.id,
+                name: mitigation.name,
+                description: mitigation.description,
+                url: mitigation.url,
+                techniques: mitigation.techniques,
+                relatedCountermeasures: countermeasures
+                    .filter(countermeasure => countermeasure.techniques.some(id => mitigation.techniques.includes(id)))
+                    .slice(0, MAX_COUNTERMEASURES_PER_MITIGATION)
+                    .map(countermeasure => countermeasure.id)
+            })),
+            ...countermeasures.map(countermeasure => ({
+                source: 'd3fend',
+                id: countermeasure.id,
+                name: countermeasure.name,
+                tactic: countermeasure.tactic,
+                description: countermeasure.definition,
+                url: countermeasure.url,
+                techniques: countermeasure.techniques,
+                artifacts: countermeasure.artifacts
+            })),
+            ...((atlasAnalysis && atlasAnalysis.safeguards) || []).map(safeguard => ({
+                source: 'atlas',
+                id: safeguard.id,
+                name: safeguard.name,
+                description: safeguard.description,
+                url: safeguard.url,
+                techniques: safeguard.techniques
+            }))
+        ];
+    }
+
+    /**
+     * How each mapped technique was carried out in this incident: the
+     * command lines and patterns that mapped it.
+     */
+    async identifyCommonProcedures(techniques) {
+        return techniques.flatMap(technique => Array.from(new Set(
+            technique.evidence
+                .filter(item => PROCEDURE_DETECTORS.includes(item.detector))
+                .map(item => item.text)
+        )).map(procedure => ({
+            technique: technique.id,
+            name: technique.name,
+            procedure
+        })));
+    }
+
+    /**
+     * Maps an incident to ATLAS techniques, each with its confidence, the
+     * evidence spans behind it and the case studies where it was used.
+     */
+    async identifyAtlasThreats(incident) {
+        const { caseStudies } = this.frameworks.atlas;
+
+        return this.getTechniqueMapping(incident, this.atlasMapper).map(mapping => ({
+            ...mapping,
+            caseStudies: caseStudies
+                .filter(study => this.atlasCovers(study.techniques, mapping.id)
+                    || study.techniques.some(id => this.atlasCovers([mapping.id], id)))
+                .map(({ id, name, summary, url }) => ({ id, name, summary, url }))
+        }));
+    }
+
+    /**
+     * ATLAS tactics the mapped techniques serve, in matrix order.
+     */
+    getAtlasTactics(threats) {
+        const found = new Set(threats.flatMap(threat => threat.tactics));
+
+        return Object.values(this.frameworks.atlas.tactics)
+            .filter(tactic => found.has(tactic.shortname))
+            .map(tactic => ({
+                ...tactic,
+                techniques: threats.filter(threat => threat.tactics.includes(tactic.shortname)).map(threat => threat.id)
+            }));
+    }
+
+    /**
+     * Business impacts of the mapped ATLAS techniques, most severe first.
+     */
+    async assessAtlasImpacts(incident) {
+        return this.matchAtlasEntries(incident, this.frameworks.atlas.impacts)
+            .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+    }
+
+    /**
+     * Weaknesses in the AI system that the mapped techniques exploit.
+     */
+    async identifyAIVulnerabilities(incident) {
+        return this.matchAtlasEntries(incident, this.frameworks.atlas.vulnerabilities);
+    }
+
+    /**
+     * ATLAS mitigations for the mapped techniques, those covering the most
+     * techniques first.
+     */
+    async recommendAtlasSafeguards(incident) {
+        return this.matchAtlasEntries(incident, this.frameworks.atlas.safeguards)
+            .sort((a, b) => b.techniques.length - a.techniques.length || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Entries (impacts, vulnerabilities, safeguards) listing any of the
+     * mapped ATLAS techniques, with the mapped techniques they matched.
+     */
+    matchAtlasEntries(incident, entries) {
+        const mapped = this.getTechniqueMapping(incident, this.atlasMapper).map(mapping => mapping.id);
+
+        return entries
+            .map(entry => ({
+                ...entry,
+                techniques: mapped.filter(id => this.atlasCovers(entry.techniques, id))
+            }))
+            .filter(entry => entry.techniques.length > 0);
+    }
+
+    /**
+     * Whether a list of ATLAS technique IDs covers a technique; listing a
+     * technique covers its sub-techniques.
+     */
+    atlasCovers(listed, techniqueId) {
+        return listed.some(entry => entry === techniqueId || techniqueId.startsWith(`${entry}.`));
     }
 
     /**
@@ -246,25 +812,129 @@ class FrameworkGuide {
     }
 
     /**
-     * Initializes MITRE ATT&CK framework data
+     * Sets the scene for a technique exercise from the incident evidence.
      */
-    initializeMitreFramework() {
+    async generateScenario(technique) {
+        const evidence = Array.from(new Set(technique.evidence.map(item => item.text))).slice(0, 3);
+        return evidence.length > 0
+            ? `The incident shows ${technique.name} (${technique.id}): ${evidence.map(text => `"${text}"`).join(', ')}.`
+            : `The incident shows ${technique.name} (${technique.id}).`;
+    }
+
+    async generatePracticeQuestions(technique) {
+        return [
+            `Which ATT&CK tactic does ${technique.id} serve in this incident?`,
+            `Which data sources would confirm ${technique.name}?`,
+            `Which mitigations would have prevented or limited ${technique.name}?`
+        ];
+    }
+
+    async generateSolutions(technique) {
+        const { tactics } = this.frameworks.mitre;
+        const mitigations = await this.findMitreMitigations([technique]);
+
         return {
-            tactics: require('../../data/frameworks/mitre/tactics.json'),
-            techniques: require('../../data/frameworks/mitre/techniques.json'),
-            mitigations: require('../../data/frameworks/mitre/mitigations.json'),
-            relationships: require('../../data/frameworks/mitre/relationships.json')
+            tactics: technique.tactics.map(shortname => (tactics[shortname] ? tactics[shortname].name : shortname)),
+            dataSources: this.getDataSources(technique.id),
+            mitigations: mitigations.map(mitigation => `${mitigation.id} ${mitigation.name}`)
         };
     }
 
     /**
-     * Initializes ATLAS framework data
+     * Exercises for mapped ATLAS techniques, solved by the safeguards and
+     * case studies that cover them.
+     */
+    async generateAISecurityExercises(atlasAnalysis) {
+        return atlasAnalysis.threats.map(threat => ({
+            type: 'ai_threat_practice',
+            technique: threat,
+            scenario: `An AI system in the incident faces ${threat.name} (${threat.id}).`,
+            questions: [
+                `Which ATLAS tactic does ${threat.id} serve?`,
+                `Which safeguards limit ${threat.name}?`,
+                'Which case studies show this technique in a real attack?'
+            ],
+            solutions: {
+                tactics: atlasAnalysis.tactics
+                    .filter(tactic => tactic.techniques.includes(threat.id))
+                    .map(tactic => tactic.name),
+                safeguards: atlasAnalysis.safeguards
+                    .filter(safeguard => safeguard.techniques.includes(threat.id))
+                    .map(safeguard => `${safeguard.id} ${safeguard.name}`),
+                caseStudies: threat.caseStudies.map(study => study.name)
+            }
+        }));
+    }
+
+    /**
+     * Initializes MITRE ATT&CK framework data from STIX 2.1 bundles. The
+     * extension ships a hand-built sample of the enterprise bundle, which
+     * is not an ATT&CK release and so reports no ATT&CK version.
+     */
+    initializeMitreFramework(bundles) {
+        return new AttackStixLoader().load(
+            bundles || [require('../../data/frameworks/mitre/enterprise-attack.json')]
+        );
+    }
+
+    /**
+     * Initializes MITRE D3FEND data from JSON-LD ontology exports. The
+     * extension ships a hand-built sample of d3fend.json, which is not a
+     * D3FEND release and so reports no version.
+     */
+    initializeD3fendFramework(exports) {
+        return new D3fendLoader().load(
+            exports || [require('../../data/frameworks/d3fend/d3fend.json')]
+        );
+    }
+
+    /**
+     * Initializes ATLAS framework data. Techniques are indexed like the
+     * ATT&CK index, so the same TechniqueMapper can map them using the
+     * detectors from the data.
      */
     initializeAtlasFramework() {
+        const threats = require('../../data/frameworks/atlas/threats.json');
+        const tactics = {};
+        const techniques = {};
+        const detectors = {};
+
+        threats.tactics.forEach((tactic, order) => {
+            tactics[tactic.shortname] = { ...tactic, order, url: `${threats.url}/tactics/${tactic.id}` };
+        });
+
+        threats.techniques.forEach(technique => {
+            techniques[technique.id] = {
+                id: technique.id,
+                name: technique.parent ? `${threats.techniques.find(parent => parent.id === technique.parent).name}: ${technique.name}` : technique.name,
+                description: technique.description,
+                url: `${threats.url}/techniques/${technique.id}`,
+                tactics: technique.tactics,
+                isSubtechnique: Boolean(technique.parent),
+                parent: technique.parent || null,
+                subtechniques: threats.techniques.filter(child => child.parent === technique.id).map(child => child.id)
+            };
+
+            const { keywords = [], patterns = [], commandLine = [], indicatorTypes = [] } = technique.detectors || {};
+            detectors[technique.id] = {
+                keywords,
+                patterns: patterns.map(pattern => new RegExp(pattern, 'gi')),
+                commandLine: commandLine.map(pattern => new RegExp(pattern, 'gi')),
+                indicatorTypes
+            };
+        });
+
+        const withUrl = (entries, path) => entries.map(entry => ({ ...entry, url: `${threats.url}/${path}/${entry.id}` }));
+
         return {
-            threats: require('../../data/frameworks/atlas/threats.json'),
-            safeguards: require('../../data/frameworks/atlas/safeguards.json'),
-            impacts: require('../../data/frameworks/atlas/impacts.json')
+            tactics,
+            techniques,
+            revoked: {},
+            detectors,
+            safeguards: withUrl(require('../../data/frameworks/atlas/safeguards.json'), 'mitigations'),
+            impacts: require('../../data/frameworks/atlas/impacts.json'),
+            vulnerabilities: require('../../data/frameworks/atlas/vulnerabilities.json'),
+            caseStudies: withUrl(require('../../data/frameworks/atlas/case-studies.json'), 'studies')
         };
     }
 }
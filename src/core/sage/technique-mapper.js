@@ -0,0 +1,607 @@
+// src/core/sage/technique-mapper.js
+
+import IndicatorExtractor from '../toad/indicator-extractor';
+import { getIncidentText } from '../../shared/utils/incident-text';
+
+// Confidence each kind of detector contributes on its own
+const DETECTOR_WEIGHTS = {
+    reported: 1,
+    'technique-id': 0.9,
+    'command-line': 0.6,
+    pattern: 0.5,
+    keyword: 0.3,
+    name: 0.3,
+    indicator: 0.15,
+    port: 0.15
+};
+
+const DEFAULT_MIN_CONFIDENCE = 0.25;
+
+// Detectors that only add confidence to a technique another detector found
+const SUPPORT_DETECTORS = ['indicator', 'port'];
+
+// Distinct keywords needed to report a technique no other detector found;
+// a single word ("wiped", "lsass") says too little on its own
+const MIN_KEYWORDS_ALONE = 2;
+
+// Where the clause a match is negated in ends: a sentence break, a
+// separator or a contrast ("no ransomware, but mimikatz ran")
+const CLAUSE_BREAK = /[.!?](?:\s|$)|[;\n]|\b(?:but|however|although)\b/i;
+
+// Words before a match, within its clause, that a negation is looked for in
+const NEGATION_WINDOW_WORDS = 5;
+
+const NEGATION_BEFORE = /\b(no|not|never|without|none|neither|nor|cannot|can't|isn't|wasn't|weren't|didn't|doesn't|don't|hasn't|haven't|absence of|ruled out|negative for)\b/i;
+const NEGATION_AFTER = /^[\w\s]{0,30}?\b(not (found|observed|detected|seen|present|confirmed)|ruled out)\b/i;
+
+// Evidence spans kept per detector kind, so one noisy keyword cannot flood the result
+const MAX_SPANS_PER_DETECTOR = 3;
+
+// Matches technique IDs written in the incident, e.g. "T1059.001"
+const TECHNIQUE_ID = /\bT\d{4}(?:\.\d{3})?\b/g;
+
+// Where a command quoted in prose ends: a sentence break or a command separator
+const COMMAND_END = /\.\s|;|\s&&\s|\s\|\|\s/;
+
+// What may precede a command on its line: nothing, a shell prompt, a
+// command separator, a cmd /c or PowerShell wrapper, or a command line field
+const COMMAND_CONTEXT = /(^|[>$#|;&]|\bcmd(\.exe)?\s+\/[ck]|\b(powershell|pwsh)(\.exe)?([^\n]*\s-c(ommand)?)?|\bcommand ?line\s*[:=])\s*["'`]?\s*$/i;
+
+/**
+ * Detectors per technique. `keywords` are matched as whole words,
+ * `patterns` are regexes over the incident text, `commandLine` regexes
+ * recognize suspicious invocations where a command can start, and
+ * `indicatorTypes` and `ports` are IOC types and port numbers that support
+ * the technique. Indicator types and ports only add confidence to a
+ * technique another detector found.
+ */
+const TECHNIQUE_DETECTORS = {
+    'T1566.001': {
+        keywords: ['malicious attachment', 'weaponized document', 'macro-enabled'],
+        patterns: [/\battach(ed|ment)\b[^\n]{0,60}\.(docm|xlsm|iso|img|zip|rar|lnk|hta|one)\b/gi]
+    },
+    'T1566.002': {
+        keywords: ['phishing link', 'credential harvesting', 'clicked the link', 'clicked a link'],
+        patterns: [/\b(clicked|opened)\b[^\n]{0,40}\b(link|url)\b/gi],
+        indicatorTypes: ['url']
+    },
+    'T1566': {
+        keywords: ['phishing', 'phish', 'spearphishing', 'suspicious email', 'reported email'],
+        indicatorTypes: ['email', 'url']
+    },
+    'T1190': {
+        keywords: ['exploit', 'web shell', 'webshell', 'sql injection', 'remote code execution'],
+        patterns: [/\bCVE-\d{4}-\d{4,7}\b/gi, /\b(union\s+select|\.\.\/\.\.\/|\$\{jndi:)/gi],
+        indicatorTypes: ['cve']
+    },
+    'T1133': {
+        keywords: ['vpn login', 'citrix', 'external remote'],
+        patterns: [/\b(vpn|rdp gateway)\b[^\n]{0,40}\b(login|logon|session)\b/gi]
+    },
+    'T1078': {
+        keywords: ['valid account', 'compromised account', 'stolen credentials', 'impossible travel'],
+        patterns: [/\bsuccessful (login|logon|sign-?in)\b[^\n]{0,60}\b(unusual|new|foreign|unfamiliar)\b/gi]
+    },
+    'T1059.001': {
+        keywords: ['powershell', 'pwsh'],
+        patterns: [/\b(Invoke-Expression|IEX|Invoke-WebRequest|DownloadString|DownloadFile|FromBase64String)\b/gi],
+        commandLine: [
+            /\bpowershell(\.exe)?\b[^\n]*\s-(e|en|enc|encodedcommand)\s+[A-Za-z0-9+/=]{16,}/gi,
+            /\bpowershell(\.exe)?\b[^\n]*\s-(nop|noprofile|w\s+hidden|windowstyle\s+hidden|ep\s+bypass|exec(utionpolicy)?\s+bypass)\b/gi
+        ]
+    },
+    'T1059.003': {
+        keywords: ['cmd.exe'],
+        commandLine: [/\bcmd(\.exe)?\s+\/[ck]\s+[^\n]+/gi]
+    },
+    'T1059.004': {
+        keywords: ['/bin/bash', '/bin/sh', 'bash -c'],
+        commandLine: [/\b(curl|wget)\b[^\n|]*\|\s*(ba)?sh\b/gi, /\bbash\s+-i\s+>&\s*\/dev\/tcp\//gi]
+    },
+    'T1059.005': {
+        keywords: ['vbscript', 'wscript', 'cscript', 'vba macro'],
+        commandLine: [/\b[wc]script(\.exe)?\b[^\n]*\.(vbs|vbe|js|jse|wsf)\b/gi]
+    },
+    'T1204.002': {
+        keywords: ['opened the attachment', 'enabled macros', 'enable content', 'user opened'],
+        patterns: [/\b(winword|excel|powerpnt|outlook)(\.exe)?\b[^\n]{0,80}\b(powershell|cmd|wscript|cscript|mshta|rundll32)(\.exe)?\b/gi]
+    },
+    'T1047': {
+        keywords: ['wmic', 'wmiprvse', 'win32_process'],
+        commandLine: [/\bwmic(\.exe)?\b[^\n]*\b(process\s+call\s+create|\/node:)/gi]
+    },
+    'T1053.005': {
+        keywords: ['scheduled task', 'schtasks'],
+        commandLine: [/\bschtasks(\.exe)?\s+\/create\b[^\n]*/gi]
+    },
+    'T1547.001': {
+        keywords: ['run key', 'startup folder'],
+        patterns: [/\\(Software\\Microsoft\\Windows\\CurrentVersion\\(Run|RunOnce))\b/gi, /\\Start Menu\\Programs\\Startup\\/gi],
+        indicatorTypes: ['registry_key']
+    },
+    'T1543.003': {
+        keywords: ['new service', 'service installed', 'service was installed'],
+        commandLine: [/\bsc(\.exe)?\s+(create|config)\b[^\n]*\bbinpath=/gi],
+        patterns: [/\bevent ?id[:\s]*7045\b/gi]
+    },
+    'T1136': {
+        keywords: ['account created', 'new user account', 'user was created'],
+        commandLine: [/\bnet(1)?(\.exe)?\s+user\s+\S+\s+\S+\s+\/add\b/gi],
+        patterns: [/\bevent ?id[:\s]*4720\b/gi]
+    },
+    'T1098': {
+        keywords: ['added to domain admins', 'added to administrators', 'mailbox permission'],
+        commandLine: [/\bnet(1)?(\.exe)?\s+(local)?group\s+"?(administrators|domain admins)"?\s+\S+\s+\/add\b/gi],
+        patterns: [/\bevent ?id[:\s]*(4728|4732|4756)\b/gi]
+    },
+    'T1055': {
+        keywords: ['process injection', 'injected into', 'process hollowing'],
+        patterns: [/\b(CreateRemoteThread|VirtualAllocEx|WriteProcessMemory|NtMapViewOfSection)\b/g]
+    },
+    'T1027': {
+        keywords: ['obfuscated', 'base64 encoded', 'encoded payload'],
+        patterns: [/\b[A-Za-z0-9+/]{120,}={0,2}/g]
+    },
+    'T1562.001': {
+        keywords: ['defender disabled', 'antivirus disabled', 'tamper protection', 'edr disabled'],
+        commandLine: [
+            /\bSet-MpPreference\b[^\n]*-Disable\w+\s+(\$true|1)/gi,
+            /\b(sc|net)(\.exe)?\s+stop\s+"?(windefend|sense|mpssvc|sysmon)"?/gi
+        ]
+    },
+    'T1070.001': {
+        keywords: ['event log cleared', 'audit log was cleared', 'logs cleared'],
+        commandLine: [/\bwevtutil(\.exe)?\s+(cl|clear-log)\b/gi, /\bClear-EventLog\b/gi],
+        patterns: [/\bevent ?id[:\s]*(1102|104)\b/gi]
+    },
+    'T1070.004': {
+        commandLine: [/\b(del|erase)\s+\/[fqs]\b[^\n]*/gi, /\bsdelete(64)?(\.exe)?\b/gi, /\brm\s+-[rf]{1,2}\s+\/(tmp|var\/log)\b/gi]
+    },
+    'T1218.011': {
+        keywords: ['rundll32'],
+        commandLine: [/\brundll32(\.exe)?\s+[^\n]*\.(dll|dat|tmp|png|jpg)\s*,\s*[#\w]+/gi, /\brundll32(\.exe)?\b[^\n]*\bjavascript:/gi]
+    },
+    'T1110.003': {
+        keywords: ['password spray', 'password spraying'],
+        patterns: [/\bfailed (login|logon|sign-?in)s?\b[^\n]{0,60}\b(many|multiple|\d{2,})\s+(accounts|users)\b/gi]
+    },
+    'T1110': {
+        keywords: ['brute force', 'brute-force', 'account lockout', 'failed login attempts', 'failed logon attempts'],
+        patterns: [/\b\d{2,}\s+failed (login|logon|sign-?in|authentication)/gi, /\bevent ?id[:\s]*4625\b/gi]
+    },
+    'T1003.001': {
+        keywords: ['mimikatz', 'lsass', 'sekurlsa', 'procdump'],
+        commandLine: [
+            /\bprocdump(64)?(\.exe)?\b[^\n]*\blsass/gi,
+            /\brundll32(\.exe)?\b[^\n]*comsvcs(\.dll)?[^\n]*MiniDump/gi,
+            /\bsekurlsa::logonpasswords\b/gi
+        ]
+    },
+    'T1003': {
+        keywords: ['credential dump', 'credential dumping', 'ntds.dit', 'hashdump'],
+        commandLine: [/\breg(\.exe)?\s+save\s+hklm\\(sam|system|security)\b/gi, /\bntdsutil\b[^\n]*\bifm\b/gi]
+    },
+    'T1082': {
+        commandLine: [/\b(systeminfo(\.exe)?|hostname(\.exe)?|uname\s+-a)(?=\s*(\/|$|[|;&>"'`]))/gim]
+    },
+    'T1083': {
+        commandLine: [/\bdir\s+\/s\b[^\n]*/gi, /\btree\s+\/f\b/gi]
+    },
+    'T1018': {
+        commandLine: [/\bnet(1)?(\.exe)?\s+view\b/gi, /\bnltest(\.exe)?\s+\/dclist\b/gi, /\barp\s+-a\b/gi]
+    },
+    'T1087': {
+        commandLine: [/\bnet(1)?(\.exe)?\s+user\s+\/domain\b/gi, /\bnet(1)?(\.exe)?\s+group\s+"?domain admins"?\s+\/domain\b/gi, /\b(Get-ADUser|adfind)\b/gi]
+    },
+    'T1021.001': {
+        keywords: ['remote desktop', 'rdp session', 'mstsc'],
+        patterns: [/\blogon ?type[:\s]*10\b/gi],
+        ports: [3389]
+    },
+    'T1021.002': {
+        keywords: ['admin$', 'c$ share', 'psexec', 'smbexec'],
+        commandLine: [/\bpsexec(64)?(\.exe)?\s+\\\\\S+/gi, /\bnet(1)?(\.exe)?\s+use\s+\\\\\S+\\(admin|c|ipc)\$/gi]
+    },
+    'T1021.006': {
+        keywords: ['winrm', 'wsmprovhost', 'enter-pssession', 'invoke-command'],
+        ports: [5985, 5986]
+    },
+    'T1570': {
+        keywords: ['lateral tool transfer', 'copied to remote host'],
+        commandLine: [/\bcopy\s+\S+\s+\\\\[^\\\s]+\\(admin|c)\$/gi]
+    },
+    'T1550.002': {
+        keywords: ['pass-the-hash', 'pass the hash', 'overpass-the-hash'],
+        patterns: [/\bsekurlsa::pth\b/gi, /\blogon ?type[:\s]*9\b[^\n]*\bseclogo\b/gi]
+    },
+    'T1560': {
+        commandLine: [/\b(7z|7za|rar|winrar)(\.exe)?\s+a\b[^\n]*/gi, /\bCompress-Archive\b/gi, /\btar\s+-[a-z]*c[a-z]*f\b/gi]
+    },
+    'T1114': {
+        keywords: ['mailbox export', 'inbox rule', 'forwarding rule', 'new-mailboxexportrequest']
+    },
+    'T1071.001': {
+        keywords: ['beacon', 'beaconing', 'c2 traffic', 'command and control'],
+        patterns: [/\b(http|https)\s+(post|get)\b[^\n]{0,40}\bevery\s+\d+\s*(s|sec|seconds|m|min|minutes)\b/gi],
+        indicatorTypes: ['url', 'domain', 'ipv4']
+    },
+    'T1071.004': {
+        keywords: ['dns tunneling', 'dns tunnel', 'dnscat'],
+        patterns: [/\b[a-z0-9]{40,}\.[a-z0-9-]+\.[a-z]{2,}\b/gi],
+        indicatorTypes: ['domain']
+    },
+    'T1105': {
+        keywords: ['downloaded a payload', 'payload downloaded', 'second stage'],
+        commandLine: [
+            /\bcertutil(\.exe)?\b[^\n]*-urlcache\b[^\n]*/gi,
+            /\bbitsadmin(\.exe)?\b[^\n]*\/transfer\b[^\n]*/gi,
+            /\b(curl|wget)(\.exe)?\s+[^\n]*-o\s+\S+/gi
+        ],
+        indicatorTypes: ['url', 'md5', 'sha1', 'sha256']
+    },
+    'T1219': {
+        keywords: ['anydesk', 'teamviewer', 'screenconnect', 'atera', 'splashtop']
+    },
+    'T1572': {
+        keywords: ['ngrok', 'plink', 'chisel', 'ssh tunnel'],
+        commandLine: [/\bssh(\.exe)?\s+[^\n]*-[LRD]\s*\d+/g]
+    },
+    'T1041': {
+        keywords: ['exfiltration over c2', 'exfiltrated over the c2'],
+        patterns: [/\b(uploaded|sent|exfiltrated)\b[^\n]{0,40}\b\d+(\.\d+)?\s*(mb|gb)\b[^\n]{0,40}\b(c2|command and control)\b/gi]
+    },
+    'T1048': {
+        keywords: ['exfiltration over ftp', 'exfiltration over dns'],
+        commandLine: [/\b(ftp|sftp|scp|pscp)(\.exe)?\s+[^\n]*/gi]
+    },
+    'T1567.002': {
+        keywords: ['mega.nz', 'rclone', 'dropbox upload', 'uploaded to cloud storage'],
+        commandLine: [/\brclone(\.exe)?\s+(copy|sync)\b[^\n]*/gi]
+    },
+    'T1486': {
+        keywords: ['ransomware', 'ransom note', 'files encrypted', 'encrypted files', 'decryptor'],
+        patterns: [/\b(readme|how_to_decrypt|restore_files|decrypt_instructions)[\w-]*\.(txt|html|hta)\b/gi, /\.(locked|encrypted|crypt|lockbit|ryk)\b/gi]
+    },
+    'T1490': {
+        keywords: ['shadow copies deleted', 'shadow copy deletion', 'recovery disabled'],
+        commandLine: [
+            /\bvssadmin(\.exe)?\s+delete\s+shadows\b[^\n]*/gi,
+            /\bwmic(\.exe)?\s+shadowcopy\s+delete\b/gi,
+            /\bbcdedit(\.exe)?\b[^\n]*recoveryenabled\s+no\b/gi,
+            /\bwbadmin(\.exe)?\s+delete\s+(catalog|backup)\b/gi
+        ]
+    },
+    'T1489': {
+        keywords: ['services stopped', 'stopped services'],
+        commandLine: [/\b(net|sc)(\.exe)?\s+stop\s+"?(mssqlserver|sql\w*|veeam\w*|backup\w*|exchange\w*)"?/gi, /\btaskkill(\.exe)?\s+\/f\s+\/im\s+\S+/gi]
+    },
+    'T1485': {
+        keywords: ['data destruction', 'wiper', 'wiped'],
+        commandLine: [/\bcipher(\.exe)?\s+\/w:/gi, /\bdd\s+if=\/dev\/(zero|urandom)\s+of=\/dev\/\w+/gi]
+    },
+    'T1657': {
+        keywords: ['wire transfer', 'invoice fraud', 'business email compromise', 'gift cards']
+    }
+};
+
+/**
+ * Escapes a keyword for use in a regex.
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * TechniqueMapper maps an incident to ATT&CK techniques with the evidence
+ * behind each mapping. It combines techniques reported with the incident,
+ * technique IDs written in its text, keyword, regex and command-line
+ * detectors, ATT&CK technique names, and the types of indicators found.
+ *
+ * Every detector that fires adds confidence (a noisy-OR of the detector
+ * weights), and records the exact span of incident text it matched.
+ * Spans are offsets into `getIncidentText(incident)`, like indicator
+ * offsets. Negated mentions ("no exploit observed") are skipped, a span
+ * counts once however many detectors matched it, and techniques found
+ * only by keywords need more than one of them.
+ */
+class TechniqueMapper {
+    /**
+     * `attack` is the index built by AttackStixLoader, or another framework
+     * index of the same shape (e.g. ATLAS) with its own `detectors` and
+     * `idPattern`; only techniques the index contains are reported.
+     */
+    constructor({
+        attack,
+        detectors = TECHNIQUE_DETECTORS,
+        idPattern = TECHNIQUE_ID,
+        minConfidence = DEFAULT_MIN_CONFIDENCE,
+        indicatorExtractor
+    } = {}) {
+        if (!attack) {
+            throw new Error('TechniqueMapper requires an ATT&CK index');
+        }
+
+        this.attack = attack;
+        this.detectors = detectors;
+        this.idPattern = idPattern;
+        this.minConfidence = minConfidence;
+        this.indicatorExtractor = indicatorExtractor || new IndicatorExtractor();
+        this.nameDetectors = this.buildNameDetectors();
+    }
+
+    /**
+     * Maps an incident to techniques, most confident first.
+     */
+    map(incident) {
+        const text = getIncidentText(incident);
+        const evidence = new Map();
+        const add = (id, item) => {
+            const resolved = this.resolve(id);
+            if (!resolved || (item.start !== null && this.isNegated(text, item.start, item.end))) {
+                return;
+            }
+            if (!evidence.has(resolved)) {
+                evidence.set(resolved, []);
+            }
+            evidence.get(resolved).push(item);
+        };
+
+        this.collectReported(incident).forEach(({ id, field }) => {
+            add(id, { detector: 'reported', description: `Reported with the incident (${field})`, text: id, start: null, end: null });
+        });
+
+        this.findAll(this.idPattern, text).forEach(match => {
+            add(match.text, { detector: 'technique-id', description: 'Technique ID named in the incident', ...match });
+        });
+
+        Object.entries(this.detectors).forEach(([id, detector]) => {
+            (detector.keywords || []).forEach(keyword => {
+                this.findAll(this.keywordPattern(keyword), text).forEach(match => {
+                    add(id, { detector: 'keyword', description: `Keyword "${keyword}"`, ...match });
+                });
+            });
+
+            (detector.patterns || []).forEach(pattern => {
+                this.findAll(pattern, text).forEach(match => {
+                    add(id, { detector: 'pattern', description: `Matches ${pattern.source}`, ...match });
+                });
+            });
+
+            (detector.commandLine || []).forEach(pattern => {
+                this.findAll(pattern, text)
+                    .filter(match => this.isCommandStart(text, match.start))
+                    .forEach(match => {
+                        add(id, { detector: 'command-line', description: 'Suspicious command line', ...this.trimCommand(match) });
+                    });
+            });
+        });
+
+        this.nameDetectors.forEach(({ id, name, pattern }) => {
+            this.findAll(pattern, text).forEach(match => {
+                add(id, { detector: 'name', description: `ATT&CK technique name "${name}"`, ...match });
+            });
+        });
+
+        // Indicator types and ports support techniques found by other detectors
+        const indicators = this.indicatorExtractor.extract(text);
+        evidence.forEach((items, id) => {
+            const detector = this.detectors[id];
+            ((detector && detector.ports) || []).forEach(port => {
+                this.findAll(this.portPattern(port), text).forEach(match => {
+                    items.push({ detector: 'port', description: `Port ${port}`, ...match });
+                });
+            });
+
+            const types = (detector && detector.indicatorTypes) || [];
+            indicators
+                .filter(indicator => types.includes(indicator.type))
+                .forEach(indicator => {
+                    const [offset] = indicator.offsets;
+                    items.push({
+                        detector: 'indicator',
+                        description: `${indicator.type} indicator`,
+                        text: text.slice(offset.start, offset.end),
+                        start: offset.start,
+                        end: offset.end
+                    });
+                });
+        });
+
+        return Array.from(evidence.entries())
+            .filter(([, items]) => this.isCorroborated(items))
+            .map(([id, items]) => this.buildMapping(id, items))
+            .filter(mapping => mapping.confidence >= this.minConfidence)
+            .sort((a, b) => b.confidence - a.confidence || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Whether a technique's evidence is enough to report it: any detector
+     * besides keywords and supporting ones, or enough distinct keywords.
+     */
+    isCorroborated(items) {
+        const primary = items.filter(item => !SUPPORT_DETECTORS.includes(item.detector));
+        if (primary.some(item => item.detector !== 'keyword')) {
+            return true;
+        }
+
+        return new Set(primary.map(item => item.text.toLowerCase())).size >= MIN_KEYWORDS_ALONE;
+    }
+
+    /**
+     * Whether a match is negated within its clause, e.g. "no exploit
+     * observed" or "ransomware was ruled out".
+     */
+    isNegated(text, start, end) {
+        const before = text.slice(0, start).split(CLAUSE_BREAK).pop()
+            .trim()
+            .split(/\s+/)
+            .slice(-NEGATION_WINDOW_WORDS)
+            .join(' ');
+        const after = text.slice(end).split(CLAUSE_BREAK)[0];
+
+        return NEGATION_BEFORE.test(before) || NEGATION_AFTER.test(after);
+    }
+
+    buildMapping(id, items) {
+        const technique = this.attack.techniques[id];
+
+        // A span matched by several detectors counts once, for the
+        // strongest of them
+        const seenSpans = new Set();
+        const distinct = [...items]
+            .sort((a, b) => DETECTOR_WEIGHTS[b.detector] - DETECTOR_WEIGHTS[a.detector])
+            .filter(item => {
+                if (item.start === null) {
+                    return true;
+                }
+                const span = `${item.start}:${item.end}`;
+                if (seenSpans.has(span)) {
+                    return false;
+                }
+                seenSpans.add(span);
+                return true;
+            });
+
+        // Each detector kind counts once, however many spans it matched;
+        // longer spans go first so spans nested in them can be dropped
+        const byDetector = new Map();
+        distinct.sort((a, b) => (b.end - b.start) - (a.end - a.start)).forEach(item => {
+            const spans = byDetector.get(item.detector) || [];
+            const nested = item.start !== null && spans.some(span => span.start <= item.start && item.end <= span.end);
+            if (!nested && spans.length < MAX_SPANS_PER_DETECTOR) {
+                spans.push(item);
+            }
+            byDetector.set(item.detector, spans);
+        });
+
+        const miss = Array.from(byDetector.keys())
+            .reduce((product, detector) => product * (1 - DETECTOR_WEIGHTS[detector]), 1);
+
+        return {
+            id,
+            name: technique.name,
+            tactics: technique.tactics,
+            isSubtechnique: technique.isSubtechnique,
+            parent: technique.parent,
+            url: technique.url,
+            confidence: Math.round(Math.min(0.99, 1 - miss) * 100) / 100,
+            evidence: Array.from(byDetector.values()).flat()
+                .sort((a, b) => DETECTOR_WEIGHTS[b.detector] - DETECTOR_WEIGHTS[a.detector] || (a.start || 0) - (b.start || 0))
+        };
+    }
+
+    /**
+     * Techniques supplied with the incident and its events.
+     */
+    collectReported(incident) {
+        if (!incident || typeof incident !== 'object') {
+            return [];
+        }
+
+        const reported = [];
+        const read = (value, field) => {
+            (Array.isArray(value) ? value : [value]).forEach(technique => {
+                const id = typeof technique === 'string' ? technique : technique && technique.id;
+                if (id) {
+                    reported.push({ id, field });
+                }
+            });
+        };
+
+        read(incident.techniques || [], 'techniques');
+        (Array.isArray(incident.events) ? incident.events : []).forEach((event, index) => {
+            if (event) {
+                read(event.techniques || event.technique || [], `events[${index}]`);
+            }
+        });
+
+        return reported;
+    }
+
+    /**
+     * Detectors for ATT&CK technique names. Single words and very short
+     * names ("DNS", "Scripting") match too much ordinary text to use.
+     */
+    buildNameDetectors() {
+        return Object.values(this.attack.techniques)
+            .filter(technique => technique.name.includes(' ') && technique.name.length >= 8)
+            .map(technique => ({
+                id: technique.id,
+                name: technique.name,
+                pattern: this.keywordPattern(technique.name)
+            }));
+    }
+
+    keywordPattern(keyword) {
+        // Word boundaries only apply where the keyword starts or ends with a word character
+        const start = /^\w/.test(keyword) ? '\\b' : '';
+        const end = /\w$/.test(keyword) ? '\\b' : '';
+        return new RegExp(`${start}${escapeRegExp(keyword)}${end}`, 'gi');
+    }
+
+    /**
+     * Matches a port written as `port 3389`, `host:3389` or `3389/tcp`.
+     */
+    portPattern(port) {
+        return new RegExp(`\\bport\\s*${port}\\b|(?<=:)${port}\\b|\\b${port}\\/(tcp|udp)\\b`, 'gi');
+    }
+
+    /**
+     * Whether a command-line match starts where a command can: at the start
+     * of a line, after a prompt or separator, or inside a cmd /c or
+     * PowerShell wrapper. Keeps commands named in prose or field labels
+     * ("Hostname: WS-01") from counting as invocations.
+     */
+    isCommandStart(text, start) {
+        const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+        return COMMAND_CONTEXT.test(text.slice(lineStart, start));
+    }
+
+    /**
+     * Cuts a command-line match at the end of the command, for commands
+     * quoted inside prose.
+     */
+    trimCommand(match) {
+        const end = match.text.search(COMMAND_END);
+        if (end <= 0) {
+            return match;
+        }
+
+        const command = match.text.slice(0, end).trimEnd();
+        return { text: command, start: match.start, end: match.start + command.length };
+    }
+
+    findAll(pattern, text) {
+        const matches = [];
+        const regex = pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+        regex.lastIndex = 0;
+
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            if (match[0].length === 0) {
+                regex.lastIndex++;
+                continue;
+            }
+            matches.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+        }
+
+        return matches;
+    }
+
+    /**
+     * Resolves a technique ID against the index, following revocations.
+     */
+    resolve(id) {
+        let current = String(id).toUpperCase();
+        const seen = new Set();
+
+        while (this.attack.revoked[current] !== undefined && !seen.has(current)) {
+            seen.add(current);
+            current = this.attack.revoked[current];
+        }
+
+        return current && this.attack.techniques[current] ? current : null;
+    }
+}
+
+export default TechniqueMapper;
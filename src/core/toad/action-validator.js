@@ -0,0 +1,309 @@
+// src/core/toad/action-validator.js
+
+import { RESPONSE_PHASE_GATES } from '../../shared/constants';
+
+/**
+ * Canonical response actions. Free-text actions are matched against the
+ * patterns in order, so more specific actions come first. `steps` lists
+ * the playbook steps an action carries out.
+ */
+const ACTION_CATALOG = [
+    {
+        id: 'protect-backups',
+        label: 'Protect backups',
+        phase: 'containment',
+        pattern: /\bbackups?\b.*\b(offline|disconnect|protect|immutable)|\b(disconnect|protect)\w*\b.*\bbackups?\b/i,
+        steps: ['protect-backups']
+    },
+    {
+        id: 'restore-backup',
+        label: 'Restore from backup',
+        phase: 'recovery',
+        pattern: /\brestor\w* .*\b(backups?|systems?|servers?|data)\b|\brecover\w* from backup/i,
+        steps: ['restore-from-backup', 'recover-services']
+    },
+    {
+        id: 'preserve-evidence',
+        label: 'Preserve evidence',
+        phase: 'containment',
+        pattern: /\b(memory|ram)\s+(dump|capture|image|acquisition)|\b(dump|captur|acquir)\w* (the |a )?(memory|ram)\b|\b(disk|forensic)\s+image|\bimag(e|ed) the (disk|drive)|\bacquir\w* (the |a )?(disk|drive|image|evidence|artifacts)\b|\bcollect\w* (evidence|artifacts|sample)|\bsnapshot/i,
+        preservesEvidence: true,
+        steps: ['preserve-evidence', 'collect-sample']
+    },
+    {
+        id: 'reimage-host',
+        label: 'Reimage host',
+        phase: 'eradication',
+        pattern: /\bre-?imag\w*|\bwip(e|ed)\b|\brebuil\w*|\bformat\w* (the )?(disk|drive|host)/i,
+        destroysEvidence: true,
+        steps: ['eradicate-persistence', 'remove-malware', 'eradicate-cause']
+    },
+    {
+        id: 'remove-malware',
+        label: 'Remove malware',
+        phase: 'eradication',
+        pattern: /\b(remov|delet)\w* (the )?((malicious|suspicious|dropped) )?(malware|binar\w*|payload|file|persistence|scheduled task|service)|\bclean\w* (the )?(host|machine|endpoint)/i,
+        destroysEvidence: true,
+        steps: ['remove-malware', 'eradicate-persistence', 'eradicate-cause']
+    },
+    {
+        id: 'shutdown-host',
+        label: 'Shut down host',
+        phase: 'containment',
+        pattern: /\bshut ?down|\bpower\w* (off|down)|\bpulled the plug/i,
+        destroysEvidence: true,
+        steps: []
+    },
+    {
+        id: 'purge-email',
+        label: 'Purge email',
+        phase: 'containment',
+        pattern: /\bpurg\w*|\b(delet|remov)\w* (the )?(e-?mails?|messages?)/i,
+        steps: ['purge-messages']
+    },
+    {
+        id: 'block-indicator',
+        label: 'Block indicator',
+        phase: 'containment',
+        pattern: /\bblock\w*|\bblacklist\w*|\bdeny ?list\w*|\bsinkhol\w*|\bnull ?rout\w*/i,
+        steps: ['block-sender-infrastructure', 'block-hashes', 'contain-threat']
+    },
+    {
+        id: 'isolate-host',
+        label: 'Isolate host',
+        phase: 'containment',
+        pattern: /\bisolat\w*|\bquarantin\w* (the )?(host|machine|endpoint|device|laptop|server)|\bcontain\w* (the )?(host|machine|endpoint|device)|\bdisconnect\w*/i,
+        steps: ['isolate-hosts', 'contain-threat']
+    },
+    {
+        id: 'disable-account',
+        label: 'Disable account',
+        phase: 'containment',
+        pattern: /\b(disabl|lock|suspend)\w* (the )?(user|account)|\brevok\w* (the )?(sessions?|tokens?)/i,
+        steps: ['disable-accounts']
+    },
+    {
+        id: 'reset-credentials',
+        label: 'Reset credentials',
+        phase: 'eradication',
+        pattern: /\breset\w* (the )?(password|credential|mfa)|\brotat\w* (the )?(password|credential|key|secret)|\bchang\w* (the )?password/i,
+        steps: ['reset-credentials', 'reset-exposed-credentials']
+    },
+    {
+        id: 'reconnect-host',
+        label: 'Return to service',
+        phase: 'recovery',
+        pattern: /\breconnect\w*|\breleas\w* .*isolation|\bre-?enabl\w*|\bback online/i,
+        steps: ['reconnect-hosts', 'restore-access', 'recover-services']
+    },
+    {
+        id: 'post-incident-review',
+        label: 'Post-incident review',
+        phase: 'post-incident',
+        pattern: /\bpost[- ]?(incident|mortem)|\blessons learned|\bretro\w*|\bawareness/i,
+        steps: ['post-incident-review', 'user-awareness']
+    },
+    {
+        id: 'investigate',
+        label: 'Investigate',
+        phase: 'analysis',
+        pattern: /\binvestigat\w*|\breview\w*|\bsearch\w*|\bscop\w*|\btriag\w*|\bidentif\w*|\banaly[sz]\w*|\bcorrelat\w*|\bhunt\w*/i,
+        steps: [
+            'scope-incident',
+            'scope-hashes',
+            'scope-exfiltration',
+            'identify-recipients',
+            'check-user-interaction',
+            'review-account-activity'
+        ]
+    }
+];
+
+// Points deducted from a perfect score of 100 per finding
+const FINDING_PENALTIES = {
+    high: 25,
+    medium: 10,
+    low: 5
+};
+
+/**
+ * ActionValidator reviews response actions an analyst reports against the
+ * incident's response plan. Actions are given as free text ("isolated
+ * host", "reset password") or with an explicit `actionId`, and are checked
+ * for phase ordering, plan prerequisites and evidence preservation. Each
+ * check that fails becomes a finding carrying a lesson, and findings
+ * lower the action's score.
+ */
+class ActionValidator {
+    constructor({ catalog = ACTION_CATALOG } = {}) {
+        this.catalog = catalog;
+    }
+
+    /**
+     * Maps an action onto its canonical catalog entry, or null when it is
+     * not recognized.
+     */
+    classify(action) {
+        if (action.actionId) {
+            return this.catalog.find(entry => entry.id === action.actionId) || null;
+        }
+
+        const text = [action.action, action.description, action.type]
+            .filter(value => typeof value === 'string')
+            .join(' ');
+
+        return this.catalog.find(entry => entry.pattern.test(text)) || null;
+    }
+
+    /**
+     * Validates one action given the actions already taken on the
+     * incident and its response plan.
+     */
+    validate(action, { plan, history = [] } = {}) {
+        const steps = (plan && plan.steps) || [];
+        const canonical = this.classify(action);
+        const previous = history
+            .filter(entry => this.happenedBefore(entry, action))
+            .map(entry => ({ entry, canonical: this.classify(entry) }))
+            .filter(({ canonical: known }) => known);
+        const findings = [];
+
+        if (!canonical) {
+            findings.push({
+                code: 'unrecognized-action',
+                severity: 'low',
+                message: `"${this.describe(action)}" does not match a known response action`,
+                lesson: 'Describe actions with a verb and a target, e.g. "isolated host ws-01", so they can be checked against the plan.'
+            });
+
+            return this.buildResult(action, null, null, findings, steps, previous);
+        }
+
+        const completed = this.completedSteps(previous, steps);
+        const candidates = steps.filter(step => canonical.steps.includes(step.id));
+        const planStep = candidates.find(step => !completed.has(step.id)) || candidates[0] || null;
+
+        // Evidence must be preserved before anything that destroys it
+        if (canonical.destroysEvidence && !previous.some(({ canonical: known }) => known.preservesEvidence)) {
+            findings.push({
+                code: 'evidence-not-preserved',
+                severity: 'high',
+                message: `${canonical.label} was done before any evidence was preserved`,
+                lesson: 'Capture memory and disk images first; wiping, deleting or powering off a host destroys the evidence needed to explain the attack.'
+            });
+        }
+
+        // E.g. eradication should not start before anything was contained
+        const planPhases = new Set(steps.map(step => step.phase));
+        RESPONSE_PHASE_GATES[canonical.phase]
+            .filter(phase => planPhases.has(phase))
+            .filter(phase => !previous.some(({ canonical: known }) => known.phase === phase))
+            .forEach(phase => {
+                findings.push({
+                    code: 'out-of-order',
+                    severity: 'medium',
+                    message: `${canonical.label} (${canonical.phase}) was done before any ${phase} action`,
+                    lesson: phase === 'containment'
+                        ? `Contain the threat before ${canonical.phase}; otherwise the attacker is still active while you clean up.`
+                        : `Complete ${phase} before ${canonical.phase}; each phase relies on what the one before it established.`
+                });
+            });
+
+        if (planStep) {
+            // The plan step's prerequisites must already be done
+            planStep.dependsOn
+                .filter(id => !completed.has(id))
+                .forEach(id => {
+                    const prerequisite = steps.find(step => step.id === id);
+                    findings.push({
+                        code: 'missing-prerequisite',
+                        severity: 'medium',
+                        message: `"${planStep.title}" depends on "${prerequisite ? prerequisite.title : id}", which has not been done`,
+                        lesson: (prerequisite && prerequisite.education && prerequisite.education.note) ||
+                            'Follow the order of the response plan; later steps rely on what earlier ones establish.'
+                    });
+                });
+        } else if (steps.length > 0) {
+            findings.push({
+                code: 'not-in-plan',
+                severity: 'low',
+                message: `${canonical.label} is not part of the response plan`,
+                lesson: 'Actions outside the plan are sometimes right, but record why so the plan can be improved.'
+            });
+        }
+
+        return this.buildResult(action, canonical, planStep, findings, steps, [...previous, { entry: action, canonical }]);
+    }
+
+    buildResult(action, canonical, planStep, findings, steps, taken) {
+        const score = Math.max(0, findings.reduce((total, finding) =>
+            total - FINDING_PENALTIES[finding.severity], 100));
+        const completed = this.completedSteps(taken, steps);
+
+        return {
+            isValid: !findings.some(finding => finding.severity === 'high'),
+            action: {
+                text: this.describe(action),
+                canonicalId: canonical ? canonical.id : null,
+                label: canonical ? canonical.label : null,
+                phase: canonical ? canonical.phase : null
+            },
+            planStep: planStep ? { id: planStep.id, title: planStep.title, phase: planStep.phase } : null,
+            findings,
+            score,
+            grade: this.grade(score),
+            completedSteps: steps.filter(step => completed.has(step.id)).map(step => step.id),
+            readySteps: steps
+                .filter(step => !completed.has(step.id) && this.isReady(step, steps, completed))
+                .map(step => ({ id: step.id, title: step.title, phase: step.phase, owner: step.owner, priority: step.priority }))
+        };
+    }
+
+    /**
+     * A step is ready once its dependencies, and every step of the phases
+     * its phase waits for, are done.
+     */
+    isReady(step, steps, completed) {
+        return step.dependsOn.every(id => completed.has(id)) &&
+            steps
+                .filter(other => RESPONSE_PHASE_GATES[step.phase].includes(other.phase))
+                .every(other => completed.has(other.id));
+    }
+
+    /**
+     * Plan steps carried out by the given classified actions.
+     */
+    completedSteps(taken, steps) {
+        const completed = new Set();
+
+        taken.forEach(({ canonical }) => {
+            const step = steps.find(candidate => canonical.steps.includes(candidate.id) && !completed.has(candidate.id));
+            if (step) {
+                completed.add(step.id);
+            }
+        });
+
+        return completed;
+    }
+
+    happenedBefore(entry, action) {
+        const entryTime = Date.parse(entry.timestamp);
+        const actionTime = Date.parse(action.timestamp);
+
+        // Without usable timestamps the logging order is all we have
+        return entry !== action && (Number.isNaN(entryTime) || Number.isNaN(actionTime) || entryTime <= actionTime);
+    }
+
+    describe(action) {
+        return action.action || action.description || action.type || action.actionId || 'unnamed action';
+    }
+
+    grade(score) {
+        if (score >= 90) return 'excellent';
+        if (score >= 75) return 'good';
+        if (score >= 50) return 'needs-improvement';
+        return 'poor';
+    }
+}
+
+export default ActionValidator;
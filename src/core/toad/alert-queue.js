@@ -0,0 +1,239 @@
+// src/core/toad/alert-queue.js
+
+import { SEVERITY_LEVELS } from '../../shared/constants';
+
+const DEFAULT_OPTIONS = {
+    maxSize: 500,
+    concurrency: 2,
+    dedupWindow: 10 * 60 * 1000,
+    // Alert fields that identify "the same" alert; ids and timestamps are excluded
+    fingerprintFields: ['source', 'ruleId', 'rule', 'title', 'name', 'host', 'hostname', 'user', 'indicator']
+};
+
+// Fields never used to fingerprint alerts without any fingerprint fields
+const VOLATILE_FIELDS = ['id', 'timestamp', 'time', 'receivedAt', 'eventId'];
+
+// Alerts without a recognized severity are queued as medium so they are never starved
+const DEFAULT_SEVERITY = 'medium';
+
+/**
+ * AlertQueue buffers incoming alerts before analysis. Alerts are processed
+ * in severity order with limited concurrency; repeats of an alert within
+ * the dedup window merge into the first one and only increase its count.
+ * The queue is bounded: when full, a new alert displaces the least severe
+ * queued alert or, if nothing is less severe, is rejected.
+ */
+class AlertQueue {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+
+        if (typeof this.options.processor !== 'function') {
+            throw new Error('AlertQueue requires a processor function');
+        }
+
+        this.queue = [];
+        this.fingerprints = new Map();
+        this.active = 0;
+        this.sequence = 0;
+        this.idleWaiters = [];
+        this.stats = { received: 0, merged: 0, processed: 0, failed: 0, rejected: 0, dropped: 0 };
+    }
+
+    /**
+     * Adds an alert. Resolves immediately with what happened to it:
+     * `queued`, `merged` into an earlier alert, or `rejected` because the
+     * queue is full.
+     */
+    enqueue(alert) {
+        const now = Date.now();
+        this.stats.received++;
+        this.expireFingerprints(now);
+
+        const fingerprint = this.fingerprint(alert);
+        const existing = this.fingerprints.get(fingerprint);
+
+        if (existing) {
+            existing.count++;
+            existing.lastSeen = now;
+            this.stats.merged++;
+
+            if (this.options.onMerge) {
+                try {
+                    this.options.onMerge(existing, alert);
+                } catch (error) {
+                    console.error('Alert merge handler failed:', error);
+                }
+            }
+
+            return { status: 'merged', fingerprint, alertId: existing.alert.id, count: existing.count };
+        }
+
+        const entry = {
+            fingerprint,
+            alert,
+            severity: this.severityOf(alert),
+            count: 1,
+            firstSeen: now,
+            lastSeen: now,
+            sequence: this.sequence++,
+            state: 'queued',
+            result: null,
+            error: null
+        };
+
+        if (this.queue.length >= this.options.maxSize && !this.makeRoomFor(entry)) {
+            this.stats.rejected++;
+            return { status: 'rejected', reason: 'queue-full', fingerprint, alertId: alert.id };
+        }
+
+        this.insert(entry);
+        this.fingerprints.set(fingerprint, entry);
+        this.drain();
+
+        return { status: 'queued', fingerprint, alertId: alert.id, position: this.queue.indexOf(entry) + 1 };
+    }
+
+    /**
+     * Resolves once the queue is empty and no alert is being processed.
+     */
+    onIdle() {
+        if (this.queue.length === 0 && this.active === 0) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    /**
+     * Reports queue depth and counters.
+     */
+    getStatus() {
+        return {
+            queued: this.queue.length,
+            processing: this.active,
+            capacity: this.options.maxSize,
+            concurrency: this.options.concurrency,
+            tracked: this.fingerprints.size,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Starts processing queued alerts up to the concurrency limit.
+     */
+    drain() {
+        while (this.active < this.options.concurrency && this.queue.length > 0) {
+            const entry = this.queue.shift();
+            entry.state = 'processing';
+            this.active++;
+
+            Promise.resolve()
+                .then(() => this.options.processor(entry.alert, entry))
+                .then(result => {
+                    entry.result = result;
+                    this.stats.processed++;
+                })
+                .catch(error => {
+                    entry.error = error;
+                    this.stats.failed++;
+                    console.error(`Queued alert ${entry.alert.id} failed:`, error);
+                })
+                .finally(() => {
+                    entry.state = 'done';
+                    entry.lastSeen = Math.max(entry.lastSeen, Date.now());
+                    this.active--;
+                    this.drain();
+                    this.notifyIdle();
+                });
+        }
+    }
+
+    /**
+     * Computes a stable fingerprint from the identifying fields of an alert.
+     * An explicit `alert.fingerprint` takes precedence.
+     */
+    fingerprint(alert) {
+        if (alert.fingerprint) {
+            return String(alert.fingerprint);
+        }
+
+        let parts = this.options.fingerprintFields
+            .filter(field => alert[field] !== undefined && alert[field] !== null)
+            .map(field => `${field}=${JSON.stringify(alert[field])}`);
+
+        if (parts.length === 0) {
+            parts = Object.keys(alert)
+                .filter(field => !VOLATILE_FIELDS.includes(field))
+                .sort()
+                .map(field => `${field}=${JSON.stringify(alert[field])}`);
+        }
+
+        // FNV-1a keeps fingerprints short enough to log and compare
+        let hash = 0x811c9dc5;
+        const text = parts.join('|');
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    severityOf(alert) {
+        const severity = typeof alert.severity === 'string' ? alert.severity.toLowerCase() : null;
+        return SEVERITY_LEVELS.includes(severity) ? severity : DEFAULT_SEVERITY;
+    }
+
+    /**
+     * Inserts an entry after all queued entries of equal or higher severity.
+     */
+    insert(entry) {
+        const rank = SEVERITY_LEVELS.indexOf(entry.severity);
+        const index = this.queue.findIndex(queued => SEVERITY_LEVELS.indexOf(queued.severity) > rank);
+
+        if (index === -1) {
+            this.queue.push(entry);
+        } else {
+            this.queue.splice(index, 0, entry);
+        }
+    }
+
+    /**
+     * Drops the newest of the least severe queued alerts if it is less
+     * severe than the incoming one.
+     */
+    makeRoomFor(entry) {
+        const last = this.queue[this.queue.length - 1];
+        if (!last || SEVERITY_LEVELS.indexOf(last.severity) <= SEVERITY_LEVELS.indexOf(entry.severity)) {
+            return false;
+        }
+
+        this.queue.pop();
+        this.fingerprints.delete(last.fingerprint);
+        last.state = 'dropped';
+        this.stats.dropped++;
+        console.warn(`Alert queue full; dropped ${last.severity} alert ${last.alert.id}`);
+
+        return true;
+    }
+
+    /**
+     * Forgets processed alerts not seen within the dedup window so a later
+     * repeat starts a new incident.
+     */
+    expireFingerprints(now) {
+        this.fingerprints.forEach((entry, fingerprint) => {
+            if (entry.state === 'done' && now - entry.lastSeen > this.options.dedupWindow) {
+                this.fingerprints.delete(fingerprint);
+            }
+        });
+    }
+
+    notifyIdle() {
+        if (this.queue.length === 0 && this.active === 0) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+}
+
+export default AlertQueue;
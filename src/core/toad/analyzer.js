@@ -3,6 +3,21 @@
 import { SecurityMentor } from '../sage/mentor';
 import { KnowledgeBase } from '../sage/knowledge-base';
 import { FrameworkGuide } from '../sage/framework-guide';
+import IndicatorExtractor from './indicator-extractor';
+import SeverityModel from './severity-model';
+import HistoryStore from './history-store';
+import TimelineAnalyzer from './timeline-analyzer';
+import RiskMatrix from './risk-matrix';
+import AssetInventory from './asset-inventory';
+import { ATTACK_TACTICS } from '../../shared/constants';
+import { getIncidentHosts, getIncidentText } from '../../shared/utils/incident-text';
+import { isAbortError, raceWithAbort, throwIfAborted } from '../../shared/utils/abort';
+
+// Context keys available to every stage before the pipeline runs
+const BASE_CONTEXT_KEYS = ['incident', 'startedAt'];
+
+// Time budget for stages that do not declare their own
+const DEFAULT_STAGE_TIMEOUT = 30000;
 
 /**
  * SecurityAnalyzer class serves as the primary analysis engine for TOAD SAGE.
@@ -10,16 +25,29 @@ import { FrameworkGuide } from '../sage/framework-guide';
  * to provide comprehensive security incident understanding.
  */
 class SecurityAnalyzer {
-    constructor() {
+    /**
+     * `options.riskMatrix` configures the likelihood × impact matrix used in
+     * threat assessment (see RiskMatrix). `options.assetInventory` shares an
+     * AssetInventory with other components.
+     */
+    constructor(options = {}) {
         // Initialize core components
         this.mentor = new SecurityMentor();
         this.knowledgeBase = new KnowledgeBase();
         this.frameworkGuide = new FrameworkGuide();
+        this.indicatorExtractor = new IndicatorExtractor();
+        this.severityModel = new SeverityModel();
+        this.timelineAnalyzer = new TimelineAnalyzer({
+            indicatorExtractor: this.indicatorExtractor
+        });
+        this.riskMatrix = new RiskMatrix(options.riskMatrix);
+        this.assetInventory = options.assetInventory || new AssetInventory();
         
-        // Initialize analysis state
+        // Initialize analysis state. Historical context is persisted in
+        // IndexedDB so it survives service worker restarts.
         this.analysisState = {
             currentAnalysis: null,
-            historicalContext: new Map(),
+            historicalContext: new HistoryStore(),
             patternDatabase: new Map(),
             confidenceScores: new Map()
         };
@@ -31,32 +59,39 @@ class SecurityAnalyzer {
     /**
      * Primary method to analyze security incidents.
      * Orchestrates the entire analysis process and provides comprehensive results.
+     * Pass `options.onProgress` to receive stage-start/stage-complete events,
+     * including each stage's partial result, while the pipeline runs, and
+     * `options.signal` (an AbortSignal) to cancel the analysis.
      */
     async analyzeIncident(incident, options = {}) {
+        const { signal } = options;
+
         try {
             // Start timing for performance metrics
             const startTime = performance.now();
+            throwIfAborted(signal);
 
             // Initialize analysis context
             const context = await this.initializeAnalysisContext(incident);
 
-            // Run the analysis pipeline
-            const analysisResults = await this.executeAnalysisPipeline(context);
+            // Run the analysis pipeline, reporting progress as stages finish
+            const analysisResults = await this.executeAnalysisPipeline(context, options);
 
             // Generate insights and recommendations
-            const insights = await this.generateInsights(analysisResults);
+            const insights = await raceWithAbort(this.generateInsights(analysisResults), signal);
 
             // Create educational context
-            const educationalContent = await this.mentor.provideMentorship(
-                incident,
-                analysisResults
+            const educationalContent = await raceWithAbort(
+                this.provideEducation(incident, analysisResults),
+                signal
             );
+            throwIfAborted(signal);
 
             // Calculate confidence scores
             const confidence = this.calculateConfidenceScores(analysisResults);
 
             // Store analysis for historical context
-            await this.updateHistoricalContext(analysisResults);
+            const historyRecord = await this.updateHistoricalContext(incident, analysisResults);
 
             return {
                 analysis: analysisResults,
@@ -65,10 +100,18 @@ class SecurityAnalyzer {
                 confidence: confidence,
                 metadata: {
                     analysisTime: performance.now() - startTime,
-                    timestamp: new Date().toISOString()
+                    timestamp: new Date().toISOString(),
+                    degraded: analysisResults.degraded,
+                    degradedStages: analysisResults.degradedStages,
+                    historyId: historyRecord ? historyRecord.id : null
                 }
             };
         } catch (error) {
+            // Cancellation is not a failure; let callers recognize it as such
+            if (isAbortError(error)) {
+                throw error;
+            }
+
             console.error('Analysis failed:', error);
             throw new Error(`Analysis failed: ${error.message}`);
         }
@@ -76,55 +119,319 @@ class SecurityAnalyzer {
 
     /**
      * Initializes the analysis pipeline with specialized stages for
-     * comprehensive security analysis.
+     * comprehensive security analysis. Each stage declares the context keys
+     * it reads (`requires`) and the keys it adds (`produces`). Only triage
+     * is required; the rest may fail without losing the analysis.
      */
     initializeAnalysisPipeline() {
-        return [
+        const stages = [
             {
                 name: 'Initial Triage',
                 handler: this.performInitialTriage.bind(this),
-                priority: 1
+                priority: 1,
+                optional: false,
+                timeout: 10000,
+                requires: ['incident'],
+                produces: ['indicators', 'severity', 'risks', 'threatScore', 'initialAssessment']
             },
             {
                 name: 'Pattern Recognition',
                 handler: this.recognizePatterns.bind(this),
-                priority: 2
+                priority: 2,
+                optional: true,
+                timeout: 15000,
+                requires: ['incident', 'indicators'],
+                produces: ['patterns', 'temporal', 'progression', 'confidence']
             },
             {
                 name: 'Framework Analysis',
                 handler: this.analyzeWithFrameworks.bind(this),
-                priority: 3
+                priority: 3,
+                optional: true,
+                timeout: 20000,
+                requires: ['incident'],
+                produces: ['frameworkAnalysis', 'correlations', 'recommendations', 'applicability', 'controls']
             },
             {
                 name: 'Threat Assessment',
                 handler: this.assessThreats.bind(this),
-                priority: 4
+                priority: 4,
+                optional: true,
+                timeout: 15000,
+                requires: ['incident', 'indicators', 'risks'],
+                produces: ['threats', 'likelihood', 'impact', 'riskMatrix', 'prioritizedThreats']
             },
             {
                 name: 'Impact Analysis',
                 handler: this.analyzeImpact.bind(this),
-                priority: 5
+                priority: 5,
+                optional: true,
+                timeout: 15000,
+                requires: ['incident', 'indicators', 'severity'],
+                produces: ['technical', 'business', 'downstream', 'overall']
             }
-        ];
+        ].map(stage => this.normalizeStage(stage));
+
+        this.validatePipeline(stages);
+        return stages;
+    }
+
+    /**
+     * Registers a custom pipeline stage. Registering a name that already
+     * exists fails unless `replace` is set. The whole pipeline is validated
+     * before the change is applied, so a stage whose required context keys
+     * are not produced by an earlier stage is rejected immediately.
+     */
+    registerStage(stage, { replace = false } = {}) {
+        const normalized = this.normalizeStage(stage);
+        const exists = this.pipeline.some(existing => existing.name === normalized.name);
+
+        if (exists && !replace) {
+            throw new Error(`Pipeline stage already registered: ${normalized.name}`);
+        }
+
+        const candidate = exists
+            ? this.pipeline.map(existing => (existing.name === normalized.name ? normalized : existing))
+            : [...this.pipeline, normalized];
+
+        this.applyPipeline(candidate);
+        return this;
+    }
+
+    /**
+     * Replaces an existing stage, keeping its priority unless a new one is given.
+     */
+    replaceStage(name, stage) {
+        const existing = this.getStage(name);
+        return this.registerStage({
+            priority: existing.priority,
+            ...stage,
+            name
+        }, { replace: true });
+    }
+
+    /**
+     * Removes a stage. Fails if a remaining stage depends on its output.
+     */
+    removeStage(name) {
+        this.getStage(name);
+        this.applyPipeline(this.pipeline.filter(stage => stage.name !== name));
+        return this;
+    }
+
+    /**
+     * Enables a previously disabled stage.
+     */
+    enableStage(name) {
+        return this.updateStage(name, { enabled: true });
+    }
+
+    /**
+     * Disables a stage without removing it. Fails if an enabled stage
+     * depends on its output.
+     */
+    disableStage(name) {
+        return this.updateStage(name, { enabled: false });
+    }
+
+    /**
+     * Moves a single stage to a new priority.
+     */
+    setStagePriority(name, priority) {
+        return this.updateStage(name, { priority });
+    }
+
+    /**
+     * Reorders stages by name. Listed stages run first, in the given order;
+     * unlisted stages keep their relative order after them.
+     */
+    reorderStages(names) {
+        names.forEach(name => this.getStage(name));
+
+        const listed = names.map(name => this.getStage(name));
+        const unlisted = this.getOrderedStages(this.pipeline)
+            .filter(stage => !names.includes(stage.name));
+
+        this.applyPipeline(
+            [...listed, ...unlisted].map((stage, index) => ({ ...stage, priority: index + 1 }))
+        );
+        return this;
+    }
+
+    /**
+     * Returns a description of the configured stages in execution order.
+     */
+    getStages() {
+        return this.getOrderedStages(this.pipeline).map(({ handler, ...stage }) => ({
+            ...stage,
+            requires: [...stage.requires],
+            produces: [...stage.produces]
+        }));
+    }
+
+    /**
+     * Looks up a stage by name, failing if it is not registered.
+     */
+    getStage(name) {
+        const stage = this.pipeline.find(existing => existing.name === name);
+        if (!stage) {
+            throw new Error(`Pipeline stage not found: ${name}`);
+        }
+        return stage;
+    }
+
+    /**
+     * Applies a partial update to a stage after validating the result.
+     */
+    updateStage(name, changes) {
+        const stage = this.getStage(name);
+        const updated = this.normalizeStage({ ...stage, ...changes });
+
+        this.applyPipeline(
+            this.pipeline.map(existing => (existing.name === name ? updated : existing))
+        );
+        return this;
+    }
+
+    /**
+     * Validates a candidate pipeline and makes it the active one.
+     */
+    applyPipeline(candidate) {
+        this.validatePipeline(candidate);
+        this.pipeline = candidate;
+    }
+
+    /**
+     * Checks stage definitions and fills in defaults.
+     */
+    normalizeStage(stage) {
+        if (!stage || typeof stage.name !== 'string' || !stage.name) {
+            throw new Error('Pipeline stage requires a name');
+        }
+
+        if (typeof stage.handler !== 'function') {
+            throw new Error(`Pipeline stage ${stage.name} requires a handler function`);
+        }
+
+        if (!Number.isFinite(stage.priority)) {
+            throw new Error(`Pipeline stage ${stage.name} requires a numeric priority`);
+        }
+
+        if (stage.timeout !== undefined && !(stage.timeout > 0)) {
+            throw new Error(`Pipeline stage ${stage.name} requires a positive timeout`);
+        }
+
+        return {
+            ...stage,
+            requires: [...(stage.requires || [])],
+            produces: [...(stage.produces || [])],
+            enabled: stage.enabled !== false,
+            optional: stage.optional === true,
+            timeout: stage.timeout || DEFAULT_STAGE_TIMEOUT
+        };
+    }
+
+    /**
+     * Ensures every enabled stage's required context keys are available,
+     * either from the initial context or from an earlier enabled stage.
+     */
+    validatePipeline(stages) {
+        const available = new Set(BASE_CONTEXT_KEYS);
+
+        for (const stage of this.getOrderedStages(stages)) {
+            if (!stage.enabled) {
+                continue;
+            }
+
+            const missing = stage.requires.filter(key => !available.has(key));
+            if (missing.length > 0) {
+                throw new Error(
+                    `Pipeline stage ${stage.name} requires ${missing.join(', ')}, ` +
+                    'which no earlier stage produces'
+                );
+            }
+
+            stage.produces.forEach(key => available.add(key));
+        }
+    }
+
+    /**
+     * Sorts stages by priority; stages with equal priority keep
+     * registration order.
+     */
+    getOrderedStages(stages) {
+        return [...stages].sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Creates the initial context shared by all pipeline stages.
+     */
+    async initializeAnalysisContext(incident) {
+        return {
+            incident,
+            startedAt: new Date().toISOString()
+        };
     }
 
     /**
      * Executes the analysis pipeline in sequence, maintaining context
-     * between stages.
+     * between stages. Each stage runs under its own timeout. When an
+     * optional stage fails or times out the pipeline carries on, stages
+     * that needed its output are skipped, and the result is marked degraded.
+     * A failing required stage aborts the analysis. Aborting
+     * `options.signal` cancels the pipeline between or during stages.
      */
-    async executeAnalysisPipeline(context) {
+    async executeAnalysisPipeline(context, options = {}) {
         let currentContext = context;
         const results = [];
 
-        // Sort pipeline stages by priority
-        const sortedStages = [...this.pipeline]
-            .sort((a, b) => a.priority - b.priority);
+        // Sort enabled pipeline stages by priority
+        const sortedStages = this.getOrderedStages(this.pipeline)
+            .filter(stage => stage.enabled);
+
+        // Reports a stage's outcome to the progress listener
+        const reportCompletion = (stage, index) => {
+            const record = results[results.length - 1];
+            this.emitProgress(options, {
+                type: 'stage-complete',
+                stage: stage.name,
+                index,
+                total: sortedStages.length,
+                status: record.status,
+                result: record.result,
+                error: record.error,
+                duration: record.duration
+            });
+        };
 
         // Execute each stage in sequence
-        for (const stage of sortedStages) {
+        for (const [index, stage] of sortedStages.entries()) {
+            const stageStart = performance.now();
+            throwIfAborted(options.signal);
+
+            // Skip stages whose inputs were never produced because an earlier stage failed
+            const missing = stage.requires.filter(key => !(key in currentContext));
+            if (missing.length > 0) {
+                const error = new Error(`Missing context from earlier stages: ${missing.join(', ')}`);
+                results.push(this.createStageRecord(stage, 'skipped', { error, stageStart }));
+                reportCompletion(stage, index);
+
+                if (!stage.optional) {
+                    throw this.createPipelineError(stage, error, results);
+                }
+                continue;
+            }
+
+            this.emitProgress(options, {
+                type: 'stage-start',
+                stage: stage.name,
+                index,
+                total: sortedStages.length
+            });
+
             try {
                 console.log(`Executing pipeline stage: ${stage.name}`);
-                const stageResult = await stage.handler(currentContext);
+                const stageResult = await this.runStageWithTimeout(stage, currentContext, options.signal);
                 
                 // Update context with stage results
                 currentContext = {
@@ -132,23 +439,122 @@ class SecurityAnalyzer {
                     ...stageResult
                 };
 
-                results.push({
-                    stage: stage.name,
+                results.push(this.createStageRecord(stage, 'completed', {
                     result: stageResult,
-                    timestamp: new Date().toISOString()
-                });
+                    stageStart
+                }));
+                reportCompletion(stage, index);
             } catch (error) {
+                if (isAbortError(error) && options.signal && options.signal.aborted) {
+                    results.push(this.createStageRecord(stage, 'cancelled', { error, stageStart }));
+                    reportCompletion(stage, index);
+                    throw error;
+                }
+
+                const status = error.code === 'STAGE_TIMEOUT' ? 'timeout' : 'failed';
                 console.error(`Error in pipeline stage ${stage.name}:`, error);
-                throw new Error(`Pipeline stage ${stage.name} failed: ${error.message}`);
+                results.push(this.createStageRecord(stage, status, { error, stageStart }));
+                reportCompletion(stage, index);
+
+                if (!stage.optional) {
+                    throw this.createPipelineError(stage, error, results);
+                }
             }
         }
 
+        const degradedStages = results
+            .filter(record => record.status !== 'completed')
+            .map(record => record.stage);
+
         return {
             pipelineResults: results,
-            finalContext: currentContext
+            finalContext: currentContext,
+            degraded: degradedStages.length > 0,
+            degradedStages
         };
     }
 
+    /**
+     * Delivers a progress event to the caller's listener. Listener errors
+     * are logged and never interrupt the analysis.
+     */
+    emitProgress(options, event) {
+        if (typeof options.onProgress !== 'function') {
+            return;
+        }
+
+        try {
+            options.onProgress({
+                ...event,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Progress listener failed:', error);
+        }
+    }
+
+    /**
+     * Runs a stage handler, rejecting if it exceeds the stage timeout or
+     * the analysis is cancelled. The handler receives a signal that aborts
+     * in either case so long-running lookups can stop early.
+     */
+    runStageWithTimeout(stage, context, signal) {
+        const stageController = new AbortController();
+        let timer;
+
+        const forwardAbort = () => stageController.abort(signal.reason);
+        if (signal) {
+            signal.addEventListener('abort', forwardAbort, { once: true });
+        }
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new Error(`Stage timed out after ${stage.timeout}ms`);
+                error.code = 'STAGE_TIMEOUT';
+                stageController.abort(error);
+                reject(error);
+            }, stage.timeout);
+        });
+
+        const handlerResult = Promise.resolve()
+            .then(() => stage.handler(context, { signal: stageController.signal }));
+
+        return Promise.race([
+            raceWithAbort(handlerResult, signal),
+            timeout
+        ]).finally(() => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', forwardAbort);
+            }
+        });
+    }
+
+    /**
+     * Builds the per-stage record included in the pipeline results.
+     */
+    createStageRecord(stage, status, { result = null, error = null, stageStart }) {
+        return {
+            stage: stage.name,
+            status,
+            optional: stage.optional,
+            result,
+            error: error ? error.message : null,
+            duration: performance.now() - stageStart,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Wraps a required stage failure, keeping the records of the stages
+     * that did run for diagnostics.
+     */
+    createPipelineError(stage, cause, results) {
+        const error = new Error(`Pipeline stage ${stage.name} failed: ${cause.message}`);
+        error.pipelineResults = results;
+        return error;
+    }
+
     /**
      * Performs initial triage of the security incident, identifying
      * critical characteristics and immediate concerns.
@@ -159,14 +565,14 @@ class SecurityAnalyzer {
         // Extract key indicators
         const indicators = await this.extractIndicators(incident);
         
-        // Determine incident severity
-        const severity = this.assessSeverity(indicators);
-        
         // Identify immediate risks
         const risks = this.identifyImmediateRisks(indicators);
         
         // Calculate initial threat score
-        const threatScore = this.calculateThreatScore(indicators, risks);
+        const threatScore = this.calculateThreatScore(indicators, risks, context);
+        
+        // Determine incident severity
+        const severity = this.assessSeverity(threatScore);
 
         return {
             indicators,
@@ -181,6 +587,123 @@ class SecurityAnalyzer {
         };
     }
 
+    /**
+     * Extracts typed, de-duplicated indicators of compromise from the
+     * incident text. Offsets are relative to the flattened incident text.
+     */
+    async extractIndicators(incident) {
+        const text = getIncidentText(incident);
+        return this.indicatorExtractor.extract(text);
+    }
+
+    /**
+     * Identifies compound risks (ransom payment, persistence, phishing...)
+     * that warrant immediate attention.
+     */
+    identifyImmediateRisks(indicators) {
+        return this.severityModel.identifyRisks(indicators);
+    }
+
+    /**
+     * Calculates the 0-100 threat score along with a breakdown of every
+     * factor that contributed points.
+     */
+    calculateThreatScore(indicators, risks, context = {}) {
+        const incident = context.incident || {};
+
+        return this.severityModel.score({
+            indicators,
+            risks,
+            techniques: [
+                ...(context.techniques || incident.techniques || []),
+                ...this.mapTechniques(context.incident)
+            ],
+            assetCriticality: context.assetCriticality ||
+                incident.assetCriticality ||
+                this.identifyAffectedAssets(incident, indicators).criticality
+        });
+    }
+
+    /**
+     * ATT&CK techniques mapped from the incident text, so triage scores
+     * what the technique mapper finds before framework analysis runs. The
+     * framework guide keeps the mapping for the Framework Analysis stage.
+     * Mapping is supplementary to triage, so failures are logged and
+     * scoring continues with the reported techniques.
+     */
+    mapTechniques(incident) {
+        if (!incident) {
+            return [];
+        }
+
+        try {
+            return this.frameworkGuide.getTechniqueMapping(incident);
+        } catch (error) {
+            console.error('Technique mapping failed during triage:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Resolves the incident's indicators, event hosts and text to assets in
+     * the inventory and summarizes what they support.
+     */
+    identifyAffectedAssets(incident, indicators = []) {
+        return this.assetInventory.assessBusinessImpact({
+            indicators,
+            hostnames: getIncidentHosts(incident),
+            text: getIncidentText(incident)
+        });
+    }
+
+    /**
+     * Bands triage scores with the given severity thresholds, so triage
+     * severity follows the thresholds of the threat scoring profile.
+     */
+    setSeverityThresholds(thresholds) {
+        this.severityModel.setThresholds(thresholds);
+    }
+
+    /**
+     * Maps the threat score onto the configured severity bands.
+     */
+    assessSeverity(threatScore) {
+        return threatScore.severity;
+    }
+
+    /**
+     * Lists the factors that drove the rating, highest contribution first.
+     */
+    identifyCriticalFactors(indicators, risks) {
+        return [...risks]
+            .sort((a, b) => b.points - a.points)
+            .map(risk => ({
+                id: risk.id,
+                title: risk.title,
+                description: risk.description,
+                indicators: risk.indicators
+            }));
+    }
+
+    /**
+     * Determines the first actions to take based on severity and risks.
+     */
+    determineImmediateActions(severity, risks) {
+        const actions = risks.map(risk => ({
+            riskId: risk.id,
+            action: risk.recommendedAction
+        }));
+
+        if (severity === 'critical' || severity === 'high') {
+            actions.unshift({
+                riskId: null,
+                action: `Escalate to the on-call incident lead (${severity} severity).`
+            });
+        }
+
+        return actions;
+    }
+
     /**
      * Recognizes patterns in the security incident by comparing with
      * known attack patterns and historical data.
@@ -212,14 +735,159 @@ class SecurityAnalyzer {
         };
     }
 
+    /**
+     * Collects the characteristics used for pattern matching, including the
+     * incident's normalized event timeline.
+     */
+    extractCharacteristics(context) {
+        const incident = context.incident || {};
+        const indicators = context.indicators || [];
+        const timeline = this.timelineAnalyzer.normalize(incident);
+
+        const unique = values => Array.from(new Set(values.filter(Boolean)));
+
+        return {
+            indicators,
+            indicatorTypes: unique(indicators.map(indicator => indicator.type)),
+            techniques: unique([
+                ...this.collectTechniqueIds(incident, context),
+                ...timeline.flatMap(event => event.techniques)
+            ]),
+            tactics: unique(timeline.flatMap(event => event.tactics)),
+            hosts: unique(timeline.map(event => event.host)),
+            users: unique(timeline.map(event => event.user)),
+            timeline,
+            detectedAt: incident.detectedAt || null
+        };
+    }
+
+    /**
+     * Matches characteristics against the known patterns in the pattern
+     * database. A pattern's score is the share of its techniques, tactics
+     * and indicator types observed in this incident.
+     */
+    async findPatternMatches(characteristics) {
+        const matches = [];
+
+        this.analysisState.patternDatabase.forEach((pattern, id) => {
+            const expected = {
+                techniques: pattern.techniques || [],
+                tactics: pattern.tactics || [],
+                indicatorTypes: pattern.indicatorTypes || []
+            };
+
+            const matched = {};
+            let expectedCount = 0;
+            let matchedCount = 0;
+
+            Object.keys(expected).forEach(key => {
+                matched[key] = expected[key].filter(value => characteristics[key].includes(value));
+                expectedCount += expected[key].length;
+                matchedCount += matched[key].length;
+            });
+
+            if (matchedCount > 0) {
+                matches.push({
+                    id,
+                    name: pattern.name || id,
+                    score: Number((matchedCount / expectedCount).toFixed(2)),
+                    matched
+                });
+            }
+        });
+
+        return matches.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Analyzes the incident timeline for bursts, beaconing, dwell time and
+     * kill-chain ordering, and checks history for earlier incidents that
+     * shared indicators with this one.
+     */
+    async analyzeTemporalPatterns(characteristics, historyStore) {
+        const temporal = this.timelineAnalyzer.analyze(characteristics.timeline, {
+            detectedAt: characteristics.detectedAt
+        });
+
+        return {
+            ...temporal,
+            recurrence: await this.findRecurrence(characteristics.indicators, historyStore)
+        };
+    }
+
+    /**
+     * Looks up recent analyses that involved the same indicators. History
+     * is supplementary, so lookup failures only mark it unavailable.
+     */
+    async findRecurrence(indicators, historyStore) {
+        if (!historyStore || indicators.length === 0) {
+            return { relatedCount: 0, related: [], available: Boolean(historyStore) };
+        }
+
+        try {
+            const related = await historyStore.findRelated(indicators, { days: 30 });
+
+            return {
+                relatedCount: related.length,
+                related: related.slice(0, 10).map(({ record, sharedIndicators }) => ({
+                    id: record.id,
+                    incidentId: record.incidentId,
+                    timestamp: new Date(record.timestamp).toISOString(),
+                    severity: record.severity,
+                    sharedIndicators
+                })),
+                available: true
+            };
+        } catch (error) {
+            console.error('Historical lookup failed:', error);
+            return { relatedCount: 0, related: [], available: false };
+        }
+    }
+
+    /**
+     * Describes how far the attack has progressed along the kill chain and
+     * which tactics are likely to follow.
+     */
+    identifyAttackProgression(patternMatches, temporalAnalysis) {
+        const { killChain, beaconing } = temporalAnalysis;
+        const observed = killChain.sequence.map(entry => entry.tactic);
+
+        const nextLikelyStages = killChain.furthestIndex >= 0
+            ? ATTACK_TACTICS
+                .slice(killChain.furthestIndex + 1)
+                .map(tactic => tactic.name)
+                .filter(tactic => !observed.includes(tactic))
+                .slice(0, 2)
+            : [];
+
+        return {
+            stages: killChain.sequence,
+            currentStage: killChain.furthestStage,
+            nextLikelyStages,
+            coverage: killChain.coverage,
+            ordered: killChain.ordered,
+            // Regular beaconing means the attacker likely still has access
+            activeCommandAndControl: beaconing.length > 0,
+            relatedPatterns: patternMatches.map(match => match.name)
+        };
+    }
+
+    /**
+     * Confidence in pattern recognition is the best pattern match score.
+     */
+    calculatePatternConfidence(patternMatches) {
+        return patternMatches.reduce((best, match) => Math.max(best, match.score), 0);
+    }
+
     /**
      * Analyzes the incident through multiple security frameworks to
      * provide comprehensive understanding.
      */
-    async analyzeWithFrameworks(context) {
+    async analyzeWithFrameworks(context, { signal } = {}) {
         // Get framework analysis
         const frameworkAnalysis = await this.frameworkGuide.analyzeIncident(
-            context.incident
+            context.incident,
+            { signal }
         );
 
         // Correlate across frameworks
@@ -235,8 +903,132 @@ class SecurityAnalyzer {
             frameworkAnalysis,
             correlations,
             recommendations,
-            applicability: this.assessFrameworkApplicability(frameworkAnalysis)
+            applicability: this.assessFrameworkApplicability(frameworkAnalysis),
+            controls: this.summarizeControlStatus(frameworkAnalysis)
+        };
+    }
+
+    /**
+     * Ties each mapped ATT&CK technique to what every framework says about
+     * it: ATT&CK mitigations, D3FEND countermeasures and the controls
+     * covering it in each control framework.
+     */
+    correlateFrameworkInsights(frameworkResult) {
+        const analysis = frameworkResult.frameworkAnalysis || {};
+        const mitre = analysis.mitre || {};
+        const controls = analysis.controls || {};
+
+        return (mitre.techniques || []).map(technique => ({
+            technique: technique.id,
+            name: technique.name,
+            confidence: technique.confidence,
+            mitigations: (mitre.mitigations || [])
+                .filter(mitigation => mitigation.techniques.includes(technique.id))
+                .map(mitigation => mitigation.id),
+            countermeasures: (mitre.countermeasures || [])
+                .filter(countermeasure => countermeasure.techniques.includes(technique.id))
+                .map(countermeasure => countermeasure.id),
+            controls: Object.keys(controls).reduce((covering, key) => {
+                covering[key] = controls[key].controls
+                    .filter(control => control.techniques.includes(technique.id))
+                    .map(control => control.id);
+                return covering;
+            }, {})
+        }));
+    }
+
+    /**
+     * Framework recommendations as `{priority, title, description}`, most
+     * urgent first: containment for the observed tactics, preventive
+     * controls that failed, then ATT&CK mitigations with the D3FEND
+     * countermeasures addressing the same techniques.
+     */
+    generateFrameworkRecommendations(frameworkResult, correlations) {
+        const recommendations = frameworkResult.recommendations || {};
+        const controls = (frameworkResult.frameworkAnalysis && frameworkResult.frameworkAnalysis.controls) || {};
+        const countermeasures = new Map((recommendations.mitigation || [])
+            .filter(entry => entry.source === 'd3fend')
+            .map(entry => [entry.id, entry]));
+
+        const immediate = (recommendations.immediate || []).map(entry => ({
+            priority: 'immediate',
+            title: entry.action,
+            description: `Observed: ${entry.techniques.join(', ')}`,
+            source: entry.tactic ? 'attack' : 'atlas',
+            techniques: entry.techniques
+        }));
+
+        const failedControls = Object.keys(controls).flatMap(key => controls[key].controls
+            .filter(control => control.status === 'failed')
+            .map(control => ({
+                priority: 'remediate',
+                title: `${control.id} ${control.title}`,
+                description: `${controls[key].framework.name} control did not stop ${control.techniques.join(', ')}`,
+                source: controls[key].framework.id,
+                techniques: control.techniques
+            })));
+
+        const mitigations = (recommendations.mitigation || [])
+            .filter(entry => entry.source !== 'd3fend')
+            .map(entry => ({
+                priority: 'mitigate',
+                title: `${entry.id} ${entry.name}`,
+                description: (entry.relatedCountermeasures || []).length > 0
+                    ? `${entry.description} Related D3FEND countermeasures: ${entry.relatedCountermeasures
+                        .map(id => (countermeasures.has(id) ? `${id} ${countermeasures.get(id).name}` : id))
+                        .join(', ')}`
+                    : entry.description,
+                source: entry.source,
+                techniques: entry.techniques
+            }));
+
+        // Mitigations addressing the most confident techniques first
+        const confidence = new Map(correlations.map(entry => [entry.technique, entry.confidence]));
+        const bestConfidence = entry => Math.max(0, ...entry.techniques.map(id => confidence.get(id) || 0));
+        mitigations.sort((a, b) => bestConfidence(b) - bestConfidence(a));
+
+        return [...immediate, ...failedControls, ...mitigations];
+    }
+
+    /**
+     * Whether each framework had anything to say about the incident: mapped
+     * ATT&CK or ATLAS techniques, D3FEND countermeasures, or controls
+     * matched by the incident rather than applying to every incident.
+     */
+    assessFrameworkApplicability(frameworkResult) {
+        const analysis = frameworkResult.frameworkAnalysis || {};
+        const mitre = analysis.mitre || {};
+        const atlas = analysis.atlas || {};
+        const controls = analysis.controls || {};
+
+        const applicability = {
+            mitre: { applicable: (mitre.techniques || []).length > 0, matched: (mitre.techniques || []).length },
+            atlas: { applicable: (atlas.threats || []).length > 0, matched: (atlas.threats || []).length },
+            d3fend: { applicable: (mitre.countermeasures || []).length > 0, matched: (mitre.countermeasures || []).length }
         };
+
+        Object.keys(controls).forEach(key => {
+            const matched = controls[key].controls
+                .filter(control => control.techniques.length > 0 || control.tactics.length > 0)
+                .length;
+            applicability[key] = { applicable: matched > 0, matched };
+        });
+
+        return applicability;
+    }
+
+    /**
+     * Failed and applied control IDs per control framework, for GRC
+     * reporting on the incident.
+     */
+    summarizeControlStatus(frameworkResult) {
+        const controls = (frameworkResult.frameworkAnalysis && frameworkResult.frameworkAnalysis.controls) || {};
+
+        return Object.keys(controls).reduce((summary, key) => {
+            const { framework, failed, applied } = controls[key];
+            summary[key] = { framework: `${framework.name} ${framework.version}`, failed, applied };
+            return summary;
+        }, {});
     }
 
     /**
@@ -265,6 +1057,200 @@ class SecurityAnalyzer {
         };
     }
 
+    /**
+     * Replaces the risk matrix configuration, e.g. to match a corporate
+     * risk register. Invalid configurations throw and leave the current
+     * matrix in place.
+     */
+    configureRiskMatrix(config) {
+        this.riskMatrix = new RiskMatrix(config);
+        return this.riskMatrix.toJSON();
+    }
+
+    /**
+     * Identifies the threats to assess: the risks found during triage,
+     * active command and control seen in the timeline, an attack that has
+     * reached its objective, and techniques mapped by framework analysis.
+     */
+    async identifyThreats(context) {
+        const threats = (context.risks || []).map(risk => ({
+            id: risk.id,
+            title: risk.title,
+            description: risk.description,
+            source: 'triage',
+            indicators: risk.indicators || [],
+            points: risk.points || 0
+        }));
+
+        const progression = context.progression;
+        if (progression && progression.activeCommandAndControl) {
+            threats.push({
+                id: 'active-command-and-control',
+                title: 'Active command and control',
+                description: 'Regular beaconing shows the attacker likely still has access.',
+                source: 'timeline',
+                indicators: (context.temporal ? context.temporal.beaconing : [])
+                    .map(beacon => beacon.destination)
+            });
+        }
+
+        if (progression && ['exfiltration', 'impact'].includes(progression.currentStage)) {
+            threats.push({
+                id: 'attack-objective-reached',
+                title: `Attack reached ${progression.currentStage}`,
+                description: 'Events show the attacker acting on their objective.',
+                source: 'timeline',
+                indicators: []
+            });
+        }
+
+        const frameworkResult = context.frameworkAnalysis || {};
+        const mitre = (frameworkResult.frameworkAnalysis && frameworkResult.frameworkAnalysis.mitre) || {};
+        (mitre.techniques || []).forEach(technique => {
+            const id = typeof technique === 'string' ? technique : technique.id;
+            if (!id) {
+                return;
+            }
+
+            threats.push({
+                id: `technique:${id}`,
+                title: (technique && technique.name) || `Technique ${id}`,
+                description: `Activity consistent with ATT&CK technique ${id}.`,
+                source: 'framework',
+                indicators: [],
+                confidence: technique && technique.confidence,
+                evidence: (technique && technique.evidence) || []
+            });
+        });
+
+        return threats;
+    }
+
+    /**
+     * Scores how likely each threat is on a 0-1 scale from the strength of
+     * the evidence behind it. Every adjustment is recorded as a factor.
+     */
+    evaluateThreatLikelihood(threats, context) {
+        const recurrence = context.temporal && context.temporal.recurrence;
+        const seenBefore = Boolean(recurrence && recurrence.relatedCount > 0);
+
+        return threats.map(threat => {
+            const factors = [];
+            let score;
+
+            if (threat.source === 'timeline') {
+                // Directly observed in the event timeline
+                score = 0.9;
+                factors.push('Observed in the incident timeline');
+            } else if (threat.source === 'triage') {
+                score = 0.4 + Math.min(0.3, 0.1 * threat.indicators.length);
+                factors.push(`${threat.indicators.length} supporting indicator(s)`);
+            } else if (typeof threat.confidence === 'number') {
+                // Technique mapping confidence, from the evidence spans behind it
+                score = 0.2 + 0.6 * threat.confidence;
+                factors.push(`Mapped to ATT&CK with ${Math.round(threat.confidence * 100)}% confidence from ${threat.evidence.length} evidence span(s)`);
+            } else {
+                score = 0.3;
+                factors.push('Inferred from framework mapping');
+            }
+
+            if (seenBefore) {
+                score += 0.1;
+                factors.push(`Indicators seen in ${recurrence.relatedCount} recent incident(s)`);
+            }
+
+            return {
+                threatId: threat.id,
+                score: Number(Math.min(1, score).toFixed(2)),
+                factors
+            };
+        });
+    }
+
+    /**
+     * Scores each threat's potential impact on a 0-1 scale from its triage
+     * weight and the criticality of the affected assets.
+     */
+    assessPotentialImpact(threats, context) {
+        const incident = context.incident || {};
+        const assetCriticality = context.assetCriticality || incident.assetCriticality;
+        const assetBoost = { critical: 0.3, high: 0.2, medium: 0.1 }[
+            typeof assetCriticality === 'string' ? assetCriticality.toLowerCase() : ''
+        ] || 0;
+
+        return threats.map(threat => {
+            const factors = [];
+            let score;
+
+            if (threat.id === 'attack-objective-reached') {
+                score = 0.9;
+                factors.push('Attacker has reached their objective');
+            } else if (threat.id === 'active-command-and-control') {
+                score = 0.7;
+                factors.push('Attacker can issue further commands');
+            } else if (threat.points) {
+                // The highest-weighted triage risk (20 points) is the most damaging
+                score = Math.min(1, threat.points / 20);
+                factors.push(`Triage weight ${threat.points} points`);
+            } else {
+                score = 0.5;
+                factors.push('Default impact for mapped technique');
+            }
+
+            if (assetBoost > 0) {
+                score += assetBoost;
+                factors.push(`Involves a ${assetCriticality.toLowerCase()}-criticality asset`);
+            }
+
+            return {
+                threatId: threat.id,
+                score: Number(Math.min(1, score).toFixed(2)),
+                factors
+            };
+        });
+    }
+
+    /**
+     * Places every threat on the configured risk matrix.
+     */
+    generateRiskMatrix(likelihood, impact) {
+        const impactByThreat = new Map(impact.map(entry => [entry.threatId, entry]));
+
+        const placements = likelihood.map(entry => this.riskMatrix.place(
+            entry.threatId,
+            entry.score,
+            impactByThreat.has(entry.threatId) ? impactByThreat.get(entry.threatId).score : 0
+        ));
+
+        return this.riskMatrix.build(placements);
+    }
+
+    /**
+     * Orders threats by their matrix rating, then by cell position and the
+     * underlying scores, so the most serious threat comes first.
+     */
+    prioritizeThreats(threats, riskMatrix) {
+        const placements = new Map(riskMatrix.placements.map(placement => [placement.threatId, placement]));
+        const rawScore = placement => placement.likelihood.score * placement.impact.score;
+
+        return threats
+            .filter(threat => placements.has(threat.id))
+            .map(threat => ({ ...threat, placement: placements.get(threat.id) }))
+            .sort((a, b) => (
+                b.placement.ratingRank - a.placement.ratingRank ||
+                b.placement.riskScore - a.placement.riskScore ||
+                rawScore(b.placement) - rawScore(a.placement)
+            ))
+            .map(({ placement, ...threat }, index) => ({
+                ...threat,
+                priority: index + 1,
+                rating: placement.rating,
+                likelihood: placement.likelihood,
+                impact: placement.impact,
+                riskScore: placement.riskScore
+            }));
+    }
+
     /**
      * Analyzes the potential impact of the security incident across
      * different dimensions.
@@ -294,6 +1280,83 @@ class SecurityAnalyzer {
         };
     }
 
+    /**
+     * Summarizes the technical footprint of the incident: severity, hosts
+     * seen in the timeline, indicator counts and compromise types.
+     */
+    assessTechnicalImpact(context) {
+        const timeline = context.temporal ? context.temporal.timeline : [];
+        const indicatorCounts = {};
+        (context.indicators || []).forEach(indicator => {
+            indicatorCounts[indicator.type] = (indicatorCounts[indicator.type] || 0) + 1;
+        });
+
+        return {
+            severity: context.severity,
+            affectedHosts: Array.from(new Set(timeline.map(event => event.host).filter(Boolean))),
+            indicatorCounts,
+            compromiseTypes: (context.risks || []).map(risk => risk.id),
+            killChainStage: context.progression ? context.progression.currentStage : null
+        };
+    }
+
+    /**
+     * Determines which assets, business services and data classes the
+     * incident directly affects, using the asset inventory.
+     */
+    evaluateBusinessImpact(context) {
+        return this.identifyAffectedAssets(context.incident, context.indicators || []);
+    }
+
+    /**
+     * Walks asset dependencies to find what else is affected when the
+     * directly affected assets are compromised or taken offline.
+     */
+    analyzeDownstreamEffects(technicalImpact, businessImpact) {
+        const directIds = businessImpact.affectedAssets.map(asset => asset.id);
+        const downstream = this.assetInventory.getDownstream(directIds);
+        const summary = this.assetInventory.summarize(downstream.map(({ asset }) => asset));
+
+        return {
+            dependentAssets: downstream.map(({ asset, depth, via }) => ({
+                id: asset.id,
+                name: asset.name,
+                owner: asset.owner,
+                criticality: asset.criticality,
+                depth,
+                via
+            })),
+            additionalServices: summary.businessServices
+                .filter(service => !businessImpact.businessServices.includes(service)),
+            additionalDataClasses: summary.dataClasses
+                .filter(dataClass => !businessImpact.dataClasses.includes(dataClass)),
+            crownJewels: summary.crownJewels,
+            criticality: summary.criticality,
+            maxDepth: downstream.reduce((max, entry) => Math.max(max, entry.depth), 0)
+        };
+    }
+
+    /**
+     * Combines technical, business and downstream impact into an overall
+     * level and the full set of affected services and data classes.
+     */
+    calculateOverallImpact(technicalImpact, businessImpact, downstreamEffects) {
+        const levels = ['low', 'medium', 'high', 'critical'];
+        const level = [technicalImpact.severity, businessImpact.criticality, downstreamEffects.criticality]
+            .filter(candidate => levels.includes(candidate))
+            .reduce((highest, candidate) => (
+                levels.indexOf(candidate) > levels.indexOf(highest) ? candidate : highest
+            ), null);
+
+        return {
+            level: level || 'unknown',
+            affectedServices: [...businessImpact.businessServices, ...downstreamEffects.additionalServices],
+            affectedDataClasses: [...businessImpact.dataClasses, ...downstreamEffects.additionalDataClasses],
+            crownJewelsAffected: businessImpact.crownJewels.length > 0 || downstreamEffects.crownJewels.length > 0,
+            assetCount: businessImpact.affectedAssets.length + downstreamEffects.dependentAssets.length
+        };
+    }
+
     /**
      * Generates actionable insights based on the complete analysis.
      */
@@ -302,14 +1365,131 @@ class SecurityAnalyzer {
             keyFindings: this.extractKeyFindings(analysisResults),
             recommendations: await this.generateRecommendations(analysisResults),
             nextSteps: this.determineNextSteps(analysisResults),
-            learningPoints: await this.mentor.identifyLearningOpportunities(
-                analysisResults
-            )
+            learningPoints: await this.identifyLearningPoints(analysisResults)
+        };
+    }
+
+    /**
+     * Summarizes what the analysis found, most important first: severity,
+     * the highest-rated threats, attack progress and business impact.
+     */
+    extractKeyFindings(analysisResults) {
+        const context = analysisResults.finalContext || {};
+        const findings = [];
+
+        if (context.threatScore) {
+            findings.push({
+                type: 'severity',
+                message: `${context.threatScore.severity} severity (threat score ${context.threatScore.score}/100)`
+            });
+        }
+
+        (context.prioritizedThreats || []).slice(0, 3).forEach(threat => {
+            findings.push({
+                type: 'threat',
+                message: `${threat.title}: ${threat.rating} risk`
+            });
+        });
+
+        if (context.progression && context.progression.currentStage) {
+            findings.push({
+                type: 'progression',
+                message: `Attack reached ${context.progression.currentStage}` +
+                    (context.progression.activeCommandAndControl ? ' with active command and control' : '')
+            });
+        }
+
+        const overall = context.overall;
+        if (overall && overall.affectedServices.length > 0) {
+            findings.push({
+                type: 'impact',
+                message: `Affects ${overall.affectedServices.join(', ')}` +
+                    (overall.crownJewelsAffected ? ' including crown-jewel assets' : '')
+            });
+        }
+
+        if (analysisResults.degraded) {
+            findings.push({
+                type: 'degraded',
+                message: `Incomplete analysis: ${analysisResults.degradedStages.join(', ')} did not finish`
+            });
+        }
+
+        return findings;
+    }
+
+    /**
+     * Collects the immediate actions from triage and the framework
+     * recommendations, when framework analysis ran.
+     */
+    async generateRecommendations(analysisResults) {
+        const context = analysisResults.finalContext || {};
+        const initialAssessment = context.initialAssessment || {};
+
+        return {
+            immediate: (initialAssessment.immediateActions || []).map(entry => entry.action),
+            framework: context.recommendations || []
         };
     }
 
+    /**
+     * Suggests what the analyst should look at next: stages that did not
+     * finish, tactics likely to follow, and related past incidents.
+     */
+    determineNextSteps(analysisResults) {
+        const context = analysisResults.finalContext || {};
+        const steps = [];
+
+        if (analysisResults.degraded) {
+            steps.push(`Re-run the analysis once ${analysisResults.degradedStages.join(', ')} can complete`);
+        }
+
+        const progression = context.progression;
+        if (progression && progression.activeCommandAndControl) {
+            steps.push('Block the beaconing destinations and look for other hosts contacting them');
+        }
+
+        ((progression && progression.nextLikelyStages) || []).forEach(tactic => {
+            steps.push(`Hunt for ${tactic} activity`);
+        });
+
+        const recurrence = context.temporal && context.temporal.recurrence;
+        if (recurrence && recurrence.relatedCount > 0) {
+            steps.push(`Review ${recurrence.relatedCount} recent incident(s) sharing indicators with this one`);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Asks the mentor for educational content. Mentorship is supplementary,
+     * so failures are logged and leave the analysis without it.
+     */
+    async provideEducation(incident, analysisResults) {
+        try {
+            return await this.mentor.provideMentorship(incident, analysisResults);
+        } catch (error) {
+            console.error('Mentorship failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Asks the mentor which learning opportunities the analysis offers,
+     * logging failures like provideEducation.
+     */
+    async identifyLearningPoints(analysisResults) {
+        try {
+            return await this.mentor.identifyLearningOpportunities(analysisResults);
+        } catch (error) {
+            console.error('Learning opportunity lookup failed:', error);
+            return [];
+        }
+    }
+
     /**
      * Calculates confidence scores for different aspects of the analysis.
+     * Aspects whose stage did not complete score null.
      */
     calculateConfidenceScores(analysis) {
         return {
@@ -320,6 +1500,137 @@ class SecurityAnalyzer {
             overall: this.calculateOverallConfidence(analysis)
         };
     }
+
+    /**
+     * Best pattern match score from pattern recognition.
+     */
+    calculatePatternMatchConfidence(analysis) {
+        const context = analysis.finalContext || {};
+        return typeof context.confidence === 'number' ? context.confidence : null;
+    }
+
+    /**
+     * Mean confidence of the ATT&CK techniques mapped from the incident.
+     */
+    calculateFrameworkAlignmentConfidence(analysis) {
+        const frameworkResult = (analysis.finalContext || {}).frameworkAnalysis;
+        if (!frameworkResult) {
+            return null;
+        }
+
+        const mitre = (frameworkResult.frameworkAnalysis && frameworkResult.frameworkAnalysis.mitre) || {};
+        const scores = (mitre.techniques || [])
+            .map(technique => technique && technique.confidence)
+            .filter(score => typeof score === 'number');
+
+        return scores.length > 0
+            ? Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2))
+            : 0;
+    }
+
+    /**
+     * Mean likelihood of the assessed threats.
+     */
+    calculateThreatAssessmentConfidence(analysis) {
+        const likelihood = (analysis.finalContext || {}).likelihood;
+        if (!likelihood) {
+            return null;
+        }
+
+        return likelihood.length > 0
+            ? Number((likelihood.reduce((sum, entry) => sum + entry.score, 0) / likelihood.length).toFixed(2))
+            : 0;
+    }
+
+    /**
+     * Impact is well founded when the incident resolved to inventory
+     * assets, and a guess from severity alone otherwise.
+     */
+    calculateImpactAnalysisConfidence(analysis) {
+        const business = (analysis.finalContext || {}).business;
+        if (!business) {
+            return null;
+        }
+
+        return business.affectedAssets.length > 0 ? 0.8 : 0.4;
+    }
+
+    /**
+     * Mean of the aspect scores that are available, scaled down by the
+     * share of pipeline stages that did not complete.
+     */
+    calculateOverallConfidence(analysis) {
+        const scores = [
+            this.calculatePatternMatchConfidence(analysis),
+            this.calculateFrameworkAlignmentConfidence(analysis),
+            this.calculateThreatAssessmentConfidence(analysis),
+            this.calculateImpactAnalysisConfidence(analysis)
+        ].filter(score => score !== null);
+
+        const records = analysis.pipelineResults || [];
+        if (scores.length === 0 || records.length === 0) {
+            return 0;
+        }
+
+        const completed = records.filter(record => record.status === 'completed').length;
+        const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        return Number((mean * completed / records.length).toFixed(2));
+    }
+
+    /**
+     * Records a completed analysis in the history store. Storage problems
+     * are logged rather than thrown so they never fail an analysis.
+     */
+    async updateHistoricalContext(incident, analysisResults) {
+        const finalContext = analysisResults.finalContext || {};
+        const threatScore = finalContext.threatScore || {};
+
+        try {
+            return await this.analysisState.historicalContext.record({
+                id: `analysis_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+                incidentId: (incident && incident.id) || null,
+                timestamp: Date.now(),
+                summary: getIncidentText(incident).slice(0, 280),
+                severity: finalContext.severity || null,
+                score: typeof threatScore.score === 'number' ? threatScore.score : null,
+                indicators: (finalContext.indicators || []).map(({ type, value }) => ({ type, value })),
+                techniques: this.collectTechniqueIds(incident, finalContext),
+                degraded: Boolean(analysisResults.degraded)
+            });
+        } catch (error) {
+            console.error('Failed to update historical context:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Collects the ATT&CK technique IDs supplied with the incident or
+     * mapped during framework analysis.
+     */
+    collectTechniqueIds(incident, context) {
+        const frameworkResult = context.frameworkAnalysis || {};
+        const mitre = (frameworkResult.frameworkAnalysis && frameworkResult.frameworkAnalysis.mitre) || {};
+
+        const techniques = [
+            ...((incident && incident.techniques) || []),
+            ...(context.techniques || []),
+            ...(mitre.techniques || [])
+        ];
+
+        const ids = techniques
+            .map(technique => (typeof technique === 'string' ? technique : technique && technique.id))
+            .filter(Boolean);
+
+        return Array.from(new Set(ids));
+    }
+
+    /**
+     * Finds past analyses sharing indicators with the given set, e.g. all
+     * incidents that involved the same infrastructure in the last 30 days.
+     */
+    async findRelatedIncidents(indicators, options = {}) {
+        return this.analysisState.historicalContext.findRelated(indicators, options);
+    }
 }
 
 export default SecurityAnalyzer;
\ No newline at end of file
@@ -0,0 +1,471 @@
+// src/core/toad/asset-inventory.js
+
+// chrome.storage.local key holding the loaded inventory
+const STORAGE_KEY = 'toadSageAssetInventory';
+
+// Data classifications from least to most sensitive
+const DATA_CLASSIFICATIONS = ['public', 'internal', 'confidential', 'restricted'];
+
+// Asset criticality from least to most critical
+const CRITICALITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Candidate hostnames and IP addresses in free text
+const HOST_TOKEN = /[A-Za-z0-9][A-Za-z0-9.:_-]*[A-Za-z0-9]/g;
+
+// Dependency walks stop after this many hops
+const DEFAULT_MAX_DEPTH = 5;
+
+// Accepted column/property names for each asset field
+const FIELD_ALIASES = {
+    id: ['id', 'asset_id', 'assetId'],
+    name: ['name', 'asset_name', 'assetName'],
+    hostnames: ['hostnames', 'hostname', 'host', 'fqdn'],
+    ips: ['ips', 'ip', 'ip_address', 'ipAddress', 'addresses'],
+    owner: ['owner', 'asset_owner', 'assetOwner'],
+    businessServices: ['businessServices', 'business_services', 'services', 'service'],
+    dataClassification: ['dataClassification', 'data_classification', 'classification'],
+    crownJewel: ['crownJewel', 'crown_jewel', 'crownjewel'],
+    criticality: ['criticality', 'asset_criticality'],
+    dependencies: ['dependencies', 'depends_on', 'dependsOn']
+};
+
+const MULTI_VALUE_FIELDS = ['hostnames', 'ips', 'businessServices', 'dependencies'];
+
+/**
+ * AssetInventory holds the organization's assets (hosts, owners, data
+ * classification, crown-jewel flags and dependencies) so analysis can tell
+ * which business services and data an incident touches. Inventories are
+ * loaded from JSON or CSV and persisted in chrome.storage.local.
+ */
+class AssetInventory {
+    constructor() {
+        this.assets = new Map();
+        this.byHostname = new Map();
+        this.byShortName = new Map();
+        this.byIp = new Map();
+        this.dependents = new Map();
+        this.loadedAt = null;
+    }
+
+    get size() {
+        return this.assets.size;
+    }
+
+    /**
+     * Replaces the inventory with assets parsed from JSON or CSV. Rows that
+     * cannot be used, including repeated asset IDs, are reported in `errors`
+     * instead of failing the load; a load where no row is usable throws and
+     * keeps the current inventory.
+     */
+    load(data, { format } = {}) {
+        const records = this.parseRecords(data, format);
+        const errors = [];
+        const assets = new Map();
+
+        records.forEach((record, index) => {
+            try {
+                const asset = this.normalizeAsset(record, index);
+                if (assets.has(asset.id)) {
+                    throw new Error(`Duplicate asset id "${asset.id}", first seen on row ${assets.get(asset.id).row}`);
+                }
+                assets.set(asset.id, { row: index + 1, asset });
+            } catch (error) {
+                errors.push({ row: index + 1, error: error.message });
+            }
+        });
+
+        if (assets.size === 0 && errors.length > 0) {
+            const error = new Error(`Asset inventory not loaded: none of its ${errors.length} rows could be used`);
+            error.code = 'INVALID_INVENTORY';
+            error.errors = errors;
+            throw error;
+        }
+
+        this.index(Array.from(assets.values(), entry => entry.asset));
+        this.loadedAt = new Date().toISOString();
+
+        return { count: this.assets.size, errors };
+    }
+
+    /**
+     * Persists the inventory to chrome.storage.local.
+     */
+    async save() {
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: { assets: this.toJSON(), loadedAt: this.loadedAt }
+        });
+    }
+
+    /**
+     * Restores a previously saved inventory, if there is one.
+     */
+    async restore() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        const saved = stored[STORAGE_KEY];
+
+        if (saved && Array.isArray(saved.assets)) {
+            this.index(saved.assets);
+            this.loadedAt = saved.loadedAt;
+        }
+
+        return this.size;
+    }
+
+    getAsset(id) {
+        return this.assets.get(id) || null;
+    }
+
+    toJSON() {
+        return Array.from(this.assets.values());
+    }
+
+    /**
+     * Resolves an incident's indicators (IPs, domains, URLs), hostnames and
+     * free text to inventory assets, noting what matched each asset. Text is
+     * scanned for inventory hostnames and addresses directly, because
+     * internal names and private IPs are not reported as indicators.
+     */
+    resolve({ indicators = [], hostnames = [], text = '' } = {}) {
+        const resolved = new Map();
+
+        const addMatch = (asset, match) => {
+            const entry = resolved.get(asset.id) || { asset, matchedBy: [] };
+            if (!entry.matchedBy.some(existing => existing.value === match.value)) {
+                entry.matchedBy.push(match);
+            }
+            resolved.set(asset.id, entry);
+        };
+
+        indicators.forEach(indicator => {
+            this.lookup(indicator).forEach(asset => addMatch(asset, {
+                type: indicator.type,
+                value: indicator.value
+            }));
+        });
+
+        hostnames.filter(Boolean).forEach(hostname => {
+            this.lookupHost(hostname).forEach(asset => addMatch(asset, {
+                type: 'hostname',
+                value: hostname
+            }));
+        });
+
+        // Short names are too ambiguous to match in prose
+        (text.match(HOST_TOKEN) || []).forEach(token => {
+            this.lookupHost(token, { shortNames: false }).forEach(asset => addMatch(asset, {
+                type: 'mention',
+                value: token
+            }));
+        });
+
+        return Array.from(resolved.values());
+    }
+
+    /**
+     * Finds the assets that depend, directly or transitively, on the given
+     * assets. Each result records its distance and the asset it depends on.
+     */
+    getDownstream(assetIds, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+        const visited = new Set(assetIds);
+        const downstream = [];
+        let frontier = [...assetIds];
+
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+
+            frontier.forEach(id => {
+                (this.dependents.get(id) || []).forEach(dependentId => {
+                    if (visited.has(dependentId)) {
+                        return;
+                    }
+                    visited.add(dependentId);
+                    next.push(dependentId);
+                    downstream.push({ asset: this.assets.get(dependentId), depth, via: id });
+                });
+            });
+
+            frontier = next;
+        }
+
+        return downstream;
+    }
+
+    /**
+     * Assesses the business impact of an incident from the assets it
+     * resolves to (see `resolve`).
+     */
+    assessBusinessImpact(sources = {}) {
+        const affected = this.resolve(sources);
+
+        return {
+            inventoryLoaded: this.size > 0,
+            affectedAssets: affected.map(({ asset, matchedBy }) => ({
+                id: asset.id,
+                name: asset.name,
+                owner: asset.owner,
+                criticality: asset.criticality,
+                crownJewel: asset.crownJewel,
+                matchedBy
+            })),
+            ...this.summarize(affected.map(({ asset }) => asset))
+        };
+    }
+
+    /**
+     * Summarizes the services, data classes, owners and criticality of a
+     * set of assets.
+     */
+    summarize(assets) {
+        const unique = values => Array.from(new Set(values.filter(Boolean)));
+        const highest = (values, levels) => values.reduce(
+            (best, value) => (levels.indexOf(value) > levels.indexOf(best) ? value : best),
+            null
+        );
+
+        const dataClasses = unique(assets.map(asset => asset.dataClassification));
+
+        return {
+            businessServices: unique(assets.flatMap(asset => asset.businessServices)),
+            dataClasses,
+            highestClassification: highest(dataClasses, DATA_CLASSIFICATIONS),
+            crownJewels: assets.filter(asset => asset.crownJewel).map(asset => asset.id),
+            owners: unique(assets.map(asset => asset.owner)),
+            criticality: highest(assets.map(asset => asset.criticality), CRITICALITY_LEVELS)
+        };
+    }
+
+    /**
+     * Parses raw inventory data into records. The format is detected from
+     * the content when not given.
+     */
+    parseRecords(data, format) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+
+        if (typeof data !== 'string') {
+            if (data && Array.isArray(data.assets)) {
+                return data.assets;
+            }
+            throw new Error('Asset inventory must be a JSON array, an object with "assets", or CSV text');
+        }
+
+        const detected = format || (/^\s*[[{]/.test(data) ? 'json' : 'csv');
+
+        if (detected === 'json') {
+            return this.parseRecords(JSON.parse(data), 'json');
+        }
+
+        if (detected === 'csv') {
+            return this.parseCsv(data);
+        }
+
+        throw new Error(`Unsupported asset inventory format: ${detected}`);
+    }
+
+    /**
+     * Parses CSV with a header row. Supports quoted fields containing
+     * commas, newlines and doubled quotes.
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const [header, ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        if (!header) {
+            return [];
+        }
+
+        const columns = header.map(column => column.trim());
+        return body.map(cells => {
+            const record = {};
+            columns.forEach((column, index) => {
+                record[column] = (cells[index] || '').trim();
+            });
+            return record;
+        });
+    }
+
+    /**
+     * Maps a raw record onto the asset shape, accepting common column
+     * aliases. Multi-value CSV fields are separated by ";" or "|".
+     */
+    normalizeAsset(record, index) {
+        const read = field => {
+            const key = FIELD_ALIASES[field].find(alias => record[alias] !== undefined && record[alias] !== '');
+            return key ? record[key] : undefined;
+        };
+
+        const list = value => {
+            if (value === undefined || value === null) {
+                return [];
+            }
+            const values = Array.isArray(value) ? value : String(value).split(/[;|]/);
+            return values.map(item => String(item).trim()).filter(Boolean);
+        };
+
+        const asset = {};
+        Object.keys(FIELD_ALIASES).forEach(field => {
+            asset[field] = MULTI_VALUE_FIELDS.includes(field) ? list(read(field)) : read(field);
+        });
+
+        if (asset.hostnames.length === 0 && asset.ips.length === 0) {
+            throw new Error('Asset has no hostname or IP address');
+        }
+
+        asset.id = String(asset.id || asset.hostnames[0] || asset.ips[0]);
+        asset.name = asset.name || asset.hostnames[0] || asset.id;
+        asset.hostnames = asset.hostnames.map(hostname => hostname.toLowerCase());
+        asset.ips = asset.ips.map(ip => ip.toLowerCase());
+        asset.owner = asset.owner || null;
+        asset.crownJewel = asset.crownJewel === true || /^(true|yes|y|1)$/i.test(String(asset.crownJewel || ''));
+
+        const classification = String(asset.dataClassification || '').toLowerCase();
+        if (classification && !DATA_CLASSIFICATIONS.includes(classification)) {
+            throw new Error(`Unknown data classification "${asset.dataClassification}" on row ${index + 1}`);
+        }
+        asset.dataClassification = classification || null;
+
+        const criticality = String(asset.criticality || '').toLowerCase();
+        if (criticality && !CRITICALITY_LEVELS.includes(criticality)) {
+            throw new Error(`Unknown criticality "${asset.criticality}" on row ${index + 1}`);
+        }
+        asset.criticality = criticality || this.deriveCriticality(asset);
+
+        return asset;
+    }
+
+    /**
+     * Infers criticality when the inventory does not state it: crown jewels
+     * are critical, and sensitive data raises the level.
+     */
+    deriveCriticality(asset) {
+        if (asset.crownJewel) {
+            return 'critical';
+        }
+
+        switch (asset.dataClassification) {
+            case 'restricted':
+                return 'high';
+            case 'confidential':
+                return 'medium';
+            default:
+                return 'low';
+        }
+    }
+
+    /**
+     * Rebuilds the lookup indexes and reverse dependency map.
+     */
+    index(assets) {
+        this.assets = new Map();
+        this.byHostname = new Map();
+        this.byShortName = new Map();
+        this.byIp = new Map();
+        this.dependents = new Map();
+
+        const addTo = (map, key, id) => {
+            const ids = map.get(key) || [];
+            if (!ids.includes(id)) {
+                ids.push(id);
+            }
+            map.set(key, ids);
+        };
+
+        assets.forEach(asset => {
+            this.assets.set(asset.id, asset);
+            asset.ips.forEach(ip => addTo(this.byIp, ip, asset.id));
+            asset.hostnames.forEach(hostname => {
+                addTo(this.byHostname, hostname, asset.id);
+                // Also match the short name, e.g. "db01" for "db01.corp.local"
+                addTo(this.byShortName, hostname.split('.')[0], asset.id);
+            });
+        });
+
+        assets.forEach(asset => {
+            asset.dependencies.forEach(dependency => {
+                const target = this.assets.has(dependency)
+                    ? dependency
+                    : this.lookupHost(dependency).map(candidate => candidate.id)[0];
+                if (target) {
+                    addTo(this.dependents, target, asset.id);
+                }
+            });
+        });
+    }
+
+    /**
+     * Finds the assets an indicator refers to.
+     */
+    lookup(indicator) {
+        switch (indicator.type) {
+            case 'ipv4':
+            case 'ipv6':
+                return (this.byIp.get(String(indicator.value).toLowerCase()) || [])
+                    .map(id => this.assets.get(id));
+            case 'domain':
+                return this.lookupHost(indicator.value);
+            case 'url':
+                try {
+                    return this.lookupHost(new URL(indicator.value).hostname);
+                } catch (error) {
+                    return [];
+                }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Finds the assets with a hostname, short hostname or IP address.
+     */
+    lookupHost(host, { shortNames = true } = {}) {
+        const key = String(host).toLowerCase().replace(/^\[|\]$/g, '');
+        const ids = [
+            ...(this.byHostname.get(key) || []),
+            ...(shortNames ? this.byShortName.get(key) || [] : []),
+            ...(this.byIp.get(key) || [])
+        ];
+
+        return Array.from(new Set(ids)).map(id => this.assets.get(id));
+    }
+}
+
+export default AssetInventory;
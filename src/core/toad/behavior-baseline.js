@@ -0,0 +1,530 @@
+// src/core/toad/behavior-baseline.js
+
+import TimelineAnalyzer from './timeline-analyzer';
+
+// chrome.storage.local key holding the per-entity baselines
+const STORAGE_KEY = 'toadSageBehaviorBaselines';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scales the median absolute deviation to a standard deviation for normal data
+const MAD_SCALE = 1.4826;
+
+// Bounds keep the baselines small enough for chrome.storage.local
+const DEFAULT_OPTIONS = {
+    windowDays: 90,
+    minSamples: 10,
+    zThreshold: 3,
+    rareHourRatio: 0.05,
+    maxObservations: 100,
+    maxEntities: 500
+};
+
+const LOGON_EVENT = /\b(log ?on|log ?in|sign-?in|authenticat\w*)\b/i;
+
+/**
+ * Baselined features. `entities` are the entity types a feature is tracked
+ * for. Categorical features flag values not seen in the window, numeric
+ * features flag robust z-scores above the threshold, and hour features
+ * flag activity at hours the entity is rarely active.
+ */
+const FEATURES = {
+    logonHour: {
+        kind: 'hour',
+        entities: ['user'],
+        label: 'logon'
+    },
+    sourceGeo: {
+        kind: 'categorical',
+        entities: ['user'],
+        label: 'logon from',
+        severity: 'medium'
+    },
+    sourceAsn: {
+        kind: 'categorical',
+        entities: ['user'],
+        label: 'logon from ASN',
+        severity: 'medium'
+    },
+    logonHost: {
+        kind: 'categorical',
+        entities: ['user'],
+        label: 'logon to',
+        severity: 'low'
+    },
+    processPair: {
+        kind: 'categorical',
+        entities: ['host'],
+        label: 'process chain',
+        severity: 'medium'
+    },
+    parentProcess: {
+        kind: 'categorical',
+        entities: ['process'],
+        label: 'launch by',
+        severity: 'medium'
+    },
+    egressBytes: {
+        kind: 'numeric',
+        entities: ['user', 'host'],
+        label: 'egress',
+        unit: 'bytes'
+    }
+};
+
+// How explanations refer to an entity, e.g. "for user alice", "on host ws-01"
+const ENTITY_PREPOSITIONS = {
+    user: 'for',
+    host: 'on',
+    process: 'of'
+};
+
+/**
+ * Median of a list of numbers.
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
+function formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00 UTC`;
+}
+
+/**
+ * BehaviorBaseline learns what is normal for each user, host and process
+ * from the events of analyzed incidents: logon hours, source countries and
+ * ASNs, parent-child process pairs and egress volumes. New events are
+ * compared against the entity's history from the preceding window, and
+ * deviations are reported with the statistics behind them. Baselines are
+ * kept in chrome.storage.local.
+ *
+ * Each observation records the incident it came from, so re-analyzing an
+ * incident neither learns its events twice nor compares them with
+ * themselves.
+ */
+class BehaviorBaseline {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.timelineAnalyzer = new TimelineAnalyzer();
+
+        // "user:alice" -> { type, id, firstSeen, lastSeen, observations }
+        this.profiles = new Map();
+    }
+
+    /**
+     * Loads saved baselines.
+     */
+    async restore() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        const saved = stored[STORAGE_KEY] || {};
+
+        this.profiles.clear();
+        Object.entries(saved).forEach(([key, profile]) => this.profiles.set(key, profile));
+
+        return this.profiles.size;
+    }
+
+    /**
+     * Turns an incident's events into per-entity observations. An event
+     * yields one observation for each user, host and process it names.
+     */
+    extractObservations(incident) {
+        if (!incident || typeof incident !== 'object' || !Array.isArray(incident.events)) {
+            return [];
+        }
+
+        const source = incident.id || null;
+        const observations = [];
+
+        incident.events.forEach((rawEvent, index) => {
+            if (!rawEvent || typeof rawEvent !== 'object') {
+                return;
+            }
+
+            const event = this.normalizeEvent(rawEvent);
+            const base = {
+                source,
+                eventId: rawEvent.id || `event-${index + 1}`,
+                at: event.at
+            };
+
+            if (event.user) {
+                observations.push({
+                    ...base,
+                    entityType: 'user',
+                    entityId: event.user,
+                    values: {
+                        logonHour: event.logon && event.at !== null ? new Date(event.at).getUTCHours() : null,
+                        sourceGeo: event.logon ? event.geo : null,
+                        sourceAsn: event.logon ? event.asn : null,
+                        logonHost: event.logon ? event.host : null,
+                        egressBytes: event.egressBytes
+                    }
+                });
+            }
+
+            if (event.host) {
+                observations.push({
+                    ...base,
+                    entityType: 'host',
+                    entityId: event.host,
+                    values: {
+                        processPair: event.process && event.parentProcess
+                            ? `${event.parentProcess} → ${event.process}`
+                            : null,
+                        egressBytes: event.egressBytes
+                    }
+                });
+            }
+
+            if (event.process) {
+                observations.push({
+                    ...base,
+                    entityType: 'process',
+                    entityId: event.process,
+                    values: {
+                        parentProcess: event.parentProcess
+                    }
+                });
+            }
+        });
+
+        // Drop features an entity type does not track, and empty observations
+        return observations
+            .map(observation => ({
+                ...observation,
+                values: Object.fromEntries(Object.entries(observation.values)
+                    .filter(([feature, value]) =>
+                        value !== null && value !== undefined &&
+                        FEATURES[feature].entities.includes(observation.entityType)))
+            }))
+            .filter(observation => Object.keys(observation.values).length > 0);
+    }
+
+    /**
+     * Reads the fields baselines use from a raw event. Field names vary
+     * between alert sources, so the common spellings are accepted.
+     */
+    normalizeEvent(event) {
+        const geo = (event.geo && typeof event.geo === 'object' ? event.geo.country : event.geo) ||
+            event.country || event.sourceCountry;
+        const asn = event.asn || event.sourceAsn || (event.geo && typeof event.geo === 'object' ? event.geo.asn : null);
+        const egress = Number(event.bytesOut !== undefined ? event.bytesOut : (event.egressBytes !== undefined ? event.egressBytes : event.bytesSent));
+        const type = [event.eventType, event.action, event.category, event.type]
+            .filter(value => typeof value === 'string')
+            .join(' ');
+
+        return {
+            at: this.timelineAnalyzer.parseTimestamp(event.timestamp !== undefined ? event.timestamp : event.time),
+            user: this.normalizeName(event.user || event.username),
+            host: this.normalizeName(event.host || event.hostname),
+            process: this.normalizeProcess(event.process || event.processName || event.image),
+            parentProcess: this.normalizeProcess(event.parentProcess || event.parentProcessName || event.parentImage),
+            logon: LOGON_EVENT.test(type),
+            geo: typeof geo === 'string' && geo.trim() ? geo.trim().toUpperCase() : null,
+            asn: asn ? `AS${String(asn).replace(/^AS/i, '')}` : null,
+            egressBytes: Number.isFinite(egress) && egress >= 0 ? egress : null
+        };
+    }
+
+    normalizeName(value) {
+        return typeof value === 'string' && value.trim() ? value.trim().toLowerCase() : null;
+    }
+
+    /**
+     * Reduces process paths to the executable name, e.g.
+     * "C:\Windows\System32\cmd.exe" -> "cmd.exe".
+     */
+    normalizeProcess(value) {
+        const name = this.normalizeName(value);
+        return name ? name.split(/[\\/]/).pop() : null;
+    }
+
+    /**
+     * Compares observations with their entities' baselines. Each deviating
+     * value is reported once per entity, with the most extreme occurrence
+     * kept for numeric features.
+     */
+    evaluate(observations) {
+        const anomalies = new Map();
+
+        observations.forEach(observation => {
+            const profile = this.profiles.get(this.profileKey(observation.entityType, observation.entityId));
+            if (!profile) {
+                return;
+            }
+
+            Object.entries(observation.values).forEach(([feature, value]) => {
+                const history = this.getHistory(profile, feature, observation);
+                const anomaly = this.evaluateFeature(feature, value, history, observation);
+                if (!anomaly) {
+                    return;
+                }
+
+                const key = FEATURES[feature].kind === 'numeric'
+                    ? `${anomaly.entityType}:${anomaly.entityId}:${feature}`
+                    : `${anomaly.entityType}:${anomaly.entityId}:${feature}:${value}`;
+                const existing = anomalies.get(key);
+                if (!existing || anomaly.deviation > existing.deviation) {
+                    anomalies.set(key, anomaly);
+                }
+            });
+        });
+
+        return Array.from(anomalies.values());
+    }
+
+    /**
+     * Entries of the entity's history within the window before an
+     * observation that carry the feature, excluding observations from the
+     * same incident.
+     */
+    getHistory(profile, feature, observation) {
+        const end = this.observedAt(observation);
+        const start = end - this.options.windowDays * DAY_MS;
+
+        return profile.observations
+            .filter(entry => entry.at >= start && entry.at <= end)
+            .filter(entry => !observation.source || entry.source !== observation.source)
+            .filter(entry => entry.values[feature] !== undefined);
+    }
+
+    /**
+     * Days from the oldest history entry to the observation, in whole days
+     * and at least one. Profiles keep at most `maxObservations` entries, so
+     * this can be much shorter than the window.
+     */
+    getHistorySpanDays(entries, observation) {
+        const oldest = Math.min(...entries.map(entry => entry.at));
+        return Math.max(1, Math.ceil((this.observedAt(observation) - oldest) / DAY_MS));
+    }
+
+    observedAt(observation) {
+        return observation.at !== null ? observation.at : Date.now();
+    }
+
+    evaluateFeature(feature, value, entries, observation) {
+        const definition = FEATURES[feature];
+        const { minSamples, windowDays } = this.options;
+        if (entries.length < minSamples) {
+            return null;
+        }
+
+        const history = entries.map(entry => entry.values[feature]);
+        const spanDays = this.getHistorySpanDays(entries, observation);
+
+        const subject = `${observation.entityType} ${observation.entityId}`;
+        const preposition = ENTITY_PREPOSITIONS[observation.entityType];
+        const base = {
+            entityType: observation.entityType,
+            entityId: observation.entityId,
+            feature,
+            value,
+            eventId: observation.eventId,
+            timestamp: observation.at !== null ? new Date(observation.at).toISOString() : null
+        };
+
+        if (definition.kind === 'categorical') {
+            if (history.includes(value)) {
+                return null;
+            }
+
+            return {
+                ...base,
+                kind: 'new-value',
+                severity: definition.severity,
+                deviation: 1,
+                explanation: `First ${definition.label} ${value} ${preposition} ${subject} in ${spanDays} days`,
+                statistics: {
+                    samples: history.length,
+                    distinctValues: new Set(history).size,
+                    spanDays,
+                    windowDays
+                }
+            };
+        }
+
+        if (definition.kind === 'hour') {
+            // Neighbouring hours count as usual too, so 08:55 and 09:05 match
+            const nearby = history.filter(hour => Math.min(Math.abs(hour - value), 24 - Math.abs(hour - value)) <= 1).length;
+            const ratio = nearby / history.length;
+            if (ratio >= this.options.rareHourRatio) {
+                return null;
+            }
+
+            return {
+                ...base,
+                kind: 'rare-hour',
+                severity: nearby === 0 ? 'medium' : 'low',
+                deviation: 1 - ratio,
+                explanation: `${definition.label.charAt(0).toUpperCase()}${definition.label.slice(1)} at ${formatHour(value)} ${preposition} ${subject}; ` +
+                    `${nearby} of ${history.length} logons in the past ${spanDays} days were within an hour of that time`,
+                statistics: {
+                    samples: history.length,
+                    nearby,
+                    ratio: Math.round(ratio * 1000) / 1000,
+                    spanDays,
+                    windowDays
+                }
+            };
+        }
+
+        // Robust z-score: distance from the median in scaled MADs
+        const center = median(history);
+        const mad = median(history.map(sample => Math.abs(sample - center)));
+        const scale = MAD_SCALE * mad;
+        if (scale === 0 || value <= center) {
+            return null;
+        }
+
+        const z = (value - center) / scale;
+        if (z < this.options.zThreshold) {
+            return null;
+        }
+
+        const format = definition.unit === 'bytes' ? formatBytes : String;
+
+        return {
+            ...base,
+            kind: 'outlier',
+            severity: z >= this.options.zThreshold * 2 ? 'high' : 'medium',
+            deviation: z,
+            explanation: `${z.toFixed(1)}σ above median ${definition.label} ${preposition} ${subject} ` +
+                `(${format(value)} vs median ${format(center)} over ${history.length} samples in ${spanDays} days)`,
+            statistics: {
+                samples: history.length,
+                median: center,
+                mad,
+                z: Math.round(z * 100) / 100,
+                spanDays,
+                windowDays
+            }
+        };
+    }
+
+    /**
+     * Adds observations to the baselines and saves them. Observations from
+     * an incident that was already learned are skipped.
+     */
+    async learn(observations) {
+        const now = Date.now();
+        const windowStart = now - this.options.windowDays * DAY_MS;
+        let changed = false;
+
+        observations.forEach(observation => {
+            const key = this.profileKey(observation.entityType, observation.entityId);
+            const profile = this.profiles.get(key) || {
+                type: observation.entityType,
+                id: observation.entityId,
+                firstSeen: null,
+                lastSeen: null,
+                observations: []
+            };
+
+            const learned = profile.observations.some(entry =>
+                observation.source && entry.source === observation.source && entry.eventId === observation.eventId);
+            if (learned) {
+                return;
+            }
+
+            const at = observation.at !== null ? observation.at : now;
+            profile.observations = [
+                ...profile.observations.filter(entry => entry.at >= windowStart),
+                { at, source: observation.source, eventId: observation.eventId, values: observation.values }
+            ]
+                .sort((a, b) => a.at - b.at)
+                .slice(-this.options.maxObservations);
+            // Bound the samples kept, not every sample ever learned
+            profile.firstSeen = profile.observations[0].at;
+            profile.lastSeen = profile.observations[profile.observations.length - 1].at;
+
+            this.profiles.set(key, profile);
+            changed = true;
+        });
+
+        if (!changed) {
+            return;
+        }
+
+        // Forget the entities seen least recently once over the limit
+        if (this.profiles.size > this.options.maxEntities) {
+            Array.from(this.profiles.entries())
+                .sort(([, a], [, b]) => a.lastSeen - b.lastSeen)
+                .slice(0, this.profiles.size - this.options.maxEntities)
+                .forEach(([key]) => this.profiles.delete(key));
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Summarizes an entity's baseline: how much history it has and its
+     * usual values per feature.
+     */
+    summarize(entityType, entityId) {
+        const profile = this.profiles.get(this.profileKey(entityType, entityId));
+        if (!profile) {
+            return { entityType, entityId, observations: 0, firstSeen: null, lastSeen: null, features: {} };
+        }
+
+        const features = {};
+        Object.keys(FEATURES)
+            .filter(feature => FEATURES[feature].entities.includes(entityType))
+            .forEach(feature => {
+                const values = profile.observations
+                    .map(entry => entry.values[feature])
+                    .filter(value => value !== undefined);
+                if (values.length === 0) {
+                    return;
+                }
+
+                if (FEATURES[feature].kind === 'numeric') {
+                    features[feature] = { samples: values.length, median: median(values) };
+                } else {
+                    const counts = new Map();
+                    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+                    features[feature] = {
+                        samples: values.length,
+                        common: Array.from(counts.entries())
+                            .sort((a, b) => b[1] - a[1])
+                            .slice(0, 3)
+                            .map(([value, count]) => ({ value, count }))
+                    };
+                }
+            });
+
+        return {
+            entityType,
+            entityId,
+            observations: profile.observations.length,
+            firstSeen: new Date(profile.firstSeen).toISOString(),
+            lastSeen: new Date(profile.lastSeen).toISOString(),
+            features
+        };
+    }
+
+    profileKey(entityType, entityId) {
+        return `${entityType}:${entityId}`;
+    }
+
+    async save() {
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: Object.fromEntries(this.profiles)
+        });
+    }
+}
+
+export default BehaviorBaseline;
@@ -0,0 +1,235 @@
+// src/core/toad/history-store.js
+
+const DB_NAME = 'toad-sage-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'analyses';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How much history is kept before the oldest analyses are pruned
+const DEFAULT_RETENTION = {
+    maxAgeDays: 180,
+    maxRecords: 5000
+};
+
+/**
+ * Wraps an IDBRequest in a promise.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves once a transaction has committed.
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * HistoryStore persists past analyses in IndexedDB so historical context
+ * survives service worker restarts. Records are indexed by indicator,
+ * ATT&CK technique and time, and pruned according to retention limits.
+ */
+class HistoryStore {
+    constructor(options = {}) {
+        this.retention = {
+            ...DEFAULT_RETENTION,
+            ...options.retention
+        };
+
+        // Injectable so the store can run outside the browser
+        this.indexedDB = options.indexedDB || globalThis.indexedDB;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Builds the key used to index an indicator, e.g. "ipv4:45.77.12.9".
+     */
+    static indicatorKey(indicator) {
+        return `${indicator.type}:${indicator.value}`;
+    }
+
+    /**
+     * Opens (and on first use creates) the history database.
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        if (!this.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('indicator', 'indicatorKeys', { multiEntry: true });
+            store.createIndex('technique', 'techniques', { multiEntry: true });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('incident', 'incidentId');
+        };
+
+        this.dbPromise = promisifyRequest(request).catch(error => {
+            // Allow a later call to retry opening
+            this.dbPromise = null;
+            throw error;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Stores an analysis record and applies retention limits.
+     */
+    async record(entry) {
+        const record = {
+            ...entry,
+            timestamp: entry.timestamp || Date.now(),
+            indicators: entry.indicators || [],
+            indicatorKeys: (entry.indicators || []).map(HistoryStore.indicatorKey),
+            techniques: entry.techniques || []
+        };
+
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put(record);
+        await transactionDone(transaction);
+
+        await this.prune();
+        return record;
+    }
+
+    /**
+     * Retrieves a single analysis record.
+     */
+    async get(id) {
+        const db = await this.open();
+        const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+        return promisifyRequest(store.get(id));
+    }
+
+    /**
+     * Finds analyses that contained the given indicator.
+     */
+    async findByIndicator(indicator, options = {}) {
+        return this.queryIndex('indicator', HistoryStore.indicatorKey(indicator), options);
+    }
+
+    /**
+     * Finds analyses mapped to the given ATT&CK technique.
+     */
+    async findByTechnique(techniqueId, options = {}) {
+        return this.queryIndex('technique', techniqueId, options);
+    }
+
+    /**
+     * Finds analyses recorded between two points in time (inclusive).
+     */
+    async findInRange(since, until = Date.now()) {
+        const db = await this.open();
+        const index = db.transaction(STORE_NAME, 'readonly')
+            .objectStore(STORE_NAME)
+            .index('timestamp');
+
+        return promisifyRequest(index.getAll(IDBKeyRange.bound(since, until)));
+    }
+
+    /**
+     * Finds past analyses that share at least one indicator with the given
+     * set within the last `days` days, most overlapping first.
+     */
+    async findRelated(indicators, { days = 30, excludeId = null } = {}) {
+        const since = Date.now() - days * DAY_MS;
+        const related = new Map();
+
+        for (const indicator of indicators) {
+            const matches = await this.findByIndicator(indicator, { since });
+
+            matches
+                .filter(record => record.id !== excludeId)
+                .forEach(record => {
+                    const entry = related.get(record.id) || { record, sharedIndicators: [] };
+                    entry.sharedIndicators.push(HistoryStore.indicatorKey(indicator));
+                    related.set(record.id, entry);
+                });
+        }
+
+        return Array.from(related.values())
+            .sort((a, b) => (
+                b.sharedIndicators.length - a.sharedIndicators.length ||
+                b.record.timestamp - a.record.timestamp
+            ));
+    }
+
+    /**
+     * Removes analyses older than the retention window, then the oldest
+     * analyses beyond the record limit.
+     */
+    async prune() {
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const index = store.index('timestamp');
+
+        // Age-based retention
+        const cutoff = Date.now() - this.retention.maxAgeDays * DAY_MS;
+        const expiredKeys = await promisifyRequest(
+            index.getAllKeys(IDBKeyRange.upperBound(cutoff, true))
+        );
+        expiredKeys.forEach(key => store.delete(key));
+
+        // Size-based retention, oldest first; requests in a transaction run
+        // in order, so the count already excludes the deletes queued above
+        const remaining = await promisifyRequest(store.count());
+        const excess = remaining - this.retention.maxRecords;
+        if (excess > 0) {
+            const oldestKeys = await promisifyRequest(
+                index.getAllKeys(IDBKeyRange.lowerBound(cutoff), excess)
+            );
+            oldestKeys.forEach(key => store.delete(key));
+        }
+
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Deletes all stored history.
+     */
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).clear();
+        await transactionDone(transaction);
+    }
+
+    /**
+     * Reads all records for a key from an index, optionally filtered to a
+     * time window and limited in count (newest first).
+     */
+    async queryIndex(indexName, key, { since = 0, until = Infinity, limit = Infinity } = {}) {
+        const db = await this.open();
+        const index = db.transaction(STORE_NAME, 'readonly')
+            .objectStore(STORE_NAME)
+            .index(indexName);
+
+        const records = await promisifyRequest(index.getAll(key));
+
+        return records
+            .filter(record => record.timestamp >= since && record.timestamp <= until)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+    }
+}
+
+export default HistoryStore;
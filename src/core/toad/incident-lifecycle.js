@@ -0,0 +1,146 @@
+// src/core/toad/incident-lifecycle.js
+
+import { INCIDENT_STATES } from '../../shared/constants';
+
+const {
+    NEW,
+    TRIAGED,
+    INVESTIGATING,
+    CONTAINED,
+    ERADICATED,
+    RECOVERED,
+    CLOSED,
+    FALSE_POSITIVE
+} = INCIDENT_STATES;
+
+/**
+ * Allowed transitions from each state. An incident can be declared a false
+ * positive until it is contained; after that it must run the full course.
+ */
+const TRANSITIONS = {
+    [NEW]: [TRIAGED, FALSE_POSITIVE],
+    [TRIAGED]: [INVESTIGATING, FALSE_POSITIVE],
+    [INVESTIGATING]: [CONTAINED, FALSE_POSITIVE],
+    [CONTAINED]: [ERADICATED],
+    [ERADICATED]: [RECOVERED],
+    [RECOVERED]: [CLOSED],
+    [FALSE_POSITIVE]: [CLOSED],
+    [CLOSED]: []
+};
+
+/**
+ * IncidentLifecycle tracks an incident's state and enforces the allowed
+ * transitions. Every change is recorded in an append-only audit log of
+ * frozen entries stating who made it, when and why.
+ */
+class IncidentLifecycle {
+    // Private so the log and state only change through transition()
+    #state = NEW;
+    #entries = [];
+
+    constructor({ actor = 'system', reason = 'Incident created', timestamp } = {}) {
+        this.#record(null, NEW, { actor, reason, timestamp });
+    }
+
+    /**
+     * Rebuilds a lifecycle from its serialized form, replaying the audit log
+     * so a tampered log cannot produce an invalid state.
+     */
+    static fromJSON({ auditLog } = {}) {
+        if (!Array.isArray(auditLog) || auditLog.length === 0 || auditLog[0].to !== NEW) {
+            throw new Error('Incident audit log must start with the creation entry');
+        }
+
+        const [created, ...transitions] = auditLog;
+        const lifecycle = new IncidentLifecycle(created);
+        transitions.forEach(entry => lifecycle.transition(entry.to, entry));
+
+        return lifecycle;
+    }
+
+    get state() {
+        return this.#state;
+    }
+
+    static canTransition(from, to) {
+        return (TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Moves the incident to a new state. The actor and reason are required
+     * so the audit log always explains the change.
+     */
+    transition(to, { actor, reason, timestamp } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, to)) {
+            throw this.transitionError(`Unknown incident state: ${to}`);
+        }
+
+        if (!IncidentLifecycle.canTransition(this.state, to)) {
+            const allowed = this.availableTransitions();
+            throw this.transitionError(
+                `Cannot move incident from ${this.state} to ${to}` +
+                (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ' (incident is closed)')
+            );
+        }
+
+        if (!actor) {
+            throw this.transitionError('Incident transitions require an actor');
+        }
+
+        if (!reason) {
+            throw this.transitionError('Incident transitions require a reason');
+        }
+
+        return this.#record(this.#state, to, { actor, reason, timestamp });
+    }
+
+    availableTransitions() {
+        return [...TRANSITIONS[this.#state]];
+    }
+
+    isTerminal() {
+        return TRANSITIONS[this.#state].length === 0;
+    }
+
+    /**
+     * Returns the audit log. Entries are frozen and the array is a copy, so
+     * callers cannot rewrite history.
+     */
+    getAuditLog() {
+        return [...this.#entries];
+    }
+
+    getLastTransition() {
+        return this.#entries[this.#entries.length - 1];
+    }
+
+    toJSON() {
+        return {
+            state: this.#state,
+            auditLog: this.getAuditLog()
+        };
+    }
+
+    #record(from, to, { actor, reason, timestamp }) {
+        const entry = Object.freeze({
+            sequence: this.#entries.length + 1,
+            from,
+            to,
+            actor,
+            reason,
+            timestamp: timestamp || new Date().toISOString()
+        });
+
+        this.#entries.push(entry);
+        this.#state = to;
+        return entry;
+    }
+
+    transitionError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_TRANSITION';
+        return error;
+    }
+}
+
+export default IncidentLifecycle;
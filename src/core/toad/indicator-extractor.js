@@ -0,0 +1,552 @@
+// src/core/toad/indicator-extractor.js
+
+// Defanging conventions analysts and threat reports commonly use
+const DEFANG_PATTERN = /\bhxxp(?=s?\[?:)|\[\.\]|\(\.\)|\{\.\}|\[dot\]|\(dot\)|\[:\/\/\]|\[:\]|\[@\]|\[at\]/gi;
+
+// Top-level domains accepted for bare domain matches
+const KNOWN_TLDS = new Set([
+    'com', 'net', 'org', 'info', 'biz', 'edu', 'gov', 'mil', 'int',
+    'io', 'co', 'us', 'uk', 'de', 'ru', 'cn', 'jp', 'fr', 'br', 'in', 'it',
+    'nl', 'au', 'ca', 'es', 'ch', 'se', 'no', 'fi', 'dk', 'be', 'at', 'cz',
+    'eu', 'kr', 'tw', 'hk', 'sg', 'id', 'vn', 'ir', 'tr', 'mx', 'ar', 'za',
+    'ng', 'ua', 'su', 'by', 'kz', 'ro', 'hu', 'gr', 'pt', 'ie', 'il', 'nz',
+    'xyz', 'top', 'online', 'site', 'club', 'tk', 'ml', 'ga', 'cf', 'gq',
+    'pw', 'cc', 'ws', 'me', 'tv', 'app', 'dev', 'cloud', 'live', 'shop',
+    'store', 'tech', 'space', 'website', 'icu', 'buzz', 'link', 'click',
+    'win', 'bid', 'loan', 'work', 'party', 'review', 'stream', 'download',
+    'racing', 'date', 'faith', 'science', 'gdn', 'men', 'kim', 'onion',
+    'pl', 'sh', 'py', 'rs', 'md', 'ps', 'so', 'ai', 'zip', 'mov'
+]);
+
+// TLDs that collide with file extensions ("install.sh", "README.md");
+// only trusted when defanged or when the name has three or more labels
+const AMBIGUOUS_TLDS = new Set(['pl', 'sh', 'py', 'rs', 'md', 'ps', 'so', 'ai', 'zip', 'mov']);
+
+// Domains that show up in nearly every report and are never useful IOCs
+const DEFAULT_BENIGN_DOMAINS = [
+    'example.com',
+    'example.org',
+    'example.net',
+    'microsoft.com',
+    'windowsupdate.com',
+    'google.com',
+    'apple.com',
+    'mozilla.org',
+    'w3.org',
+    'mitre.org',
+    'cve.org',
+    'nist.gov'
+];
+
+/**
+ * Extraction order matters: earlier patterns claim their span of text so
+ * later, looser patterns (a hash inside a URL, a domain inside a file path)
+ * do not report the same characters twice.
+ */
+const INDICATOR_PATTERNS = [
+    { type: 'url', pattern: /\b(?:https?|ftp):\/\/[^\s<>"'`{}|\\^]+/gi },
+    { type: 'email', pattern: /\b[a-z0-9._%+-]+@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,24}\b/gi },
+    {
+        type: 'registry_key',
+        pattern: /\b(?:HKEY_LOCAL_MACHINE|HKEY_CURRENT_USER|HKEY_CLASSES_ROOT|HKEY_USERS|HKEY_CURRENT_CONFIG|HKLM|HKCU|HKCR|HKU|HKCC)(?:\\[^\\\s"'<>|]+)+/g
+    },
+    { type: 'file_path', pattern: /"([a-z]:\\[^"\r\n]+)"/gi, group: 1 },
+    { type: 'file_path', pattern: /(?:\b[a-z]:\\|\\\\[\w.$-]+\\)(?:[^\\/:*?"<>|\s]+\\)*[^\\/:*?"<>|\s]*/gi },
+    { type: 'file_path', pattern: /(?<![\w.:/~-])(?:\/[\w.@+~-]+){2,}/g },
+    { type: 'cve', pattern: /\bCVE-\d{4}-\d{4,7}\b/gi },
+    { type: 'sha256', pattern: /\b[a-f0-9]{64}\b/gi },
+    { type: 'sha1', pattern: /\b[a-f0-9]{40}\b/gi },
+    { type: 'md5', pattern: /\b[a-f0-9]{32}\b/gi },
+    { type: 'bitcoin_address', pattern: /\b(?:bc1[ac-hj-np-z02-9]{11,71}|[13][a-km-zA-HJ-NP-Z1-9]{25,34})\b/g },
+    {
+        type: 'ipv4',
+        pattern: /(?<![\w.])(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?!\.?\d)/g
+    },
+    { type: 'ipv6', pattern: /(?<![\w:])(?:[a-f0-9]{0,4}:){2,7}[a-f0-9]{0,4}(?![\w:])/gi },
+    {
+        type: 'domain',
+        pattern: /(?<![\w@.-])(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{1,23}(?![\w-])/gi
+    }
+];
+
+// Private, loopback, link-local, shared, documentation and multicast IPv4 space
+const RESERVED_IPV4_RANGES = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+
+/**
+ * IndicatorExtractor pulls typed indicators of compromise out of free-form
+ * incident text. It understands common defanging conventions, drops
+ * private/reserved address space and well-known benign domains, and reports
+ * each indicator once together with every offset where it appeared.
+ */
+class IndicatorExtractor {
+    constructor(options = {}) {
+        this.options = {
+            includePrivate: false,
+            ...options
+        };
+
+        // Benign domains also suppress all of their subdomains
+        this.benignDomains = new Set(
+            (options.benignDomains || DEFAULT_BENIGN_DOMAINS).map(domain => domain.toLowerCase())
+        );
+    }
+
+    /**
+     * Extracts all indicators from the given text.
+     * Offsets always refer to the original (possibly defanged) text.
+     */
+    extract(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        // Work on refanged text while remembering where each character came from
+        const refanged = this.refang(text);
+        const claimed = [];
+        const found = new Map();
+
+        for (const { type, pattern, group } of INDICATOR_PATTERNS) {
+            pattern.lastIndex = 0;
+            let match;
+
+            while ((match = pattern.exec(refanged.text)) !== null) {
+                let start = match.index;
+                let value = match[0];
+
+                if (group) {
+                    start += match[0].indexOf(match[group]);
+                    value = match[group];
+                }
+
+                // Trailing sentence punctuation is never part of an indicator
+                const trimmed = value.replace(/[.,;:!?)\]}'"]+$/, '');
+                const end = start + trimmed.length;
+
+                if (!trimmed || this.overlapsClaimed(claimed, start, end)) {
+                    continue;
+                }
+
+                const indicator = this.buildIndicator(type, trimmed, start, end, text, refanged);
+                if (!indicator) {
+                    continue;
+                }
+
+                claimed.push([start, end]);
+                this.recordIndicator(found, indicator);
+
+                // URLs and emails also expose the infrastructure behind them
+                this.extractEmbeddedHost(type, trimmed, start, text, refanged)
+                    .forEach(host => this.recordIndicator(found, host));
+            }
+        }
+
+        return Array.from(found.values())
+            .sort((a, b) => a.offsets[0].start - b.offsets[0].start);
+    }
+
+    /**
+     * Replaces defanged notation with its live equivalent and builds a map
+     * from every refanged character back to its span in the original text.
+     */
+    refang(text) {
+        const chars = [];
+        const starts = [];
+        const ends = [];
+        let cursor = 0;
+
+        const copy = (from, to) => {
+            for (let i = from; i < to; i++) {
+                chars.push(text[i]);
+                starts.push(i);
+                ends.push(i + 1);
+            }
+        };
+
+        DEFANG_PATTERN.lastIndex = 0;
+        let match;
+
+        while ((match = DEFANG_PATTERN.exec(text)) !== null) {
+            copy(cursor, match.index);
+
+            const token = match[0];
+            const replacement = this.refangToken(token);
+
+            if (replacement.length === token.length) {
+                // "hxxp" -> "http" maps character for character
+                for (let i = 0; i < replacement.length; i++) {
+                    chars.push(replacement[i]);
+                    starts.push(match.index + i);
+                    ends.push(match.index + i + 1);
+                }
+            } else {
+                // "[.]" -> "." maps the single character to the whole token
+                for (const char of replacement) {
+                    chars.push(char);
+                    starts.push(match.index);
+                    ends.push(match.index + token.length);
+                }
+            }
+
+            cursor = match.index + token.length;
+        }
+
+        copy(cursor, text.length);
+
+        return { text: chars.join(''), starts, ends };
+    }
+
+    /**
+     * Returns the live form of a single defang token.
+     */
+    refangToken(token) {
+        const lower = token.toLowerCase();
+
+        if (lower === 'hxxp') return 'http';
+        if (lower === '[:]') return ':';
+        if (lower === '[://]') return '://';
+        if (lower === '[@]' || lower === '[at]') return '@';
+
+        return '.';
+    }
+
+    /**
+     * Validates and normalizes a raw match, returning null for anything
+     * that should not be reported.
+     */
+    buildIndicator(type, value, start, end, originalText, refanged) {
+        const normalized = this.normalizeValue(type, value);
+        if (!normalized || !this.isReportable(type, normalized, value, start, end, refanged)) {
+            return null;
+        }
+
+        const originalStart = refanged.starts[start];
+        const originalEnd = refanged.ends[end - 1];
+        const raw = originalText.slice(originalStart, originalEnd);
+
+        return {
+            type,
+            value: normalized,
+            raw,
+            defanged: raw !== value,
+            offsets: [{ start: originalStart, end: originalEnd }]
+        };
+    }
+
+    /**
+     * Produces the canonical form used for de-duplication.
+     */
+    normalizeValue(type, value) {
+        switch (type) {
+            case 'url':
+                // Lowercase only the scheme and host; paths are case sensitive
+                return value.replace(/^([a-z]+:\/\/[^/?#]*)/i, prefix => prefix.toLowerCase());
+            case 'cve':
+                return value.toUpperCase();
+            case 'ipv6': {
+                const groups = this.parseIPv6(value);
+                return groups ? this.formatIPv6(groups) : null;
+            }
+            case 'file_path':
+            case 'registry_key':
+            case 'bitcoin_address':
+            case 'ipv4':
+                return value;
+            default:
+                return value.toLowerCase();
+        }
+    }
+
+    /**
+     * Applies type-specific filters: reserved address space, benign domains,
+     * degenerate hashes and file-extension lookalikes.
+     */
+    isReportable(type, normalized, rawValue, start, end, refanged) {
+        switch (type) {
+            case 'ipv4':
+                return this.options.includePrivate || !this.isReservedIPv4(normalized);
+            case 'ipv6':
+                return this.options.includePrivate || !this.isReservedIPv6(normalized);
+            case 'domain':
+                return this.isPlausibleDomain(normalized, start, end, refanged) &&
+                    !this.isBenignDomain(normalized);
+            case 'url': {
+                const host = this.parseUrlHost(normalized);
+                if (!host) {
+                    return true;
+                }
+                return !this.isBenignDomain(host.value.toLowerCase()) &&
+                    (this.options.includePrivate || !this.isReservedHost(host.value));
+            }
+            case 'md5':
+            case 'sha1':
+            case 'sha256':
+                // All-zero or single-character runs are placeholders, not hashes
+                return !/^(.)\1*$/.test(normalized);
+            case 'bitcoin_address':
+                // Require a mix of letters and digits to avoid matching words
+                return /\d/.test(rawValue) && /[a-z]/i.test(rawValue.slice(1));
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Checks a bare domain match against the TLD list, rejecting names that
+     * are more likely file names.
+     */
+    isPlausibleDomain(domain, start, end, refanged) {
+        const labels = domain.split('.');
+        const tld = labels[labels.length - 1];
+
+        if (!KNOWN_TLDS.has(tld)) {
+            return false;
+        }
+
+        if (AMBIGUOUS_TLDS.has(tld)) {
+            const wasDefanged = refanged.ends[end - 1] - refanged.starts[start] !== end - start;
+            return wasDefanged || labels.length >= 3;
+        }
+
+        return true;
+    }
+
+    /**
+     * True when the domain or any parent domain is on the benign list.
+     */
+    isBenignDomain(domain) {
+        const labels = domain.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (this.benignDomains.has(labels.slice(i).join('.'))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * True when the address falls inside private or reserved IPv4 space.
+     */
+    isReservedIPv4(address) {
+        const value = this.ipv4ToInt(address);
+        if (value === 0xffffffff) {
+            return true;
+        }
+
+        return RESERVED_IPV4_RANGES.some(([network, prefix]) => {
+            const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+            return ((value & mask) >>> 0) === ((this.ipv4ToInt(network) & mask) >>> 0);
+        });
+    }
+
+    /**
+     * True when a URL host is an IP address literal in reserved space, so
+     * URLs are filtered like the bare addresses they point to.
+     */
+    isReservedHost(host) {
+        if (/^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(host)) {
+            return this.isReservedIPv4(host);
+        }
+        return host.includes(':') && this.isReservedIPv6(host);
+    }
+
+    /**
+     * True when the address is unspecified, loopback, link-local,
+     * unique-local, multicast or documentation space.
+     */
+    isReservedIPv6(address) {
+        const groups = this.parseIPv6(address);
+        if (!groups) {
+            return true;
+        }
+
+        const [first, second] = groups;
+        const leadingZero = groups.slice(0, 7).every(group => group === 0);
+
+        return (leadingZero && (groups[7] === 0 || groups[7] === 1)) ||
+            (first & 0xffc0) === 0xfe80 ||
+            (first & 0xfe00) === 0xfc00 ||
+            (first & 0xff00) === 0xff00 ||
+            (first === 0x2001 && second === 0x0db8);
+    }
+
+    /**
+     * Converts a dotted-quad address to an unsigned 32-bit integer.
+     */
+    ipv4ToInt(address) {
+        return address.split('.')
+            .reduce((value, octet) => ((value << 8) + parseInt(octet, 10)) >>> 0, 0);
+    }
+
+    /**
+     * Expands an IPv6 address into eight numeric groups, or returns null
+     * when the candidate is not a valid address (timestamps, MAC addresses).
+     */
+    parseIPv6(value) {
+        const halves = value.split('::');
+        if (halves.length > 2) {
+            return null;
+        }
+
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const groups = [...head, ...tail];
+
+        if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) {
+            return null;
+        }
+
+        if (halves.length === 1 && groups.length !== 8) {
+            return null;
+        }
+
+        if (halves.length === 2 && groups.length > 7) {
+            return null;
+        }
+
+        const expanded = halves.length === 2
+            ? [...head, ...new Array(8 - groups.length).fill('0'), ...tail]
+            : groups;
+
+        return expanded.map(group => parseInt(group, 16));
+    }
+
+    /**
+     * Renders eight IPv6 groups in canonical compressed form (RFC 5952).
+     */
+    formatIPv6(groups) {
+        // Find the longest run of two or more zero groups
+        let bestStart = -1;
+        let bestLength = 1;
+        for (let i = 0; i < groups.length; i++) {
+            let length = 0;
+            while (i + length < groups.length && groups[i + length] === 0) {
+                length++;
+            }
+            if (length > bestLength) {
+                bestStart = i;
+                bestLength = length;
+            }
+        }
+
+        const hex = groups.map(group => group.toString(16));
+        if (bestStart === -1) {
+            return hex.join(':');
+        }
+
+        const head = hex.slice(0, bestStart).join(':');
+        const tail = hex.slice(bestStart + bestLength).join(':');
+        return `${head}::${tail}`;
+    }
+
+    /**
+     * Locates the host portion of a URL, returning its value and offset
+     * relative to the start of the URL.
+     */
+    parseUrlHost(url) {
+        const match = /^[a-z]+:\/\/(?:[^@/?#]*@)?(\[[^\]]+\]|[^/:?#]+)/i.exec(url);
+        if (!match) {
+            return null;
+        }
+
+        const host = match[1];
+        return {
+            value: host.replace(/^\[|\]$/g, ''),
+            offset: match[0].length - host.length + (host.startsWith('[') ? 1 : 0)
+        };
+    }
+
+    /**
+     * Reports the domain or IP address behind a URL or email address as an
+     * indicator of its own.
+     */
+    extractEmbeddedHost(type, value, start, originalText, refanged) {
+        let host = null;
+
+        if (type === 'url') {
+            host = this.parseUrlHost(value);
+        } else if (type === 'email') {
+            const at = value.lastIndexOf('@');
+            host = { value: value.slice(at + 1), offset: at + 1 };
+        }
+
+        if (!host) {
+            return [];
+        }
+
+        const hostType = /^[\d.]+$/.test(host.value)
+            ? 'ipv4'
+            : host.value.includes(':') ? 'ipv6' : 'domain';
+        const hostStart = start + host.offset;
+        const hostEnd = hostStart + host.value.length;
+
+        const normalized = this.normalizeValue(hostType, host.value);
+        if (!normalized) {
+            return [];
+        }
+
+        // Hosts inside URLs skip the TLD plausibility check but keep every other filter
+        const reportable = hostType === 'domain'
+            ? KNOWN_TLDS.has(normalized.split('.').pop()) && !this.isBenignDomain(normalized)
+            : this.isReportable(hostType, normalized, host.value, hostStart, hostEnd, refanged);
+
+        if (!reportable) {
+            return [];
+        }
+
+        const originalStart = refanged.starts[hostStart];
+        const originalEnd = refanged.ends[hostEnd - 1];
+        const raw = originalText.slice(originalStart, originalEnd);
+
+        return [{
+            type: hostType,
+            value: normalized,
+            raw,
+            defanged: raw !== host.value,
+            offsets: [{ start: originalStart, end: originalEnd }]
+        }];
+    }
+
+    /**
+     * Adds an indicator to the result set, merging offsets of duplicates.
+     */
+    recordIndicator(found, indicator) {
+        const key = `${indicator.type}:${indicator.value}`;
+        const existing = found.get(key);
+
+        if (!existing) {
+            found.set(key, indicator);
+            return;
+        }
+
+        const [offset] = indicator.offsets;
+        if (!existing.offsets.some(o => o.start === offset.start)) {
+            existing.offsets.push(offset);
+            existing.offsets.sort((a, b) => a.start - b.start);
+        }
+        existing.defanged = existing.defanged || indicator.defanged;
+    }
+
+    /**
+     * True when [start, end) intersects any span already claimed.
+     */
+    overlapsClaimed(claimed, start, end) {
+        return claimed.some(([claimedStart, claimedEnd]) => start < claimedEnd && end > claimedStart);
+    }
+}
+
+export default IndicatorExtractor;
@@ -3,30 +3,106 @@
 import { SecurityAnalyzer } from './analyzer';
 import { SecurityMentor } from '../sage/mentor';
 import { KnowledgeBase } from '../sage/knowledge-base';
+import AlertQueue from './alert-queue';
+import IncidentLifecycle from './incident-lifecycle';
+import SlaTracker from './sla-tracker';
+import PlaybookEngine from './playbook-engine';
+import ActionValidator from './action-validator';
+import HistoryStore from './history-store';
+import EventBus from '../../shared/utils/event-bus';
+import { getIncidentHosts, getIncidentUsers } from '../../shared/utils/incident-text';
+import { OPERATION_EVENTS, SEVERITY_THRESHOLDS } from '../../shared/constants';
+
+// chrome.alarms alarm that drives the monitoring cycle
+const MONITORING_ALARM = 'toad-monitoring-cycle';
+
+// chrome.storage.local key holding monitoring cycle health
+const MONITORING_HEALTH_KEY = 'toadSageMonitoringHealth';
+
+// chrome.storage.local key holding open incidents, so their lifecycle and
+// SLA timers survive service worker restarts
+const INCIDENTS_KEY = 'toadSageActiveIncidents';
+
+// Incident fields kept across restarts. Analysis results are not kept;
+// restored incidents are re-analyzed by the next monitoring cycle.
+const PERSISTED_INCIDENT_FIELDS = [
+    'alert',
+    'detectedAt',
+    'response',
+    'evidence',
+    'actions',
+    'escalations',
+    'fingerprint',
+    'occurrences',
+    'lastSeen',
+    'createdAt',
+    'updatedAt'
+];
+
+// Failed cycles in a row after which monitoring is reported as failing
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// Response step priorities from most to least urgent
+const STEP_PRIORITIES = ['immediate', 'high', 'normal', 'low'];
+
+// Priority of steps whose playbook does not set one
+const PHASE_PRIORITIES = {
+    analysis: 'high',
+    containment: 'immediate',
+    eradication: 'high',
+    recovery: 'normal',
+    'post-incident': 'low'
+};
 
 /**
  * SecurityOperations class manages real-time security monitoring,
  * incident handling, and operational response while providing
- * educational context for analysts.
+ * educational context for analysts. Operational events (see
+ * OPERATION_EVENTS) are published on the instance itself.
  */
-class SecurityOperations {
-    constructor() {
+class SecurityOperations extends EventBus {
+    constructor(options = {}) {
+        super();
+
         // Initialize core components
-        this.analyzer = new SecurityAnalyzer();
+        this.assetInventory = options.assetInventory || null;
+        this.analyzer = new SecurityAnalyzer({ assetInventory: this.assetInventory });
         this.mentor = new SecurityMentor();
         this.knowledgeBase = new KnowledgeBase();
+        this.playbookEngine = new PlaybookEngine();
+        this.actionValidator = new ActionValidator();
+
+        // Configure monitoring settings
+        this.monitoringConfig = this.initializeMonitoringConfig();
 
         // Set up operational state management
         this.operationalState = {
             activeIncidents: new Map(),
+            closedIncidents: new Map(),
             monitoringStatus: 'inactive',
-            alertQueue: [],
+            alertQueue: new AlertQueue({
+                ...this.monitoringConfig.ingestion,
+                processor: this.processQueuedAlert.bind(this),
+                onMerge: this.handleDuplicateAlert.bind(this)
+            }),
             lastCheck: null,
-            activeResponses: new Map()
+            activeResponses: new Map(),
+            monitoringHealth: this.createMonitoringHealth(),
+            cycleRunning: false
         };
 
-        // Configure monitoring settings
-        this.monitoringConfig = this.initializeMonitoringConfig();
+        // Indicator enrichers run by the monitoring cycle
+        this.enrichers = new Map();
+        this.registerDefaultEnrichers();
+
+        // Track acknowledgement and containment deadlines per incident
+        this.slaTracker = new SlaTracker({
+            budgets: {
+                acknowledge: this.monitoringConfig.responseTimeouts,
+                contain: this.monitoringConfig.containmentTimeouts
+            },
+            onEvent: this.handleSlaEvent.bind(this)
+        });
         
         // Set up event handlers
         this.setupEventHandlers();
@@ -47,7 +123,7 @@ class SecurityOperations {
             await this.initializeMonitoring();
             
             // Start monitoring cycle
-            this.startMonitoringCycle();
+            await this.startMonitoringCycle();
             
             // Update status
             this.operationalState.monitoringStatus = 'active';
@@ -80,10 +156,7 @@ class SecurityOperations {
             const analysis = await this.analyzer.analyzeIncident(incidentContext);
 
             // Get educational insights
-            const educationalContext = await this.mentor.provideMentorship(
-                incidentContext,
-                analysis
-            );
+            const educationalContext = await this.provideGuidance(incidentContext, analysis);
 
             // Generate response plan
             const responsePlan = await this.createResponsePlan(
@@ -94,10 +167,10 @@ class SecurityOperations {
             // Update active incidents
             this.updateActiveIncidents(alert.id, {
                 alert,
+                detectedAt: incidentContext.detectedAt,
                 analysis,
                 education: educationalContext,
-                response: responsePlan,
-                status: 'active'
+                response: responsePlan
             });
 
             return {
@@ -112,6 +185,31 @@ class SecurityOperations {
         }
     }
 
+    /**
+     * Builds the analysis input for a new alert: its own fields, with the
+     * time it was detected so dwell time is measured up to the alert.
+     */
+    async createIncidentContext(alert) {
+        return {
+            ...this.buildAnalysisInput({ id: alert.id, alert }),
+            detectedAt: alert.detectedAt || alert.timestamp || alert.receivedAt || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Asks the mentor for guidance on an analyzed incident. Guidance is
+     * supplementary, so failures are logged and the incident is still
+     * recorded without it.
+     */
+    async provideGuidance(incident, analysis) {
+        try {
+            return await this.mentor.provideMentorship(incident, analysis);
+        } catch (error) {
+            console.error(`Mentorship failed for ${incident.id}:`, error);
+            return null;
+        }
+    }
+
     /**
      * Creates a comprehensive response plan with educational
      * components for analyst learning.
@@ -145,39 +243,494 @@ class SecurityOperations {
     }
 
     /**
-     * Monitors active incidents and updates their status while
-     * providing ongoing guidance.
+     * Selects the playbooks matching the analyzed incident and
+     * instantiates their steps.
+     */
+    async generateResponseSteps(analysis) {
+        const facts = this.buildResponseFacts(analysis);
+        const selections = this.playbookEngine.select(facts);
+
+        if (selections.length === 0) {
+            throw new Error('No response playbook matches this incident');
+        }
+
+        return this.playbookEngine.instantiate(selections, facts);
+    }
+
+    /**
+     * Gathers the incident details playbook conditions and templates use.
+     */
+    buildResponseFacts(analysis) {
+        const finalContext = (analysis && analysis.analysis && analysis.analysis.finalContext) || {};
+        const incident = finalContext.incident || {};
+        const indicators = (finalContext.indicators || []).map(({ type, value }) => ({ type, value }));
+
+        return {
+            severity: finalContext.severity || null,
+            techniques: this.analyzer.collectTechniqueIds(incident, finalContext),
+            indicators,
+            indicatorTypes: Array.from(new Set(indicators.map(indicator => indicator.type))),
+            hosts: getIncidentHosts(incident),
+            users: getIncidentUsers(incident)
+        };
+    }
+
+    /**
+     * Attaches each step's playbook notes, and the mentor's immediate
+     * guidance to steps that must start right away.
+     */
+    async createEducationalAnnotations(responseSteps, educationalContext) {
+        const immediateGuidance = (educationalContext && educationalContext.immediateGuidance) || null;
+
+        return responseSteps.map(step => ({
+            note: step.education.note || null,
+            concepts: step.education.concepts || [],
+            references: step.education.references || [],
+            guidance: this.getStepPriority(step) === 'immediate' ? immediateGuidance : null
+        }));
+    }
+
+    /**
+     * Turns each step's playbook checks into pending validation criteria.
+     * A step is complete when all of its checks pass.
+     */
+    createValidationCriteria(responseSteps) {
+        return responseSteps.map(step => ({
+            stepId: step.id,
+            checks: step.validation.map(check => ({ ...check, status: 'pending' })),
+            complete: false
+        }));
+    }
+
+    /**
+     * Orders steps by urgency, keeping plan order within a priority.
+     */
+    prioritizeResponseSteps(responseSteps) {
+        return responseSteps
+            .map((step, index) => ({
+                stepId: step.id,
+                title: step.title,
+                owner: step.owner,
+                priority: this.getStepPriority(step),
+                index
+            }))
+            .sort((a, b) =>
+                STEP_PRIORITIES.indexOf(a.priority) - STEP_PRIORITIES.indexOf(b.priority) ||
+                a.index - b.index
+            )
+            .map(({ index, ...entry }) => entry);
+    }
+
+    getStepPriority(step) {
+        return STEP_PRIORITIES.includes(step.priority)
+            ? step.priority
+            : PHASE_PRIORITIES[step.phase] || 'normal';
+    }
+
+    /**
+     * Schedules the steps from their estimates and dependencies.
+     */
+    createResponseTimeline(responseSteps) {
+        return this.playbookEngine.schedule(responseSteps);
+    }
+
+    /**
+     * Collects the learning objectives of the playbooks used in the plan,
+     * followed by the mentor's suggested next steps.
+     */
+    extractLearningObjectives(responseSteps, educationalContext) {
+        const playbookIds = Array.from(new Set(responseSteps.flatMap(step => step.playbooks)));
+        const objectives = [];
+
+        playbookIds.forEach(id => {
+            const playbook = this.playbookEngine.getPlaybook(id);
+            ((playbook && playbook.learningObjectives) || []).forEach(objective => {
+                if (!objectives.some(entry => entry.objective === objective)) {
+                    objectives.push({ objective, source: id });
+                }
+            });
+        });
+
+        const nextSteps = educationalContext && educationalContext.nextSteps;
+        if (Array.isArray(nextSteps)) {
+            nextSteps
+                .filter(step => typeof step === 'string')
+                .forEach(objective => objectives.push({ objective, source: 'mentor' }));
+        }
+
+        return objectives;
+    }
+
+    /**
+     * Restores the health of earlier monitoring cycles, which outlives the
+     * service worker.
+     */
+    async initializeMonitoring() {
+        const stored = await chrome.storage.local.get([MONITORING_HEALTH_KEY]);
+
+        this.operationalState.monitoringHealth = {
+            ...this.createMonitoringHealth(),
+            ...(stored[MONITORING_HEALTH_KEY] || {})
+        };
+    }
+
+    /**
+     * Schedules the monitoring cycle every `checkInterval`. The alarm is
+     * only re-created when missing or when the interval changed, so a
+     * restarting worker does not postpone the next cycle.
+     */
+    async startMonitoringCycle() {
+        const periodInMinutes = this.monitoringConfig.checkInterval / 60000;
+        const existing = await chrome.alarms.get(MONITORING_ALARM);
+
+        if (!existing || existing.periodInMinutes !== periodInMinutes) {
+            await chrome.alarms.create(MONITORING_ALARM, {
+                delayInMinutes: periodInMinutes,
+                periodInMinutes
+            });
+        }
+    }
+
+    /**
+     * Handles a chrome.alarms alarm for the monitoring cycle or an SLA
+     * timer. Returns false for alarms operations does not own.
+     */
+    async handleAlarm(alarm) {
+        if (alarm.name === MONITORING_ALARM) {
+            await this.runMonitoringCycle();
+            return true;
+        }
+
+        return this.slaTracker.handleAlarm(alarm);
+    }
+
+    /**
+     * Runs one monitoring cycle: refreshes stale indicator enrichments,
+     * then checks every active incident. The outcome is recorded as cycle
+     * health and published as a monitoring.cycle event. A cycle still
+     * running when the next alarm fires is not started twice.
+     */
+    async runMonitoringCycle() {
+        if (this.operationalState.cycleRunning) {
+            return null;
+        }
+
+        this.operationalState.cycleRunning = true;
+        const startedAt = Date.now();
+        const health = this.operationalState.monitoringHealth;
+        let cycle;
+
+        try {
+            const enrichment = await this.enrichStaleIndicators(startedAt);
+            const monitoring = await this.monitorActiveIncidents();
+            const errors = [...enrichment.errors, ...monitoring.errors];
+
+            cycle = {
+                lastCycleStatus: errors.length > 0 ? 'degraded' : 'ok',
+                incidentsChecked: monitoring.checked,
+                reanalyzed: monitoring.reanalyzed,
+                indicatorsEnriched: enrichment.enriched,
+                errors: errors.slice(0, 10)
+            };
+        } catch (error) {
+            console.error('Monitoring cycle failed:', error);
+            cycle = {
+                lastCycleStatus: 'failed',
+                incidentsChecked: 0,
+                reanalyzed: 0,
+                indicatorsEnriched: 0,
+                errors: [{ message: error.message }]
+            };
+        } finally {
+            this.operationalState.cycleRunning = false;
+        }
+
+        const finishedAt = Date.now();
+        this.operationalState.lastCheck = new Date(finishedAt);
+        this.operationalState.monitoringHealth = {
+            ...health,
+            ...cycle,
+            lastRunAt: new Date(startedAt).toISOString(),
+            lastDurationMs: finishedAt - startedAt,
+            lastSuccessAt: cycle.lastCycleStatus === 'failed' ? health.lastSuccessAt : new Date(finishedAt).toISOString(),
+            consecutiveFailures: cycle.lastCycleStatus === 'failed' ? health.consecutiveFailures + 1 : 0,
+            totalRuns: health.totalRuns + 1
+        };
+
+        try {
+            await chrome.storage.local.set({ [MONITORING_HEALTH_KEY]: this.operationalState.monitoringHealth });
+        } catch (error) {
+            console.error('Failed to save monitoring health:', error);
+        }
+
+        await this.emit(OPERATION_EVENTS.MONITORING_CYCLE, { health: this.getMonitoringStatus() });
+        return this.operationalState.monitoringHealth;
+    }
+
+    createMonitoringHealth() {
+        return {
+            lastCycleStatus: 'pending',
+            lastRunAt: null,
+            lastSuccessAt: null,
+            lastDurationMs: null,
+            incidentsChecked: 0,
+            reanalyzed: 0,
+            indicatorsEnriched: 0,
+            errors: [],
+            consecutiveFailures: 0,
+            totalRuns: 0
+        };
+    }
+
+    /**
+     * Summarizes operational health for the popup. Monitoring is degraded
+     * when the last cycle had errors or cycles stopped running, and failing
+     * after repeated failed cycles. `score` (0-100) drives the status bar.
+     */
+    getMonitoringStatus() {
+        const health = this.operationalState.monitoringHealth;
+        const { checkInterval } = this.monitoringConfig;
+        const lastRun = health.lastRunAt ? Date.parse(health.lastRunAt) : null;
+
+        // Allow one missed alarm before calling the schedule overdue
+        const overdue = lastRun !== null && Date.now() - lastRun > 2 * checkInterval;
+
+        let status;
+        if (this.operationalState.monitoringStatus !== 'active') {
+            status = this.operationalState.monitoringStatus === 'error' ? 'error' : 'inactive';
+        } else if (health.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+            status = 'error';
+        } else if (overdue || health.consecutiveFailures > 0 || health.lastCycleStatus === 'degraded') {
+            status = 'degraded';
+        } else {
+            status = 'optimal';
+        }
+
+        const score = status === 'inactive' || status === 'error'
+            ? 0
+            : Math.max(0, 100 -
+                health.consecutiveFailures * 25 -
+                Math.min(health.errors.length, 4) * 10 -
+                (overdue ? 30 : 0));
+
+        return {
+            ...health,
+            status,
+            score,
+            monitoringStatus: this.operationalState.monitoringStatus,
+            overdue,
+            checkInterval,
+            activeIncidents: this.operationalState.activeIncidents.size,
+            queue: this.operationalState.alertQueue.getStatus()
+        };
+    }
+
+    /**
+     * Registers an indicator enricher. `types` lists the indicator types it
+     * handles ("*" for all); `enrich(indicator, incident)` resolves to data
+     * stored with the indicator, or null when there is nothing to add.
+     */
+    registerEnricher(name, { types = ['*'], enrich }) {
+        if (typeof enrich !== 'function') {
+            throw new Error(`Enricher ${name} requires an enrich function`);
+        }
+
+        this.enrichers.set(name, { types, enrich });
+    }
+
+    /**
+     * Registers the enrichers backed by local data: prior sightings in the
+     * analysis history and matching assets in the inventory.
+     */
+    registerDefaultEnrichers() {
+        this.registerEnricher('history', {
+            enrich: async indicator => {
+                const since = Date.now() - this.monitoringConfig.enrichment.historyWindow;
+                const records = await this.analyzer.analysisState.historicalContext
+                    .findByIndicator(indicator, { since });
+
+                return {
+                    sightings: records.length,
+                    lastSeen: records.length > 0
+                        ? new Date(Math.max(...records.map(record => record.timestamp))).toISOString()
+                        : null
+                };
+            }
+        });
+
+        this.registerEnricher('assets', {
+            types: ['ipv4', 'ipv6', 'domain', 'url'],
+            enrich: async indicator => {
+                if (!this.assetInventory) {
+                    return null;
+                }
+
+                const assets = this.assetInventory.lookup(indicator);
+                return assets.length === 0 ? null : assets.map(({ id, name, owner, criticality, crownJewel }) => ({
+                    id,
+                    name,
+                    owner,
+                    criticality,
+                    crownJewel
+                }));
+            }
+        });
+    }
+
+    /**
+     * Re-runs enrichers for indicators of open incidents whose enrichment
+     * is missing or older than `enrichment.maxAge`. At most
+     * `enrichment.batchSize` indicators are refreshed per cycle.
+     */
+    async enrichStaleIndicators(now = Date.now()) {
+        const { maxAge, batchSize } = this.monitoringConfig.enrichment;
+        const result = { enriched: 0, errors: [] };
+
+        for (const incident of this.operationalState.activeIncidents.values()) {
+            if (result.enriched >= batchSize) {
+                break;
+            }
+
+            const enrichment = { ...(incident.enrichment || {}) };
+            const stale = this.getIncidentIndicators(incident)
+                .filter(indicator => {
+                    const entry = enrichment[HistoryStore.indicatorKey(indicator)];
+                    return !entry || now - Date.parse(entry.enrichedAt) > maxAge;
+                })
+                .slice(0, batchSize - result.enriched);
+
+            if (stale.length === 0) {
+                continue;
+            }
+
+            for (const indicator of stale) {
+                const entry = { enrichedAt: new Date(now).toISOString(), results: {}, errors: {} };
+
+                for (const [name, enricher] of this.enrichers) {
+                    if (!enricher.types.includes('*') && !enricher.types.includes(indicator.type)) {
+                        continue;
+                    }
+
+                    try {
+                        const data = await enricher.enrich(indicator, incident);
+                        if (data !== null && data !== undefined) {
+                            entry.results[name] = data;
+                        }
+                    } catch (error) {
+                        entry.errors[name] = error.message;
+                        result.errors.push({
+                            incidentId: incident.id,
+                            message: `Enricher ${name} failed for ${indicator.value}: ${error.message}`
+                        });
+                    }
+                }
+
+                enrichment[HistoryStore.indicatorKey(indicator)] = entry;
+                result.enriched++;
+            }
+
+            this.updateIncidentRecord(incident.id, { enrichment });
+        }
+
+        return result;
+    }
+
+    getIncidentIndicators(incident) {
+        const analysis = incident.analysis && incident.analysis.analysis;
+        const finalContext = (analysis && analysis.finalContext) || {};
+
+        return (finalContext.indicators || []).map(({ type, value }) => ({ type, value }));
+    }
+
+    /**
+     * Attaches new evidence (log excerpts, events, analyst notes) to an
+     * incident and flags it so the next monitoring cycle re-analyzes it.
+     */
+    attachEvidence(incidentId, evidence) {
+        const incident = this.operationalState.activeIncidents.get(incidentId);
+        if (!incident) {
+            throw new Error(`Unknown incident: ${incidentId}`);
+        }
+
+        if (!evidence || (!evidence.content && !Array.isArray(evidence.events))) {
+            throw new Error('Evidence requires content or events');
+        }
+
+        const entry = {
+            ...evidence,
+            id: evidence.id || `evidence_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            attachedAt: new Date().toISOString()
+        };
+
+        this.updateIncidentRecord(incidentId, {
+            evidence: [...(incident.evidence || []), entry],
+            needsReanalysis: true
+        });
+
+        return entry;
+    }
+
+    /**
+     * Builds the input for re-analysis: the original alert with the text
+     * and events of all attached evidence added.
+     */
+    buildAnalysisInput(incident) {
+        const alert = incident.alert || {};
+        const evidence = incident.evidence || [];
+
+        return {
+            ...alert,
+            id: incident.id,
+            details: [alert.details, ...evidence.map(item => item.content)]
+                .filter(text => typeof text === 'string' && text)
+                .join('\n'),
+            events: [
+                ...(Array.isArray(alert.events) ? alert.events : []),
+                ...evidence.flatMap(item => (Array.isArray(item.events) ? item.events : []))
+            ]
+        };
+    }
+
+    /**
+     * Monitors active incidents and re-analyzes those with new evidence.
+     * Returns how many incidents were checked and re-analyzed, and the
+     * errors met along the way.
      */
     async monitorActiveIncidents() {
         const activeIncidents = Array.from(this.operationalState.activeIncidents.values());
+        const result = { checked: 0, reanalyzed: 0, errors: [] };
         
         for (const incident of activeIncidents) {
             try {
+                result.checked++;
+
                 // Update incident status
                 const updatedStatus = await this.updateIncidentStatus(incident);
                 
                 // Check for changes requiring new analysis
                 if (this.requiresReanalysis(incident, updatedStatus)) {
                     // Perform new analysis
-                    const newAnalysis = await this.analyzer.analyzeIncident(incident);
+                    const newAnalysis = await this.analyzer.analyzeIncident(this.buildAnalysisInput(incident));
                     
                     // Update guidance
-                    const newGuidance = await this.mentor.provideMentorship(
-                        incident,
-                        newAnalysis
-                    );
+                    const newGuidance = await this.provideGuidance(incident, newAnalysis);
                     
                     // Update incident record
                     this.updateIncidentRecord(incident.id, {
                         analysis: newAnalysis,
                         guidance: newGuidance,
-                        status: updatedStatus
+                        needsReanalysis: false,
+                        lastAnalyzedAt: new Date().toISOString()
                     });
+                    result.reanalyzed++;
                 }
             } catch (error) {
                 console.error(`Error monitoring incident ${incident.id}:`, error);
+                result.errors.push({ incidentId: incident.id, message: error.message });
             }
         }
+
+        return result;
     }
 
     /**
@@ -187,18 +740,30 @@ class SecurityOperations {
     initializeMonitoringConfig() {
         return {
             checkInterval: 5 * 60 * 1000, // 5 minutes
-            alertThresholds: {
-                critical: 90,
-                high: 70,
-                medium: 50,
-                low: 30
-            },
+            alertThresholds: { ...SEVERITY_THRESHOLDS },
             responseTimeouts: {
                 critical: 15 * 60 * 1000,  // 15 minutes
                 high: 30 * 60 * 1000,      // 30 minutes
                 medium: 60 * 60 * 1000,    // 1 hour
                 low: 4 * 60 * 60 * 1000    // 4 hours
             },
+            containmentTimeouts: {
+                critical: 4 * 60 * 60 * 1000,   // 4 hours
+                high: 8 * 60 * 60 * 1000,       // 8 hours
+                medium: 24 * 60 * 60 * 1000,    // 1 day
+                low: 72 * 60 * 60 * 1000        // 3 days
+            },
+            enrichment: {
+                maxAge: 6 * 60 * 60 * 1000,               // refresh enrichments older than 6 hours
+                batchSize: 50,                            // indicators enriched per cycle
+                historyWindow: 30 * 24 * 60 * 60 * 1000   // sightings counted over 30 days
+            },
+            ingestion: {
+                maxSize: 500,                   // queued alerts before back-pressure
+                concurrency: 2,                 // analyses running at once
+                dedupWindow: 10 * 60 * 1000,    // repeats within 10 minutes merge
+                mergeNotifyInterval: 30 * 1000  // at most one update event per 30 seconds
+            },
             learningConfig: {
                 enableRealTimeGuidance: true,
                 includeFrameworkMapping: true,
@@ -212,17 +777,371 @@ class SecurityOperations {
      * Sets up event handlers for various operational events.
      */
     setupEventHandlers() {
-        // Handle new alerts
-        this.on('newAlert', this.handleSecurityAlert.bind(this));
+        // Queue new alerts; analysis runs as the queue drains
+        this.on(OPERATION_EVENTS.NEW_ALERT, this.ingestAlert.bind(this));
         
         // Handle status updates
-        this.on('statusUpdate', this.handleStatusUpdate.bind(this));
+        this.on(OPERATION_EVENTS.STATUS_UPDATE, this.handleStatusUpdate.bind(this));
         
         // Handle learning events
-        this.on('learningOpportunity', this.handleLearningOpportunity.bind(this));
+        this.on(OPERATION_EVENTS.LEARNING_OPPORTUNITY, this.handleLearningOpportunity.bind(this));
         
         // Handle response actions
-        this.on('responseAction', this.handleResponseAction.bind(this));
+        this.on(OPERATION_EVENTS.RESPONSE_ACTION, this.handleResponseAction.bind(this));
+    }
+
+    /**
+     * Adds an alert to the ingestion queue. Repeats of a recent alert are
+     * merged into it rather than analyzed again.
+     */
+    ingestAlert(alert) {
+        const queuedAlert = alert.id
+            ? alert
+            : { ...alert, id: `alert_${Date.now()}_${Math.random().toString(36).slice(2, 11)}` };
+
+        return this.operationalState.alertQueue.enqueue(queuedAlert);
+    }
+
+    /**
+     * Analyzes an alert taken from the queue and records how many times it
+     * has been seen so far.
+     */
+    async processQueuedAlert(alert, entry) {
+        const result = await this.handleSecurityAlert(alert);
+
+        entry.incidentId = alert.id;
+        entry.notifiedAt = Date.now();
+        this.updateIncidentRecord(alert.id, {
+            fingerprint: entry.fingerprint,
+            occurrences: entry.count,
+            lastSeen: new Date(entry.lastSeen).toISOString()
+        });
+
+        return result;
+    }
+
+    /**
+     * Counts a repeated alert against its incident. Update events are
+     * throttled so an alert flood does not become an event flood.
+     */
+    handleDuplicateAlert(entry) {
+        const incident = entry.incidentId && this.operationalState.activeIncidents.get(entry.incidentId);
+        if (!incident) {
+            // Still queued or being analyzed; the count is recorded afterwards
+            return;
+        }
+
+        const changes = {
+            occurrences: entry.count,
+            lastSeen: new Date(entry.lastSeen).toISOString()
+        };
+
+        if (Date.now() - entry.notifiedAt < this.monitoringConfig.ingestion.mergeNotifyInterval) {
+            Object.assign(incident, changes);
+            return;
+        }
+
+        entry.notifiedAt = Date.now();
+        this.updateIncidentRecord(entry.incidentId, changes);
+    }
+
+    /**
+     * Records an incident for the first time or replaces its record,
+     * publishing incident.created or incident.updated. New incidents start
+     * in the `new` state; status can only change through
+     * transitionIncident.
+     */
+    updateActiveIncidents(incidentId, record) {
+        const existing = this.operationalState.activeIncidents.get(incidentId);
+        if (existing && record.status !== undefined && record.status !== existing.status) {
+            throw new Error(`Incident ${incidentId} status must be changed with transitionIncident`);
+        }
+
+        const lifecycle = existing
+            ? existing.lifecycle
+            : new IncidentLifecycle({ actor: 'system', reason: 'Created from alert' });
+        const now = new Date().toISOString();
+        const updated = {
+            ...record,
+            id: incidentId,
+            lifecycle,
+            status: lifecycle.state,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        this.operationalState.activeIncidents.set(incidentId, updated);
+        this.persistIncidents()
+            .catch(error => console.error(`Failed to save incident ${incidentId}:`, error));
+
+        if (!existing) {
+            this.slaTracker.start(incidentId, this.getIncidentSeverity(updated), this.getSlaStartTime(updated))
+                .catch(error => console.error(`Failed to start SLA timers for ${incidentId}:`, error));
+        }
+
+        this.emit(
+            existing ? OPERATION_EVENTS.INCIDENT_UPDATED : OPERATION_EVENTS.INCIDENT_CREATED,
+            { incidentId, incident: updated }
+        );
+
+        return updated;
+    }
+
+    /**
+     * Applies changes to an existing incident record.
+     */
+    updateIncidentRecord(incidentId, changes) {
+        const existing = this.operationalState.activeIncidents.get(incidentId);
+        if (!existing) {
+            throw new Error(`Unknown incident: ${incidentId}`);
+        }
+
+        return this.updateActiveIncidents(incidentId, { ...existing, ...changes });
+    }
+
+    /**
+     * Handles status update events ({ incidentId, status, actor, reason }).
+     */
+    async handleStatusUpdate(update) {
+        const { incidentId, status, actor, reason } = update;
+        return this.transitionIncident(incidentId, status, { actor, reason });
+    }
+
+    /**
+     * Moves an incident through its lifecycle. This is the only way to
+     * change an incident's status; invalid transitions throw an error with
+     * code INVALID_TRANSITION. Publishes incident.statusChanged and, once
+     * the incident is closed, incident.closed.
+     */
+    async transitionIncident(incidentId, status, { actor, reason } = {}) {
+        const existing = this.operationalState.activeIncidents.get(incidentId);
+        if (!existing) {
+            throw new Error(`Unknown incident: ${incidentId}`);
+        }
+
+        const previousStatus = existing.status;
+        const auditEntry = existing.lifecycle.transition(status, { actor, reason });
+        const incident = {
+            ...existing,
+            status: existing.lifecycle.state,
+            updatedAt: auditEntry.timestamp
+        };
+        this.operationalState.activeIncidents.set(incidentId, incident);
+        await this.persistIncidents()
+            .catch(error => console.error(`Failed to save incident ${incidentId}:`, error));
+
+        // SLA bookkeeping must never block a lifecycle change
+        try {
+            await this.slaTracker.handleTransition(incidentId, incident.status);
+        } catch (error) {
+            console.error(`Failed to update SLA timers for ${incidentId}:`, error);
+        }
+
+        await this.emit(OPERATION_EVENTS.INCIDENT_STATUS_CHANGED, {
+            incidentId,
+            previousStatus,
+            status: incident.status,
+            auditEntry,
+            incident
+        });
+
+        if (incident.lifecycle.isTerminal()) {
+            this.operationalState.activeIncidents.delete(incidentId);
+            this.operationalState.closedIncidents.set(incidentId, incident);
+            await this.persistIncidents()
+                .catch(error => console.error(`Failed to save incident ${incidentId}:`, error));
+            await this.slaTracker.remove(incidentId)
+                .catch(error => console.error(`Failed to remove SLA timers for ${incidentId}:`, error));
+            await this.emit(OPERATION_EVENTS.INCIDENT_CLOSED, { incidentId, incident });
+        }
+
+        return incident;
+    }
+
+    /**
+     * Saves the open incidents to chrome.storage.local.
+     */
+    async persistIncidents() {
+        const incidents = {};
+
+        this.operationalState.activeIncidents.forEach((incident, incidentId) => {
+            incidents[incidentId] = PERSISTED_INCIDENT_FIELDS
+                .filter(field => incident[field] !== undefined)
+                .reduce((record, field) => ({ ...record, [field]: incident[field] }), {
+                    lifecycle: incident.lifecycle.toJSON()
+                });
+        });
+
+        await chrome.storage.local.set({ [INCIDENTS_KEY]: incidents });
+    }
+
+    /**
+     * Restores the open incidents saved before the service worker stopped,
+     * then their SLA timers. Timers whose incident could not be restored
+     * are dropped, since nothing could stop or escalate them. Restored
+     * incidents are flagged for re-analysis.
+     */
+    async restoreIncidents() {
+        const stored = await chrome.storage.local.get([INCIDENTS_KEY]);
+        const saved = stored[INCIDENTS_KEY] || {};
+
+        Object.keys(saved).forEach(incidentId => {
+            try {
+                const { lifecycle, ...record } = saved[incidentId];
+                const restored = IncidentLifecycle.fromJSON(lifecycle);
+
+                this.operationalState.activeIncidents.set(incidentId, {
+                    ...record,
+                    id: incidentId,
+                    lifecycle: restored,
+                    status: restored.state,
+                    needsReanalysis: true
+                });
+
+                if (Array.isArray(record.actions)) {
+                    this.operationalState.activeResponses.set(incidentId, [...record.actions]);
+                }
+            } catch (error) {
+                console.error(`Failed to restore incident ${incidentId}:`, error);
+            }
+        });
+
+        await this.slaTracker.restore();
+        await this.slaTracker.retain(Array.from(this.operationalState.activeIncidents.keys()));
+
+        return this.operationalState.activeIncidents.size;
+    }
+
+    /**
+     * Publishes SLA warnings, and escalates the incident when an SLA is
+     * breached.
+     */
+    async handleSlaEvent(type, timer) {
+        const { incidentId } = timer;
+
+        if (type === 'warning') {
+            await this.emit(OPERATION_EVENTS.SLA_WARNING, { incidentId, timer });
+            return;
+        }
+
+        await this.emit(OPERATION_EVENTS.SLA_BREACHED, { incidentId, timer });
+
+        const incident = this.operationalState.activeIncidents.get(incidentId);
+        if (!incident) {
+            return;
+        }
+
+        const escalation = {
+            level: (incident.escalations || []).length + 1,
+            reason: `Time to ${timer.kind} exceeded the ${timer.severity} SLA`,
+            kind: timer.kind,
+            timestamp: new Date().toISOString()
+        };
+
+        const updated = this.updateIncidentRecord(incidentId, {
+            escalations: [...(incident.escalations || []), escalation]
+        });
+
+        await this.emit(OPERATION_EVENTS.INCIDENT_ESCALATED, {
+            incidentId,
+            escalation,
+            incident: updated
+        });
+    }
+
+    /**
+     * Determines an incident's severity from its analysis, falling back to
+     * the severity reported by the alert source.
+     */
+    getIncidentSeverity(incident) {
+        const analysis = incident.analysis && incident.analysis.analysis;
+        const finalContext = analysis && analysis.finalContext;
+
+        return (finalContext && finalContext.severity) ||
+            (incident.alert && incident.alert.severity) ||
+            'medium';
+    }
+
+    /**
+     * Determines when an incident's SLA clocks start: when its alert was
+     * detected, so time spent queued counts against the budget. Missing,
+     * unparseable or future timestamps fall back to now.
+     */
+    getSlaStartTime(incident) {
+        const now = Date.now();
+        const detectedAt = new Date(incident.detectedAt).getTime();
+
+        return Number.isFinite(detectedAt) ? Math.min(detectedAt, now) : now;
+    }
+
+    /**
+     * Returns the audit log of an active or closed incident.
+     */
+    getIncidentAuditLog(incidentId) {
+        const incident = this.operationalState.activeIncidents.get(incidentId) ||
+            this.operationalState.closedIncidents.get(incidentId);
+        if (!incident) {
+            throw new Error(`Unknown incident: ${incidentId}`);
+        }
+
+        return incident.lifecycle.getAuditLog();
+    }
+
+    /**
+     * Takes a snapshot of an incident's lifecycle position for monitoring.
+     */
+    async updateIncidentStatus(incident) {
+        const { lifecycle } = incident;
+        const lastTransition = lifecycle.getLastTransition();
+
+        return {
+            state: lifecycle.state,
+            since: lastTransition.timestamp,
+            timeInState: Date.now() - Date.parse(lastTransition.timestamp),
+            availableTransitions: lifecycle.availableTransitions(),
+            terminal: lifecycle.isTerminal()
+        };
+    }
+
+    /**
+     * Decides whether an incident needs a fresh analysis: only open
+     * incidents that have been flagged because new information arrived.
+     */
+    requiresReanalysis(incident, status) {
+        if (status.terminal) {
+            return false;
+        }
+
+        return Boolean(incident.needsReanalysis);
+    }
+
+    /**
+     * Records a response action taken on an incident, with a critique of
+     * the action against the incident's response plan.
+     */
+    async handleResponseAction(action) {
+        const { incidentId } = action;
+        const incident = this.operationalState.activeIncidents.get(incidentId);
+        if (!incident) {
+            throw new Error(`Unknown incident: ${incidentId}`);
+        }
+
+        const logged = {
+            ...action,
+            id: action.id || `action_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`,
+            timestamp: action.timestamp || new Date().toISOString()
+        };
+        const entry = {
+            ...logged,
+            validation: await this.validateResponseAction(logged, incident)
+        };
+
+        const actions = this.operationalState.activeResponses.get(incidentId) || [];
+        actions.push(entry);
+        this.operationalState.activeResponses.set(incidentId, actions);
+
+        this.updateIncidentRecord(incidentId, { actions: [...actions] });
+        return entry;
     }
 
     /**
@@ -280,6 +1199,75 @@ class SecurityOperations {
             nextSteps: this.suggestNextSteps(validationResult)
         };
     }
+
+    /**
+     * Checks an action against the incident's response plan and the
+     * actions already taken on it.
+     */
+    checkActionValidity(action, incident) {
+        return this.actionValidator.validate(action, {
+            plan: incident.response,
+            history: incident.actions || []
+        });
+    }
+
+    /**
+     * Summarizes the critique of an action: its score and what was wrong
+     * with it, most serious first.
+     */
+    async generateActionFeedback(action, validationResult) {
+        const { findings, score, grade, planStep } = validationResult;
+        const severityOrder = ['high', 'medium', 'low'];
+
+        let summary;
+        if (findings.length === 0) {
+            summary = planStep
+                ? `Good: this completes "${planStep.title}" in the right order.`
+                : 'No problems found with this action.';
+        } else {
+            summary = `${findings.length} issue(s) found with "${validationResult.action.text}".`;
+        }
+
+        return {
+            score,
+            grade,
+            summary,
+            critique: [...findings]
+                .sort((a, b) => severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity))
+                .map(({ severity, message }) => ({ severity, message }))
+        };
+    }
+
+    /**
+     * Collects the lessons behind each finding, and the educational note
+     * of the plan step the action carried out.
+     */
+    async extractLearningPoints(action, validationResult, incident) {
+        const points = validationResult.findings.map(finding => ({
+            topic: finding.code,
+            lesson: finding.lesson
+        }));
+
+        const planSteps = (incident.response && incident.response.steps) || [];
+        const step = validationResult.planStep &&
+            planSteps.find(candidate => candidate.id === validationResult.planStep.id);
+
+        if (step && step.education && step.education.note) {
+            points.push({ topic: step.id, lesson: step.education.note });
+        }
+
+        return points;
+    }
+
+    /**
+     * Suggests the plan steps that can be started now, most urgent first.
+     */
+    suggestNextSteps(validationResult) {
+        return validationResult.readySteps
+            .map(step => ({ ...step, priority: this.getStepPriority(step) }))
+            .sort((a, b) => STEP_PRIORITIES.indexOf(a.priority) - STEP_PRIORITIES.indexOf(b.priority))
+            .slice(0, 3);
+    }
 }
 
 export default SecurityOperations;
\ No newline at end of file
@@ -0,0 +1,326 @@
+// src/core/toad/playbook-engine.js
+
+import { RESPONSE_PHASE_GATES, RESPONSE_PHASES, SEVERITY_LEVELS } from '../../shared/constants';
+
+// Text used for template variables the incident provides no value for
+const VARIABLE_FALLBACKS = {
+    hosts: 'the affected hosts',
+    users: 'the affected accounts',
+    severity: 'unknown',
+    techniques: 'the observed techniques',
+    indicators: 'the identified indicators'
+};
+
+// Matches "{{hosts}}" or "{{indicators.domain}}" in step text
+const VARIABLE_PATTERN = /\{\{\s*([a-z]+)(?:\.([a-z0-9_]+))?\s*\}\}/gi;
+
+/**
+ * Loads the playbooks shipped with the extension.
+ */
+function loadDefaultPlaybooks() {
+    return [
+        require('../../data/playbooks/ransomware.json'),
+        require('../../data/playbooks/phishing.json'),
+        require('../../data/playbooks/malware-execution.json'),
+        require('../../data/playbooks/credential-compromise.json'),
+        require('../../data/playbooks/generic.json')
+    ];
+}
+
+/**
+ * PlaybookEngine selects declarative response playbooks for an incident
+ * and instantiates their steps.
+ *
+ * A playbook states the conditions under which it applies (minimum
+ * severity, ATT&CK techniques, indicator types), and ordered steps with a
+ * phase, owner, estimate, validation checks and educational notes. Every
+ * condition given must hold; within a condition any listed value matches,
+ * and parent techniques match their sub-techniques. Fallback playbooks are
+ * used only when nothing else matches.
+ */
+class PlaybookEngine {
+    constructor({ playbooks } = {}) {
+        this.playbooks = new Map();
+        (playbooks || loadDefaultPlaybooks()).forEach(playbook => this.register(playbook));
+    }
+
+    /**
+     * Adds or replaces a playbook after checking its structure.
+     */
+    register(playbook) {
+        const problems = this.validate(playbook);
+        if (problems.length > 0) {
+            throw new Error(`Invalid playbook ${(playbook && playbook.id) || '(no id)'}: ${problems.join('; ')}`);
+        }
+
+        this.playbooks.set(playbook.id, playbook);
+        return playbook;
+    }
+
+    getPlaybook(id) {
+        return this.playbooks.get(id) || null;
+    }
+
+    /**
+     * Lists structural problems with a playbook; empty when it is valid.
+     */
+    validate(playbook) {
+        if (!playbook || typeof playbook !== 'object') {
+            return ['playbook must be an object'];
+        }
+
+        const problems = [];
+        if (!playbook.id) problems.push('id is required');
+        if (!playbook.name) problems.push('name is required');
+
+        const conditions = playbook.conditions || {};
+        if (conditions.minSeverity && !SEVERITY_LEVELS.includes(conditions.minSeverity)) {
+            problems.push(`unknown minSeverity ${conditions.minSeverity}`);
+        }
+        ['techniques', 'indicatorTypes'].forEach(key => {
+            if (conditions[key] !== undefined && !Array.isArray(conditions[key])) {
+                problems.push(`conditions.${key} must be an array`);
+            }
+        });
+
+        if (!Array.isArray(playbook.steps) || playbook.steps.length === 0) {
+            problems.push('at least one step is required');
+            return problems;
+        }
+
+        const stepIds = new Set();
+        playbook.steps.forEach((step, index) => {
+            const label = step.id || `step ${index + 1}`;
+            if (!step.id) problems.push(`${label}: id is required`);
+            if (stepIds.has(step.id)) problems.push(`${label}: duplicate id`);
+            if (!step.title) problems.push(`${label}: title is required`);
+            if (!RESPONSE_PHASES.includes(step.phase)) problems.push(`${label}: unknown phase ${step.phase}`);
+
+            // Dependencies may only point at earlier steps, which also rules out cycles
+            (step.dependsOn || []).forEach(dependency => {
+                if (!stepIds.has(dependency)) {
+                    problems.push(`${label}: depends on unknown or later step ${dependency}`);
+                }
+            });
+
+            stepIds.add(step.id);
+        });
+
+        return problems;
+    }
+
+    /**
+     * Picks the playbooks that apply to an incident, highest priority
+     * first. Each selection records the conditions that matched.
+     */
+    select(facts) {
+        const candidates = Array.from(this.playbooks.values());
+
+        const selected = candidates
+            .filter(playbook => !playbook.fallback)
+            .map(playbook => ({ playbook, matched: this.evaluate(playbook, facts) }))
+            .filter(selection => selection.matched);
+
+        const selections = selected.length > 0
+            ? selected
+            : candidates
+                .filter(playbook => playbook.fallback)
+                .map(playbook => ({ playbook, matched: this.evaluate(playbook, facts) }))
+                .filter(selection => selection.matched);
+
+        return selections.sort((a, b) => (b.playbook.priority || 0) - (a.playbook.priority || 0));
+    }
+
+    /**
+     * Checks a playbook's conditions against incident facts. Returns the
+     * matched values, or null when a condition fails.
+     */
+    evaluate(playbook, facts) {
+        const conditions = playbook.conditions || {};
+        const matched = {};
+
+        if (conditions.minSeverity) {
+            const actual = SEVERITY_LEVELS.indexOf(facts.severity);
+            if (actual === -1 || actual > SEVERITY_LEVELS.indexOf(conditions.minSeverity)) {
+                return null;
+            }
+            matched.severity = facts.severity;
+        }
+
+        if (conditions.techniques && conditions.techniques.length > 0) {
+            const techniques = facts.techniques.filter(technique =>
+                conditions.techniques.some(wanted => technique === wanted || technique.startsWith(`${wanted}.`))
+            );
+            if (techniques.length === 0) {
+                return null;
+            }
+            matched.techniques = techniques;
+        }
+
+        if (conditions.indicatorTypes && conditions.indicatorTypes.length > 0) {
+            const indicatorTypes = conditions.indicatorTypes.filter(type => facts.indicatorTypes.includes(type));
+            if (indicatorTypes.length === 0) {
+                return null;
+            }
+            matched.indicatorTypes = indicatorTypes;
+        }
+
+        return matched;
+    }
+
+    /**
+     * Turns the selected playbooks into response steps. A step that more
+     * than one playbook defines (same id) is kept once, from the playbook
+     * selected first. Steps are ordered by phase, then playbook order.
+     */
+    instantiate(selections, facts) {
+        const steps = new Map();
+
+        selections.forEach(({ playbook, matched }) => {
+            playbook.steps.forEach((step, index) => {
+                if (steps.has(step.id)) {
+                    steps.get(step.id).playbooks.push(playbook.id);
+                    return;
+                }
+
+                steps.set(step.id, {
+                    id: step.id,
+                    playbookId: playbook.id,
+                    playbooks: [playbook.id],
+                    phase: step.phase,
+                    order: index,
+                    title: this.fillTemplate(step.title, facts),
+                    description: this.fillTemplate(step.description || '', facts),
+                    owner: step.owner || playbook.owner || 'incident-response',
+                    priority: step.priority || null,
+                    estimatedMinutes: step.estimatedMinutes || 0,
+                    dependsOn: [...(step.dependsOn || [])],
+                    validation: (step.validation || []).map(check => ({
+                        ...check,
+                        description: this.fillTemplate(check.description || '', facts)
+                    })),
+                    education: { ...(step.education || {}) },
+                    matchedConditions: matched
+                });
+            });
+        });
+
+        const selectionOrder = selections.map(({ playbook }) => playbook.id);
+
+        // Drop dependencies on steps that were not instantiated
+        return Array.from(steps.values())
+            .map(step => ({ ...step, dependsOn: step.dependsOn.filter(id => steps.has(id)) }))
+            .sort((a, b) =>
+                RESPONSE_PHASES.indexOf(a.phase) - RESPONSE_PHASES.indexOf(b.phase) ||
+                selectionOrder.indexOf(a.playbookId) - selectionOrder.indexOf(b.playbookId) ||
+                a.order - b.order
+            );
+    }
+
+    /**
+     * Schedules instantiated steps in minutes from the start of the
+     * response. A step starts once its dependencies and the phases its
+     * phase waits for have finished. The critical path is the chain of
+     * steps that determines the total duration.
+     */
+    schedule(steps) {
+        const byId = new Map(steps.map(step => [step.id, step]));
+        const entries = new Map();
+        const visiting = new Set();
+
+        const scheduleStep = step => {
+            if (entries.has(step.id)) {
+                return entries.get(step.id);
+            }
+            if (visiting.has(step.id)) {
+                throw new Error(`Circular dependency in response steps at ${step.id}`);
+            }
+            visiting.add(step.id);
+
+            const predecessors = [
+                ...step.dependsOn.map(id => byId.get(id)),
+                ...steps.filter(other => RESPONSE_PHASE_GATES[step.phase].includes(other.phase))
+            ];
+
+            let startMinute = 0;
+            let after = null;
+            predecessors.forEach(predecessor => {
+                const entry = scheduleStep(predecessor);
+                if (entry.endMinute > startMinute) {
+                    startMinute = entry.endMinute;
+                    after = predecessor.id;
+                }
+            });
+
+            const entry = {
+                stepId: step.id,
+                phase: step.phase,
+                owner: step.owner,
+                startMinute,
+                endMinute: startMinute + step.estimatedMinutes,
+                after
+            };
+
+            visiting.delete(step.id);
+            entries.set(step.id, entry);
+            return entry;
+        };
+
+        steps.forEach(scheduleStep);
+        const scheduled = steps.map(step => entries.get(step.id));
+
+        const phases = RESPONSE_PHASES
+            .map(phase => {
+                const phaseSteps = scheduled.filter(entry => entry.phase === phase);
+                return phaseSteps.length === 0 ? null : {
+                    phase,
+                    startMinute: Math.min(...phaseSteps.map(entry => entry.startMinute)),
+                    endMinute: Math.max(...phaseSteps.map(entry => entry.endMinute))
+                };
+            })
+            .filter(Boolean);
+
+        const last = scheduled.reduce((latest, entry) =>
+            (!latest || entry.endMinute > latest.endMinute ? entry : latest), null);
+
+        const criticalPath = [];
+        for (let entry = last; entry; entry = entry.after ? entries.get(entry.after) : null) {
+            criticalPath.unshift(entry.stepId);
+        }
+
+        return {
+            steps: scheduled,
+            phases,
+            totalMinutes: last ? last.endMinute : 0,
+            criticalPath
+        };
+    }
+
+    /**
+     * Replaces template variables in step text with incident details.
+     */
+    fillTemplate(text, facts) {
+        return text.replace(VARIABLE_PATTERN, (placeholder, name, detail) => {
+            let values;
+            if (name === 'indicators') {
+                values = facts.indicators
+                    .filter(indicator => !detail || indicator.type === detail)
+                    .map(indicator => indicator.value);
+            } else {
+                const value = facts[name];
+                values = Array.isArray(value) ? value : [value].filter(Boolean);
+            }
+
+            if (values.length === 0) {
+                return VARIABLE_FALLBACKS[name] || placeholder;
+            }
+
+            // Long lists are truncated so steps stay readable
+            return values.length > 5
+                ? `${values.slice(0, 5).join(', ')} and ${values.length - 5} more`
+                : values.join(', ');
+        });
+    }
+}
+
+export default PlaybookEngine;
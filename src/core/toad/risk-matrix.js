@@ -0,0 +1,200 @@
+// src/core/toad/risk-matrix.js
+
+// Ratings from least to most severe; later ratings rank threats higher
+const DEFAULT_RATING_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// Default axis labels for each supported matrix size
+const AXIS_PRESETS = {
+    3: {
+        likelihood: ['Unlikely', 'Possible', 'Likely'],
+        impact: ['Minor', 'Moderate', 'Severe']
+    },
+    4: {
+        likelihood: ['Unlikely', 'Possible', 'Likely', 'Almost certain'],
+        impact: ['Minor', 'Moderate', 'Major', 'Severe']
+    },
+    5: {
+        likelihood: ['Rare', 'Unlikely', 'Possible', 'Likely', 'Almost certain'],
+        impact: ['Insignificant', 'Minor', 'Moderate', 'Major', 'Severe']
+    }
+};
+
+/**
+ * Minimum share of the largest likelihood × impact product for each default
+ * rating. On a 5×5 matrix this gives the usual 1-4 low, 5-9 medium, 10-16
+ * high and 20-25 critical bands.
+ */
+const DEFAULT_RATING_BANDS = [
+    { rating: 'critical', min: 0.8 },
+    { rating: 'high', min: 0.4 },
+    { rating: 'medium', min: 0.2 },
+    { rating: 'low', min: 0 }
+];
+
+/**
+ * RiskMatrix places threats on a likelihood × impact grid. The size (3, 4
+ * or 5), the axis levels and every cell's rating can be configured so the
+ * matrix matches an organization's risk register.
+ *
+ * Axis levels are given either as labels or as `{ label, min }` objects,
+ * where `min` is the lowest 0-1 score that falls in the level. Ratings are
+ * a size × size array indexed as `ratings[likelihood][impact]`, from the
+ * lowest level upwards.
+ */
+class RiskMatrix {
+    constructor(options = {}) {
+        this.size = options.size || 5;
+        if (!AXIS_PRESETS[this.size]) {
+            throw new Error(`Unsupported risk matrix size: ${this.size} (expected 3, 4 or 5)`);
+        }
+
+        // Default cell ratings only use the default rating names
+        if (options.ratingLevels && !options.ratings) {
+            throw new Error('Custom risk rating levels require custom cell ratings');
+        }
+
+        this.ratingLevels = options.ratingLevels || DEFAULT_RATING_LEVELS;
+        this.likelihoodLevels = this.buildAxis('likelihood', options.likelihood);
+        this.impactLevels = this.buildAxis('impact', options.impact);
+        this.ratings = options.ratings
+            ? this.validateRatings(options.ratings)
+            : this.buildDefaultRatings();
+    }
+
+    /**
+     * Places a threat using its 0-1 likelihood and impact scores.
+     */
+    place(threatId, likelihoodScore, impactScore) {
+        const likelihood = this.levelFor(this.likelihoodLevels, likelihoodScore);
+        const impact = this.levelFor(this.impactLevels, impactScore);
+        const rating = this.ratings[likelihood.level - 1][impact.level - 1];
+
+        return {
+            threatId,
+            likelihood: { ...likelihood, score: likelihoodScore },
+            impact: { ...impact, score: impactScore },
+            rating,
+            ratingRank: this.ratingLevels.indexOf(rating),
+            riskScore: likelihood.level * impact.level
+        };
+    }
+
+    /**
+     * Builds the full grid with the threats placed in each cell.
+     */
+    build(placements) {
+        const cells = this.likelihoodLevels.map(likelihood => (
+            this.impactLevels.map(impact => ({
+                likelihood: likelihood.level,
+                impact: impact.level,
+                rating: this.ratings[likelihood.level - 1][impact.level - 1],
+                threats: placements
+                    .filter(placement => (
+                        placement.likelihood.level === likelihood.level &&
+                        placement.impact.level === impact.level
+                    ))
+                    .map(placement => placement.threatId)
+            }))
+        ));
+
+        return {
+            size: this.size,
+            axes: {
+                likelihood: this.likelihoodLevels.map(({ level, label }) => ({ level, label })),
+                impact: this.impactLevels.map(({ level, label }) => ({ level, label }))
+            },
+            ratingLevels: [...this.ratingLevels],
+            cells,
+            placements
+        };
+    }
+
+    /**
+     * Returns the configuration in the form accepted by the constructor.
+     */
+    toJSON() {
+        return {
+            size: this.size,
+            likelihood: this.likelihoodLevels.map(({ label, min }) => ({ label, min })),
+            impact: this.impactLevels.map(({ label, min }) => ({ label, min })),
+            ratings: this.ratings.map(row => [...row]),
+            ratingLevels: [...this.ratingLevels]
+        };
+    }
+
+    /**
+     * Resolves an axis definition into levels with ascending score ranges.
+     * Without explicit minimums the 0-1 range is split evenly.
+     */
+    buildAxis(axis, definition) {
+        const levels = definition || AXIS_PRESETS[this.size][axis];
+
+        if (!Array.isArray(levels) || levels.length !== this.size) {
+            throw new Error(`Risk matrix ${axis} axis must define ${this.size} levels`);
+        }
+
+        const resolved = levels.map((level, index) => {
+            const { label, min } = typeof level === 'string' ? { label: level } : level;
+            return {
+                level: index + 1,
+                label: label || `${axis} ${index + 1}`,
+                min: typeof min === 'number' ? min : index / this.size
+            };
+        });
+
+        resolved.forEach((level, index) => {
+            if (index > 0 && level.min <= resolved[index - 1].min) {
+                throw new Error(`Risk matrix ${axis} levels must have ascending minimum scores`);
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Checks custom cell ratings against the matrix size and rating levels.
+     */
+    validateRatings(ratings) {
+        const valid = Array.isArray(ratings) &&
+            ratings.length === this.size &&
+            ratings.every(row => Array.isArray(row) && row.length === this.size);
+
+        if (!valid) {
+            throw new Error(`Risk matrix ratings must be a ${this.size}×${this.size} array`);
+        }
+
+        ratings.forEach(row => row.forEach(rating => {
+            if (!this.ratingLevels.includes(rating)) {
+                throw new Error(`Unknown risk rating: ${rating}`);
+            }
+        }));
+
+        return ratings.map(row => [...row]);
+    }
+
+    /**
+     * Rates each cell by its likelihood × impact product.
+     */
+    buildDefaultRatings() {
+        const maxProduct = this.size * this.size;
+
+        return this.likelihoodLevels.map(likelihood => (
+            this.impactLevels.map(impact => {
+                const share = (likelihood.level * impact.level) / maxProduct;
+                return DEFAULT_RATING_BANDS.find(band => share >= band.min).rating;
+            })
+        ));
+    }
+
+    /**
+     * Finds the highest level whose minimum the score reaches.
+     */
+    levelFor(levels, score) {
+        const clamped = Math.min(1, Math.max(0, Number(score) || 0));
+        const match = [...levels].reverse().find(level => clamped >= level.min) || levels[0];
+
+        return { level: match.level, label: match.label };
+    }
+}
+
+export default RiskMatrix;
@@ -0,0 +1,379 @@
+// src/core/toad/scoring-profile.js
+
+import { SEVERITY_THRESHOLDS } from '../../shared/constants';
+
+// chrome.storage.local key holding every profile version
+const STORAGE_KEY = 'toadSageScoringProfiles';
+
+/**
+ * Scoring criteria. Each turns the scoring inputs into a 0-100 sub-score
+ * using the parameters from the profile, and reports the evidence behind
+ * it.
+ */
+const CRITERIA = {
+    indicatorReputation: {
+        label: 'Indicator reputation',
+        description: 'How bad the worst indicator is known to be, from reputations reported by the alert source',
+        evaluate({ indicators = [] }, params) {
+            let score = 0;
+            const evidence = [];
+
+            indicators.forEach(indicator => {
+                const reputation = indicator.reputation || 'unknown';
+                const points = params.reputationScores[reputation] || 0;
+                if (points > 0 && reputation !== 'unknown') {
+                    evidence.push(`${indicator.value} is ${reputation}`);
+                }
+                score = Math.max(score, points);
+            });
+
+            return { score, evidence };
+        }
+    },
+    techniqueSeverity: {
+        label: 'Technique severity',
+        description: 'The most damaging ATT&CK tactic the observed techniques serve',
+        evaluate({ techniques = [] }, params) {
+            let score = 0;
+            const evidence = [];
+
+            techniques.forEach(technique => {
+                const tactics = technique.tactics || [];
+                const points = tactics.length > 0
+                    ? Math.max(...tactics.map(tactic => params.tacticScores[tactic] || 0))
+                    : params.unclassifiedScore;
+
+                if (points > score) {
+                    score = points;
+                    evidence.unshift(`${technique.id}${tactics.length > 0 ? ` (${tactics.join(', ')})` : ''}`);
+                }
+            });
+
+            return { score, evidence: evidence.slice(0, 3) };
+        }
+    },
+    assetCriticality: {
+        label: 'Asset criticality',
+        description: 'Criticality of the most important asset involved',
+        evaluate({ assetCriticality }, params) {
+            return assetCriticality
+                ? { score: params.criticalityScores[assetCriticality] || 0, evidence: [`${assetCriticality} asset involved`] }
+                : { score: 0, evidence: [] };
+        }
+    },
+    exploitAvailability: {
+        label: 'Exploit availability',
+        description: 'Whether referenced vulnerabilities have public or known-exploited exploits',
+        evaluate({ indicators = [] }, params) {
+            const cves = indicators
+                .filter(indicator => indicator.type === 'cve')
+                .map(indicator => ({ ...indicator, id: indicator.value.toUpperCase() }));
+            const knownExploited = new Set(params.knownExploitedCves.map(cve => cve.toUpperCase()));
+
+            const exploited = cves.filter(cve => knownExploited.has(cve.id) || cve.exploitAvailable);
+            if (exploited.length > 0) {
+                return {
+                    score: params.knownExploitedScore,
+                    evidence: exploited.map(cve => `${cve.id} has a known exploit`)
+                };
+            }
+
+            return cves.length > 0
+                ? { score: params.cveReferencedScore, evidence: cves.map(cve => `${cve.id} referenced`) }
+                : { score: 0, evidence: [] };
+        }
+    },
+    lateralMovement: {
+        label: 'Lateral movement',
+        description: 'Signs the attacker is moving between systems',
+        evaluate({ techniques = [], text = '', hosts = [] }, params) {
+            const techniqueIds = techniques
+                .map(technique => technique.id)
+                .filter(id => params.techniqueIds.some(wanted => id === wanted || id.startsWith(`${wanted}.`)));
+            if (techniqueIds.length > 0) {
+                return { score: params.techniqueScore, evidence: techniqueIds.map(id => `${id} observed`) };
+            }
+
+            const lowered = text.toLowerCase();
+            const keywords = params.keywords.filter(keyword => lowered.includes(keyword.toLowerCase()));
+            if (keywords.length > 0) {
+                return { score: params.keywordScore, evidence: keywords.map(keyword => `"${keyword}" in incident`) };
+            }
+
+            return hosts.length > 1
+                ? { score: params.multiHostScore, evidence: [`${hosts.length} hosts involved`] }
+                : { score: 0, evidence: [] };
+        }
+    }
+};
+
+/**
+ * The profile shipped with the extension (version 1). Indicator reputation
+ * ships disabled: nothing in the extension looks reputations up, so it
+ * only helps when alert sources report `reputation` on their indicators.
+ */
+const DEFAULT_PROFILE = {
+    version: 1,
+    createdAt: null,
+    createdBy: 'default',
+    note: 'Default profile',
+    criteria: {
+        indicatorReputation: {
+            enabled: false,
+            params: {
+                reputationScores: { malicious: 100, suspicious: 60, unknown: 20, benign: 0 }
+            }
+        },
+        techniqueSeverity: {
+            enabled: true,
+            params: {
+                tacticScores: {
+                    'impact': 100,
+                    'exfiltration': 90,
+                    'credential-access': 75,
+                    'lateral-movement': 75,
+                    'command-and-control': 60,
+                    'privilege-escalation': 60,
+                    'persistence': 50,
+                    'defense-evasion': 50,
+                    'execution': 40,
+                    'initial-access': 40,
+                    'collection': 40,
+                    'discovery': 20,
+                    'reconnaissance': 15,
+                    'resource-development': 15
+                },
+                unclassifiedScore: 30
+            }
+        },
+        assetCriticality: {
+            enabled: true,
+            params: {
+                criticalityScores: { critical: 100, high: 70, medium: 40, low: 10 }
+            }
+        },
+        exploitAvailability: {
+            enabled: true,
+            params: {
+                knownExploitedScore: 100,
+                cveReferencedScore: 50,
+                knownExploitedCves: []
+            }
+        },
+        lateralMovement: {
+            enabled: true,
+            params: {
+                techniqueIds: ['T1021', 'T1210', 'T1534', 'T1550', 'T1563', 'T1570', 'T1072', 'T1080'],
+                keywords: ['psexec', 'wmic /node', 'winrm', 'admin$', 'remote desktop', 'pass-the-hash'],
+                techniqueScore: 100,
+                keywordScore: 80,
+                multiHostScore: 40
+            }
+        }
+    },
+    weights: {
+        indicatorReputation: 0.25,
+        techniqueSeverity: 0.25,
+        assetCriticality: 0.2,
+        exploitAvailability: 0.15,
+        lateralMovement: 0.15
+    },
+    thresholds: { ...SEVERITY_THRESHOLDS }
+};
+
+/**
+ * ScoringProfile holds the versioned criteria, weights and thresholds
+ * used for threat risk scores. Every edit creates a new version; old
+ * versions are kept so a score can always be recomputed with the profile
+ * that produced it. Profiles are stored in chrome.storage.local.
+ */
+class ScoringProfile {
+    constructor({ versions } = {}) {
+        this.versions = versions && versions.length > 0
+            ? versions.map(version => this.freeze(version))
+            : [this.freeze({ ...DEFAULT_PROFILE, createdAt: new Date(0).toISOString() })];
+    }
+
+    static getCriteria() {
+        return Object.keys(CRITERIA).map(id => ({
+            id,
+            label: CRITERIA[id].label,
+            description: CRITERIA[id].description
+        }));
+    }
+
+    /**
+     * Lists problems with a profile; empty when it is valid.
+     */
+    static validate(profile) {
+        const problems = [];
+        const { criteria = {}, weights = {}, thresholds = {} } = profile;
+
+        Object.keys(criteria).forEach(id => {
+            if (!CRITERIA[id]) problems.push(`unknown criterion ${id}`);
+        });
+
+        Object.keys(weights).forEach(id => {
+            if (!CRITERIA[id]) {
+                problems.push(`weight for unknown criterion ${id}`);
+            } else if (typeof weights[id] !== 'number' || !Number.isFinite(weights[id]) || weights[id] < 0) {
+                problems.push(`weight for ${id} must be a non-negative number`);
+            }
+        });
+
+        const active = Object.keys(CRITERIA)
+            .filter(id => criteria[id] && criteria[id].enabled && weights[id] > 0);
+        if (active.length === 0) {
+            problems.push('at least one criterion must be enabled with a positive weight');
+        }
+
+        const bands = ['critical', 'high', 'medium', 'low'];
+        bands.forEach(band => {
+            const value = thresholds[band];
+            if (typeof value !== 'number' || value < 0 || value > 100) {
+                problems.push(`threshold ${band} must be between 0 and 100`);
+            }
+        });
+        bands.slice(1).forEach((band, index) => {
+            if (!(thresholds[bands[index]] > thresholds[band])) {
+                problems.push(`threshold ${bands[index]} must be above ${band}`);
+            }
+        });
+
+        return problems;
+    }
+
+    getActive() {
+        return this.versions[this.versions.length - 1];
+    }
+
+    getVersion(version) {
+        return this.versions.find(profile => profile.version === version) || null;
+    }
+
+    /**
+     * Loads saved versions, keeping the default when nothing was saved.
+     */
+    async restore() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        const versions = stored[STORAGE_KEY];
+
+        if (Array.isArray(versions) && versions.length > 0) {
+            this.versions = versions.map(version => this.freeze(version));
+        }
+
+        return this.getActive();
+    }
+
+    /**
+     * Creates a new version from the active profile with `changes` merged
+     * in. `changes` may carry `criteria` (per criterion `enabled` and
+     * `params`), `weights` and `thresholds`.
+     */
+    async update(changes = {}, { actor = 'analyst', note = '' } = {}) {
+        const active = this.getActive();
+        const criteria = { ...active.criteria };
+
+        Object.keys(changes.criteria || {}).forEach(id => {
+            const change = changes.criteria[id];
+            const current = criteria[id] || { enabled: false, params: {} };
+            criteria[id] = {
+                enabled: change.enabled !== undefined ? Boolean(change.enabled) : current.enabled,
+                params: { ...current.params, ...(change.params || {}) }
+            };
+        });
+
+        const profile = {
+            version: active.version + 1,
+            createdAt: new Date().toISOString(),
+            createdBy: actor,
+            note,
+            criteria,
+            weights: { ...active.weights, ...(changes.weights || {}) },
+            thresholds: { ...active.thresholds, ...(changes.thresholds || {}) }
+        };
+
+        const problems = ScoringProfile.validate(profile);
+        if (problems.length > 0) {
+            const error = new Error(`Invalid scoring profile: ${problems.join('; ')}`);
+            error.code = 'INVALID_PROFILE';
+            error.problems = problems;
+            throw error;
+        }
+
+        // Every version is kept so any stored score can be recomputed
+        this.versions = [...this.versions, this.freeze(profile)];
+        await chrome.storage.local.set({ [STORAGE_KEY]: this.versions });
+
+        return this.getActive();
+    }
+
+    /**
+     * Scores inputs with the active profile, or with `options.version`.
+     * The score is the weighted mean of the enabled criteria that found
+     * evidence, so criteria with nothing to assess neither raise nor dilute
+     * it. Records the profile version and each criterion's contribution.
+     */
+    score(inputs, { version } = {}) {
+        const profile = version ? this.getVersion(version) : this.getActive();
+        if (!profile) {
+            throw new Error(`Unknown scoring profile version: ${version}`);
+        }
+
+        const criteria = Object.keys(CRITERIA)
+            .filter(id => profile.criteria[id] && profile.criteria[id].enabled && profile.weights[id] > 0)
+            .map(id => {
+                const result = CRITERIA[id].evaluate(inputs, profile.criteria[id].params);
+                return {
+                    id,
+                    label: CRITERIA[id].label,
+                    weight: profile.weights[id],
+                    score: Math.max(0, Math.min(100, result.score)),
+                    evidence: result.evidence,
+                    assessed: result.evidence.length > 0
+                };
+            });
+
+        const totalWeight = criteria
+            .filter(criterion => criterion.assessed)
+            .reduce((total, criterion) => total + criterion.weight, 0);
+        criteria.forEach(criterion => {
+            criterion.contribution = criterion.assessed
+                ? Math.round((criterion.score * criterion.weight / totalWeight) * 10) / 10
+                : 0;
+        });
+
+        const score = Math.round(criteria.reduce((total, criterion) => total + criterion.contribution, 0));
+
+        return {
+            score,
+            severity: this.bandFor(score, profile.thresholds),
+            profileVersion: profile.version,
+            criteria,
+            thresholds: { ...profile.thresholds },
+            scoredAt: new Date().toISOString()
+        };
+    }
+
+    bandFor(score, thresholds) {
+        if (score >= thresholds.critical) return 'critical';
+        if (score >= thresholds.high) return 'high';
+        if (score >= thresholds.medium) return 'medium';
+        if (score >= thresholds.low) return 'low';
+        return 'informational';
+    }
+
+    /**
+     * Deep-freezes a profile version so stored versions cannot change
+     * under the scores that reference them.
+     */
+    freeze(value) {
+        if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+            Object.values(value).forEach(child => this.freeze(child));
+            Object.freeze(value);
+        }
+        return value;
+    }
+}
+
+export default ScoringProfile;
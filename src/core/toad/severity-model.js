@@ -0,0 +1,292 @@
+// src/core/toad/severity-model.js
+
+import { SEVERITY_THRESHOLDS } from '../../shared/constants';
+
+/**
+ * Points per indicator type. Each type is capped so a log full of IP
+ * addresses cannot push an incident to critical on volume alone.
+ */
+const INDICATOR_RULES = {
+    bitcoin_address: { points: 15, cap: 15, label: 'Cryptocurrency address' },
+    cve: { points: 12, cap: 24, label: 'Referenced vulnerability' },
+    registry_key: { points: 8, cap: 16, label: 'Registry key' },
+    sha256: { points: 8, cap: 16, label: 'File hash' },
+    sha1: { points: 8, cap: 16, label: 'File hash' },
+    md5: { points: 8, cap: 16, label: 'File hash' },
+    url: { points: 6, cap: 18, label: 'URL' },
+    ipv4: { points: 5, cap: 15, label: 'Public IP address' },
+    ipv6: { points: 5, cap: 15, label: 'Public IP address' },
+    domain: { points: 4, cap: 12, label: 'Domain' },
+    email: { points: 3, cap: 9, label: 'Email address' },
+    file_path: { points: 3, cap: 9, label: 'File path' }
+};
+
+// Points for a matched technique, by the most severe tactic it serves
+const TACTIC_POINTS = {
+    'impact': 20,
+    'exfiltration': 18,
+    'credential-access': 15,
+    'lateral-movement': 15,
+    'command-and-control': 12,
+    'privilege-escalation': 12,
+    'persistence': 10,
+    'defense-evasion': 10,
+    'execution': 8,
+    'initial-access': 8,
+    'collection': 8,
+    'discovery': 4,
+    'reconnaissance': 3,
+    'resource-development': 3
+};
+
+// Points for techniques supplied without tactic information
+const UNCLASSIFIED_TECHNIQUE_POINTS = 6;
+
+// Techniques together never contribute more than this
+const TECHNIQUE_CAP = 30;
+
+// Points for the most critical asset involved in the incident
+const ASSET_CRITICALITY_POINTS = {
+    critical: 25,
+    high: 15,
+    medium: 8,
+    low: 0
+};
+
+const EXECUTABLE_EXTENSIONS = /\.(exe|dll|scr|ps1|psm1|vbs|vbe|js|jse|hta|bat|cmd|lnk|msi|jar|sh|elf|so)$/i;
+const PERSISTENCE_KEYS = /\\(Run|RunOnce|RunServices|Winlogon|Services|Image File Execution Options)(\\|$)/i;
+
+/**
+ * Compound risks derived from combinations of indicators. Each rule adds
+ * its points once, on top of the per-indicator points.
+ */
+const RISK_RULES = [
+    {
+        id: 'ransom-payment',
+        title: 'Possible ransom or extortion payment',
+        description: 'A cryptocurrency address appears in the incident, which is typical of ransom notes and extortion attempts.',
+        points: 20,
+        action: 'Engage the ransomware response procedure and preserve the ransom note.',
+        matches: indicators => indicators.filter(i => i.type === 'bitcoin_address')
+    },
+    {
+        id: 'persistence-mechanism',
+        title: 'Autostart persistence',
+        description: 'A registry location used to launch code at logon or boot was referenced.',
+        points: 15,
+        action: 'Capture the registry key contents before removing the persistence entry.',
+        matches: indicators => indicators.filter(i => i.type === 'registry_key' && PERSISTENCE_KEYS.test(i.value))
+    },
+    {
+        id: 'credential-phishing',
+        title: 'Credential phishing',
+        description: 'An email address and a URL appear together, consistent with a phishing lure.',
+        points: 12,
+        action: 'Identify recipients who clicked the link and reset their credentials.',
+        matches: indicators => (
+            indicators.some(i => i.type === 'email') && indicators.some(i => i.type === 'url')
+                ? indicators.filter(i => i.type === 'email' || i.type === 'url')
+                : []
+        )
+    },
+    {
+        id: 'malicious-file',
+        title: 'Suspicious executable content',
+        description: 'File hashes or executable file paths indicate code was delivered or run.',
+        points: 10,
+        action: 'Quarantine the file and submit its hash for reputation lookup.',
+        matches: indicators => indicators.filter(i => (
+            ['md5', 'sha1', 'sha256'].includes(i.type) ||
+            (i.type === 'file_path' && EXECUTABLE_EXTENSIONS.test(i.value))
+        ))
+    },
+    {
+        id: 'known-vulnerability',
+        title: 'Known vulnerability involved',
+        description: 'A CVE identifier was referenced; exploitation may be in progress.',
+        points: 10,
+        action: 'Confirm patch status of affected systems for the referenced CVEs.',
+        matches: indicators => indicators.filter(i => i.type === 'cve')
+    },
+    {
+        id: 'external-communication',
+        title: 'Communication with external infrastructure',
+        description: 'Public IP addresses, domains or URLs suggest contact with attacker infrastructure.',
+        points: 8,
+        action: 'Block the external infrastructure at the perimeter and search proxy/DNS logs for other clients.',
+        matches: indicators => indicators.filter(i => ['ipv4', 'ipv6', 'domain', 'url'].includes(i.type))
+    }
+];
+
+/**
+ * SeverityModel turns triage findings into a deterministic 0-100 threat
+ * score and severity band. Every point awarded is recorded in a breakdown
+ * so analysts can explain the rating in a ticket.
+ */
+class SeverityModel {
+    constructor(thresholds = SEVERITY_THRESHOLDS) {
+        this.thresholds = { ...thresholds };
+    }
+
+    /**
+     * Identifies compound risks present in a set of indicators.
+     */
+    identifyRisks(indicators = []) {
+        return RISK_RULES
+            .map(rule => ({ rule, matched: rule.matches(indicators) }))
+            .filter(({ matched }) => matched.length > 0)
+            .map(({ rule, matched }) => ({
+                id: rule.id,
+                title: rule.title,
+                description: rule.description,
+                points: rule.points,
+                recommendedAction: rule.action,
+                indicators: matched.map(indicator => indicator.value)
+            }));
+    }
+
+    /**
+     * Scores an incident from its indicators, risks, matched techniques and
+     * the criticality of the assets involved.
+     */
+    score({ indicators = [], risks = [], techniques = [], assetCriticality = null } = {}) {
+        const breakdown = [
+            ...this.scoreIndicators(indicators),
+            ...this.scoreRisks(risks),
+            ...this.scoreTechniques(techniques),
+            ...this.scoreAssetCriticality(assetCriticality)
+        ];
+
+        const rawScore = breakdown.reduce((total, factor) => total + factor.points, 0);
+        const score = Math.min(100, rawScore);
+
+        return {
+            score,
+            severity: this.bandFor(score),
+            breakdown,
+            capped: rawScore > 100,
+            thresholds: { ...this.thresholds }
+        };
+    }
+
+    /**
+     * Replaces the severity bands, e.g. with those of the scoring profile.
+     */
+    setThresholds(thresholds) {
+        this.thresholds = { ...thresholds };
+    }
+
+    /**
+     * Maps a 0-100 score onto a severity band.
+     */
+    bandFor(score) {
+        if (score >= this.thresholds.critical) return 'critical';
+        if (score >= this.thresholds.high) return 'high';
+        if (score >= this.thresholds.medium) return 'medium';
+        if (score >= this.thresholds.low) return 'low';
+        return 'informational';
+    }
+
+    /**
+     * Awards capped points per indicator type.
+     */
+    scoreIndicators(indicators) {
+        const counts = new Map();
+        indicators.forEach(indicator => {
+            if (INDICATOR_RULES[indicator.type]) {
+                counts.set(indicator.type, (counts.get(indicator.type) || 0) + 1);
+            }
+        });
+
+        // Iterate in rule order so the breakdown is stable across runs
+        return Object.keys(INDICATOR_RULES)
+            .filter(type => counts.has(type))
+            .map(type => {
+                const rule = INDICATOR_RULES[type];
+                const count = counts.get(type);
+                const points = Math.min(rule.cap, rule.points * count);
+
+                return {
+                    factor: `indicator:${type}`,
+                    category: 'indicators',
+                    description: `${count} × ${rule.label} (${rule.points} pts each, max ${rule.cap})`,
+                    count,
+                    points
+                };
+            });
+    }
+
+    /**
+     * Awards the fixed points of each compound risk.
+     */
+    scoreRisks(risks) {
+        return risks.map(risk => ({
+            factor: `risk:${risk.id}`,
+            category: 'risks',
+            description: risk.title,
+            count: risk.indicators ? risk.indicators.length : 1,
+            points: risk.points || 0
+        }));
+    }
+
+    /**
+     * Awards points per technique according to its most severe tactic,
+     * most severe techniques first so the cap never crowds them out.
+     * Accepts technique IDs or objects carrying `id` and `tactics`.
+     */
+    scoreTechniques(techniques) {
+        const seen = new Set();
+        const factors = [];
+        let remaining = TECHNIQUE_CAP;
+
+        const tacticPoints = technique => ((technique && technique.tactics) || [])
+            .map(tactic => TACTIC_POINTS[tactic] || 0)
+            .reduce((max, points) => Math.max(max, points), 0) || UNCLASSIFIED_TECHNIQUE_POINTS;
+
+        [...techniques].sort((a, b) => tacticPoints(b) - tacticPoints(a)).forEach(technique => {
+            const id = typeof technique === 'string' ? technique : technique.id;
+            if (!id || seen.has(id) || remaining <= 0) {
+                return;
+            }
+            seen.add(id);
+
+            const tactics = (technique && technique.tactics) || [];
+            const points = Math.min(remaining, tacticPoints(technique));
+            remaining -= points;
+
+            factors.push({
+                factor: `technique:${id}`,
+                category: 'techniques',
+                description: tactics.length > 0
+                    ? `Technique ${id} (${tactics.join(', ')})`
+                    : `Technique ${id}`,
+                count: 1,
+                points
+            });
+        });
+
+        return factors;
+    }
+
+    /**
+     * Awards points for the criticality of the affected assets.
+     */
+    scoreAssetCriticality(assetCriticality) {
+        const level = typeof assetCriticality === 'string' ? assetCriticality.toLowerCase() : null;
+        const points = level ? ASSET_CRITICALITY_POINTS[level] : undefined;
+
+        if (!points) {
+            return [];
+        }
+
+        return [{
+            factor: `asset:${level}`,
+            category: 'assets',
+            description: `Involves a ${level}-criticality asset`,
+            count: 1,
+            points
+        }];
+    }
+}
+
+export default SeverityModel;
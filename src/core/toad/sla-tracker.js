@@ -0,0 +1,256 @@
+// src/core/toad/sla-tracker.js
+
+import { INCIDENT_STATES } from '../../shared/constants';
+
+// chrome.storage.local key holding the timer records
+const STORAGE_KEY = 'toadSageSlaTimers';
+
+// Alarm names look like "toad-sla:<incidentId>:<kind>:<warning|breach>"
+const ALARM_PREFIX = 'toad-sla';
+
+// Share of the budget after which a warning is raised
+const DEFAULT_WARNING_RATIO = 0.75;
+
+/**
+ * SLA clocks and the lifecycle states that stop them. Acknowledgement is
+ * met once an incident leaves `new`; containment once it is contained or
+ * dismissed.
+ */
+const SLA_KINDS = {
+    acknowledge: {
+        budget: 'acknowledge',
+        stoppedBy: [
+            INCIDENT_STATES.TRIAGED,
+            INCIDENT_STATES.INVESTIGATING,
+            INCIDENT_STATES.CONTAINED,
+            INCIDENT_STATES.ERADICATED,
+            INCIDENT_STATES.RECOVERED,
+            INCIDENT_STATES.CLOSED,
+            INCIDENT_STATES.FALSE_POSITIVE
+        ]
+    },
+    contain: {
+        budget: 'contain',
+        stoppedBy: [
+            INCIDENT_STATES.CONTAINED,
+            INCIDENT_STATES.ERADICATED,
+            INCIDENT_STATES.RECOVERED,
+            INCIDENT_STATES.CLOSED,
+            INCIDENT_STATES.FALSE_POSITIVE
+        ]
+    }
+};
+
+/**
+ * SlaTracker runs time-to-acknowledge and time-to-contain clocks for each
+ * incident. Deadlines are scheduled with chrome.alarms and timer records
+ * are kept in chrome.storage.local, so clocks keep running across service
+ * worker restarts. Warnings and breaches are reported through `onEvent`.
+ */
+class SlaTracker {
+    constructor({ budgets, warningRatio = DEFAULT_WARNING_RATIO, onEvent = () => {} } = {}) {
+        if (!budgets || !budgets.acknowledge || !budgets.contain) {
+            throw new Error('SlaTracker requires acknowledge and contain budgets');
+        }
+
+        this.budgets = budgets;
+        this.warningRatio = warningRatio;
+        this.onEvent = onEvent;
+        this.timers = new Map();
+    }
+
+    /**
+     * Reloads saved timers and re-creates their alarms. Deadlines that
+     * passed while the worker was asleep fire straight away.
+     */
+    async restore() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        const saved = stored[STORAGE_KEY] || {};
+
+        this.timers = new Map(Object.entries(saved));
+        this.timers.forEach(timer => {
+            if (timer.status === 'running') {
+                this.scheduleAlarms(timer);
+            }
+        });
+
+        return this.timers.size;
+    }
+
+    /**
+     * Starts both SLA clocks for a new incident. Severities without a
+     * budget (e.g. informational) use the low budget.
+     */
+    async start(incidentId, severity, startedAt = Date.now()) {
+        Object.keys(SLA_KINDS).forEach(kind => {
+            const budgets = this.budgets[SLA_KINDS[kind].budget];
+            const level = budgets[severity] ? severity : 'low';
+            const budgetMs = budgets[level];
+
+            const timer = {
+                incidentId,
+                kind,
+                severity: level,
+                budgetMs,
+                startedAt,
+                warnAt: startedAt + Math.round(budgetMs * this.warningRatio),
+                dueAt: startedAt + budgetMs,
+                status: 'running',
+                warnedAt: null,
+                breachedAt: null,
+                stoppedAt: null
+            };
+
+            this.timers.set(this.timerKey(incidentId, kind), timer);
+            this.scheduleAlarms(timer);
+        });
+
+        await this.save();
+    }
+
+    /**
+     * Stops the clocks a lifecycle transition satisfies. A clock stopped
+     * after its deadline is recorded as missed rather than met.
+     */
+    async handleTransition(incidentId, state, at = Date.now()) {
+        let changed = false;
+
+        Object.keys(SLA_KINDS).forEach(kind => {
+            const timer = this.timers.get(this.timerKey(incidentId, kind));
+            if (!timer || timer.stoppedAt || !SLA_KINDS[kind].stoppedBy.includes(state)) {
+                return;
+            }
+
+            timer.stoppedAt = at;
+            timer.status = timer.breachedAt || at > timer.dueAt ? 'missed' : 'met';
+            this.clearAlarms(timer);
+            changed = true;
+        });
+
+        if (changed) {
+            await this.save();
+        }
+    }
+
+    /**
+     * Handles a chrome.alarms alarm. Returns false for alarms that do not
+     * belong to the tracker.
+     */
+    async handleAlarm(alarm) {
+        const [prefix, encodedId, kind, stage] = alarm.name.split(':');
+        if (prefix !== ALARM_PREFIX) {
+            return false;
+        }
+
+        const incidentId = decodeURIComponent(encodedId);
+        const timer = this.timers.get(this.timerKey(incidentId, kind));
+        if (!timer || timer.status !== 'running') {
+            return true;
+        }
+
+        if (stage === 'warning' && !timer.warnedAt) {
+            timer.warnedAt = Date.now();
+            await this.save();
+            await this.onEvent('warning', this.describe(timer));
+        } else if (stage === 'breach' && !timer.breachedAt) {
+            timer.breachedAt = Date.now();
+            timer.status = 'breached';
+            await this.save();
+            await this.onEvent('breach', this.describe(timer));
+        }
+
+        return true;
+    }
+
+    /**
+     * Lists timers with their remaining time, optionally for one incident.
+     */
+    getStatus(incidentId) {
+        return Array.from(this.timers.values())
+            .filter(timer => !incidentId || timer.incidentId === incidentId)
+            .map(timer => this.describe(timer));
+    }
+
+    /**
+     * Forgets an incident's timers once it no longer needs tracking.
+     */
+    async remove(incidentId) {
+        Object.keys(SLA_KINDS).forEach(kind => {
+            const key = this.timerKey(incidentId, kind);
+            const timer = this.timers.get(key);
+            if (timer) {
+                this.clearAlarms(timer);
+                this.timers.delete(key);
+            }
+        });
+
+        await this.save();
+    }
+
+    /**
+     * Drops the timers of every incident not in `incidentIds`, such as
+     * incidents that could not be restored after a restart. Returns the
+     * incidents whose timers were dropped.
+     */
+    async retain(incidentIds) {
+        const kept = new Set(incidentIds);
+        const dropped = new Set();
+
+        this.timers.forEach((timer, key) => {
+            if (!kept.has(timer.incidentId)) {
+                this.clearAlarms(timer);
+                this.timers.delete(key);
+                dropped.add(timer.incidentId);
+            }
+        });
+
+        if (dropped.size > 0) {
+            await this.save();
+        }
+
+        return Array.from(dropped);
+    }
+
+    describe(timer) {
+        const now = Date.now();
+        const end = timer.stoppedAt || now;
+
+        return {
+            ...timer,
+            elapsedMs: end - timer.startedAt,
+            remainingMs: timer.stoppedAt ? null : timer.dueAt - now,
+            overdueMs: Math.max(0, end - timer.dueAt)
+        };
+    }
+
+    scheduleAlarms(timer) {
+        if (!timer.warnedAt) {
+            chrome.alarms.create(this.alarmName(timer, 'warning'), { when: timer.warnAt });
+        }
+        if (!timer.breachedAt) {
+            chrome.alarms.create(this.alarmName(timer, 'breach'), { when: timer.dueAt });
+        }
+    }
+
+    clearAlarms(timer) {
+        chrome.alarms.clear(this.alarmName(timer, 'warning'));
+        chrome.alarms.clear(this.alarmName(timer, 'breach'));
+    }
+
+    alarmName(timer, stage) {
+        // Incident ids are encoded so they cannot contain the separator
+        return `${ALARM_PREFIX}:${encodeURIComponent(timer.incidentId)}:${timer.kind}:${stage}`;
+    }
+
+    timerKey(incidentId, kind) {
+        return `${incidentId}:${kind}`;
+    }
+
+    async save() {
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: Object.fromEntries(this.timers)
+        });
+    }
+}
+
+export default SlaTracker;
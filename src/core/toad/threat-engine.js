@@ -2,6 +2,21 @@
 
 import { KnowledgeBase } from '../sage/knowledge-base';
 import { FrameworkGuide } from '../sage/framework-guide';
+import IndicatorExtractor from './indicator-extractor';
+import AssetInventory from './asset-inventory';
+import ScoringProfile from './scoring-profile';
+import BehaviorBaseline from './behavior-baseline';
+import ThreatGraph from './threat-graph';
+import { getIncidentHosts, getIncidentText } from '../../shared/utils/incident-text';
+import { isAbortError, throwIfAborted } from '../../shared/utils/abort';
+
+// Incidents sharing an entity are two hops apart in the threat graph
+const RELATED_INCIDENT_MAX_DEPTH = 4;
+const MAX_RELATED_INCIDENTS = 10;
+
+// Entities seen in more incidents than this (a shared resolver, a common
+// binary without a host) are too common to relate incidents through
+const MAX_LINKING_INCIDENTS = 10;
 
 /**
  * ThreatEngine class provides advanced threat detection and analysis capabilities
@@ -9,14 +24,25 @@ import { FrameworkGuide } from '../sage/framework-guide';
  * It serves as the specialized threat processing component of TOAD SAGE.
  */
 class ThreatEngine {
-    constructor() {
+    /**
+     * `options.assetInventory` shares an AssetInventory with other components;
+     * `options.scoringProfile` supplies the ScoringProfile used for risk scores;
+     * `options.behaviorBaseline` supplies the per-entity BehaviorBaseline;
+     * `options.threatGraph` supplies the ThreatGraph incidents are linked in.
+     */
+    constructor(options = {}) {
         // Initialize core knowledge components
         this.knowledgeBase = new KnowledgeBase();
         this.frameworkGuide = new FrameworkGuide();
+        this.indicatorExtractor = new IndicatorExtractor();
+        this.assetInventory = options.assetInventory || new AssetInventory();
+        this.scoringProfile = options.scoringProfile || new ScoringProfile();
+        this.behaviorBaseline = options.behaviorBaseline || new BehaviorBaseline();
+        this.threatGraph = options.threatGraph || new ThreatGraph();
 
         // Set up threat analysis components
         this.threatPatterns = new Map();
-        this.behaviorProfiles = new Map();
+        this.behaviorProfiles = this.behaviorBaseline.profiles;
         this.correlationEngine = this.initializeCorrelationEngine();
         
         // Initialize threat scoring system
@@ -29,16 +55,22 @@ class ThreatEngine {
     /**
      * Analyzes potential threats with detailed explanation of the analysis process.
      * Provides both technical findings and educational context.
+     * Pass `options.signal` (an AbortSignal) to cancel between stages.
      */
-    async analyzeThreat(incident) {
+    async analyzeThreat(incident, options = {}) {
+        const { signal } = options;
+
         try {
             console.log('Beginning comprehensive threat analysis:', incident.id);
 
             // Create analysis context
+            throwIfAborted(signal);
             const context = await this.createAnalysisContext(incident);
 
             // Perform multi-stage threat analysis
+            throwIfAborted(signal);
             const analysis = await this.performThreatAnalysis(context);
+            throwIfAborted(signal);
 
             // Generate educational insights
             const educationalInsights = await this.generateEducationalInsights(
@@ -59,6 +91,10 @@ class ThreatEngine {
                 }
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+
             console.error('Threat analysis failed:', error);
             throw new Error(`Threat analysis failed: ${error.message}`);
         }
@@ -79,7 +115,7 @@ class ThreatEngine {
             behavior: behaviorAnalysis,
             patterns: patternMatching,
             impact: impactAssessment
-        });
+        }, context);
 
         // Generate comprehensive threat profile
         return {
@@ -87,7 +123,7 @@ class ThreatEngine {
             matchedPatterns: patternMatching,
             impactAssessment: impactAssessment,
             correlation: correlation,
-            riskScore: this.calculateRiskScore(correlation)
+            riskScore: this.calculateRiskScore(correlation, context, impactAssessment)
         };
     }
 
@@ -113,6 +149,92 @@ class ThreatEngine {
         };
     }
 
+    /**
+     * Extracts per-entity observations (users, hosts, processes) from the
+     * incident's events.
+     */
+    async extractBehavioralIndicators(context) {
+        return this.behaviorBaseline.extractObservations(context.incident);
+    }
+
+    /**
+     * Orders each entity's observations in time, giving the span over which
+     * it was active during the incident.
+     */
+    analyzeBehaviorProgression(indicators) {
+        const entities = new Map();
+
+        indicators.forEach(observation => {
+            const key = `${observation.entityType}:${observation.entityId}`;
+            const entity = entities.get(key) || {
+                entityType: observation.entityType,
+                entityId: observation.entityId,
+                firstSeen: null,
+                lastSeen: null,
+                events: []
+            };
+
+            entity.events.push(observation.eventId);
+            if (observation.at !== null) {
+                entity.firstSeen = entity.firstSeen === null ? observation.at : Math.min(entity.firstSeen, observation.at);
+                entity.lastSeen = entity.lastSeen === null ? observation.at : Math.max(entity.lastSeen, observation.at);
+            }
+            entities.set(key, entity);
+        });
+
+        return Array.from(entities.values())
+            .map(entity => ({
+                ...entity,
+                firstSeen: entity.firstSeen !== null ? new Date(entity.firstSeen).toISOString() : null,
+                lastSeen: entity.lastSeen !== null ? new Date(entity.lastSeen).toISOString() : null
+            }))
+            .sort((a, b) => (a.firstSeen || '').localeCompare(b.firstSeen || ''));
+    }
+
+    /**
+     * Compares the incident's observations with each entity's baseline,
+     * then adds them to the baselines. The profile summarizes the baseline
+     * of every entity involved as it was before this incident.
+     */
+    async createBehaviorProfile(indicators, progression) {
+        const deviations = this.behaviorBaseline.evaluate(indicators);
+        const entities = progression.map(entity => ({
+            ...entity,
+            baseline: this.behaviorBaseline.summarize(entity.entityType, entity.entityId)
+        }));
+
+        try {
+            await this.behaviorBaseline.learn(indicators);
+        } catch (error) {
+            console.error('Failed to update behavior baselines:', error);
+        }
+
+        return {
+            entities,
+            deviations,
+            observations: indicators.length
+        };
+    }
+
+    /**
+     * Lists the profile's deviations from baseline, most severe first.
+     */
+    detectBehavioralAnomalies(profile) {
+        const severityOrder = ['high', 'medium', 'low'];
+
+        return [...profile.deviations].sort((a, b) =>
+            severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity) ||
+            b.deviation - a.deviation
+        );
+    }
+
+    /**
+     * Loads the saved behavior baselines.
+     */
+    async restoreBehaviorBaselines() {
+        return this.behaviorBaseline.restore();
+    }
+
     /**
      * Matches observed patterns against known threat patterns.
      * Provides educational context about identified patterns.
@@ -164,6 +286,119 @@ class ThreatEngine {
         };
     }
 
+    /**
+     * Builds the context shared by the threat analysis stages: the incident,
+     * its text and indicators, and the hosts named in its events.
+     */
+    async createAnalysisContext(incident) {
+        const text = getIncidentText(incident);
+
+        return {
+            incident,
+            text,
+            indicators: this.indicatorExtractor.extract(text),
+            hostnames: getIncidentHosts(incident),
+            startedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Assesses which assets, business services and data classes the threat
+     * affects, using the asset inventory.
+     */
+    async assessBusinessImpact(context) {
+        return this.assetInventory.assessBusinessImpact({
+            indicators: context.indicators,
+            hostnames: context.hostnames,
+            text: context.text
+        });
+    }
+
+    /**
+     * Scores the threat with the active scoring profile. The result records
+     * the profile version, so the score can be reproduced later with
+     * `scoringSystem.calculator(inputs, { version })`.
+     */
+    calculateRiskScore(correlation, context, impactAssessment) {
+        const inputs = {
+            indicators: context.indicators,
+            techniques: this.collectTechniques(context.incident),
+            assetCriticality: (impactAssessment && impactAssessment.business && impactAssessment.business.criticality) || null,
+            hosts: context.hostnames,
+            text: context.text
+        };
+
+        return {
+            ...this.scoringSystem.calculator(inputs),
+            correlationConfidence: (correlation && correlation.confidence) || null
+        };
+    }
+
+    /**
+     * Collects the ATT&CK techniques supplied with the incident and its
+     * events, and those mapped from its text, as `{ id, tactics }`.
+     * Technique IDs given without tactics are scored as unclassified.
+     */
+    collectTechniques(incident) {
+        const techniques = new Map();
+        const add = (technique, tactics = []) => {
+            const id = typeof technique === 'string' ? technique : technique && technique.id;
+            if (!id) {
+                return;
+            }
+
+            const own = (technique && (technique.tactics || (technique.tactic ? [technique.tactic] : []))) || [];
+            const entry = techniques.get(id) || { id, tactics: [] };
+            entry.tactics = Array.from(new Set([...entry.tactics, ...own, ...tactics]));
+            techniques.set(id, entry);
+        };
+
+        if (incident && typeof incident === 'object') {
+            (incident.techniques || []).forEach(technique => add(technique));
+            (Array.isArray(incident.events) ? incident.events : []).forEach(event => {
+                const tactics = event && event.tactic ? [event.tactic] : (event && event.tactics) || [];
+                ((event && (event.techniques || (event.technique ? [event.technique] : []))) || [])
+                    .forEach(technique => add(technique, tactics));
+            });
+        }
+
+        this.mapTechniques(incident).forEach(technique => add(technique));
+
+        return Array.from(techniques.values());
+    }
+
+    /**
+     * Techniques the framework guide maps from the incident. Mapping is
+     * supplementary to the supplied techniques, so failures are logged and
+     * score nothing.
+     */
+    mapTechniques(incident) {
+        try {
+            return this.frameworkGuide.getTechniqueMapping(incident);
+        } catch (error) {
+            console.error('Technique mapping failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Loads the saved scoring profile versions.
+     */
+    async restoreScoringProfile() {
+        await this.scoringProfile.restore();
+        this.scoringSystem = this.initializeScoringSystem();
+        return this.scoringProfile.getActive();
+    }
+
+    /**
+     * Saves a new scoring profile version and scores with it from now on.
+     */
+    async updateScoringProfile(changes, options) {
+        const profile = await this.scoringProfile.update(changes, options);
+        this.scoringSystem = this.initializeScoringSystem();
+        return profile;
+    }
+
     /**
      * Generates educational insights about identified threats.
      * Helps analysts understand threat characteristics and implications.
@@ -196,12 +431,29 @@ class ThreatEngine {
      * Correlates threat findings to identify patterns and relationships.
      * Provides insights into threat relationships and progressions.
      */
-    async correlateThreatFindings(findings) {
-        // Identify relationships
-        const relationships = this.identifyThreatRelationships(findings);
-        
-        // Analyze progression patterns
-        const progression = this.analyzeThreatProgression(findings, relationships);
+    async correlateThreatFindings(findings, context) {
+        // Place the incident in the threat graph
+        const graph = this.addToThreatGraph(context);
+
+        let relationships;
+        let progression;
+        try {
+            // Identify relationships
+            relationships = this.identifyThreatRelationships(findings, graph);
+
+            // Analyze progression patterns
+            progression = this.analyzeThreatProgression(findings, relationships);
+        } finally {
+            // Unsaved analyses are only compared against the graph
+            if (!graph.recorded) {
+                this.threatGraph.removeIncident(graph.incidentId);
+            }
+        }
+
+        if (graph.recorded) {
+            await this.threatGraph.save()
+                .catch(error => console.error('Failed to save threat graph:', error));
+        }
         
         // Generate correlation insights
         const insights = await this.generateCorrelationInsights(
@@ -218,6 +470,180 @@ class ThreatEngine {
         };
     }
 
+    /**
+     * Adds the incident to the threat graph. Incidents without an id (e.g.
+     * text pasted into the popup) are added temporarily, so they never
+     * evict a recorded incident.
+     */
+    addToThreatGraph(context) {
+        const { incident } = context;
+        const recorded = Boolean(incident && typeof incident === 'object' && incident.id);
+        const graphIncident = recorded
+            ? incident
+            : { id: `analysis:${context.startedAt}`, events: (incident && incident.events) || [] };
+
+        return {
+            ...this.threatGraph.ingestIncident(graphIncident, {
+                indicators: context.indicators,
+                techniques: this.collectTechniques(incident),
+                temporary: !recorded
+            }),
+            incidentId: String(graphIncident.id),
+            recorded
+        };
+    }
+
+    /**
+     * Describes the incident's place in the threat graph: the entities and
+     * relationships it contains, and the other incidents it connects to
+     * through shared entities. Techniques are shared by too many incidents
+     * to link them on their own, so they are reported separately; other
+     * entities seen in many incidents do not link them either.
+     */
+    identifyThreatRelationships(findings, graph) {
+        const linkOptions = {
+            maxDepth: RELATED_INCIDENT_MAX_DEPTH,
+            stopAt: node => node.type === 'incident' ||
+                node.type === 'technique' ||
+                node.sources.length > MAX_LINKING_INCIDENTS
+        };
+        const describeEdge = ({ from, type, to }) => ({ from, type, to });
+
+        const relatedIncidents = Array.from(this.threatGraph.traverse(graph.incidentKey, linkOptions).keys())
+            .filter(key => key !== graph.incidentKey && this.threatGraph.getNode(key).type === 'incident')
+            .map(key => this.threatGraph.shortestPath(graph.incidentKey, key, linkOptions))
+            .sort((a, b) => a.length - b.length)
+            .slice(0, MAX_RELATED_INCIDENTS)
+            .map(path => ({
+                incidentId: path.nodes[path.nodes.length - 1].value,
+                distance: path.length,
+                via: path.nodes.slice(1, -1).map(({ key, type, value }) => ({ key, type, value })),
+                path: path.edges.map(describeEdge)
+            }));
+
+        const sharedTechniques = new Map();
+        graph.nodes
+            .filter(node => node.type === 'technique')
+            .forEach(technique => {
+                this.threatGraph.neighbors(technique.key, { nodeTypes: ['incident'] })
+                    .map(({ key }) => this.threatGraph.getNode(key).value)
+                    .filter(incidentId => incidentId !== graph.incidentId)
+                    .forEach(incidentId => {
+                        sharedTechniques.set(incidentId, [...(sharedTechniques.get(incidentId) || []), technique.value]);
+                    });
+            });
+
+        return {
+            incidentId: graph.incidentId,
+            incidentKey: graph.incidentKey,
+            entities: graph.nodes
+                .filter(node => node.type !== 'incident')
+                .map(({ key, type, value }) => ({
+                    key,
+                    type,
+                    value,
+                    firstSeen: graph.firstSeen.has(key) ? new Date(graph.firstSeen.get(key)).toISOString() : null
+                })),
+            edges: graph.edges
+                .filter(edge => edge.type !== 'observed-in')
+                .map(describeEdge),
+            relatedIncidents,
+            sharedTechniques: Array.from(sharedTechniques.entries())
+                .map(([incidentId, techniques]) => ({ incidentId, techniques }))
+                .sort((a, b) => b.techniques.length - a.techniques.length)
+                .slice(0, MAX_RELATED_INCIDENTS)
+        };
+    }
+
+    /**
+     * Describes how the threat progressed: the process chains it ran, the
+     * order in which hosts became involved, and whether it reaches beyond
+     * this incident.
+     */
+    analyzeThreatProgression(findings, relationships) {
+        const hostSpread = relationships.entities
+            .filter(entity => entity.type === 'host')
+            .sort((a, b) => (a.firstSeen === null) - (b.firstSeen === null) ||
+                (a.firstSeen || '').localeCompare(b.firstSeen || ''))
+            .map(({ value, firstSeen }) => ({ host: value, firstSeen }));
+
+        let stage = 'unknown';
+        if (relationships.relatedIncidents.length > 0) {
+            stage = 'campaign';
+        } else if (hostSpread.length > 1) {
+            stage = 'multi-host';
+        } else if (hostSpread.length === 1) {
+            stage = 'single-host';
+        }
+
+        return {
+            stage,
+            processChains: this.threatGraph.processChains(relationships.incidentId),
+            hostSpread,
+            relatedIncidents: relationships.relatedIncidents.map(({ incidentId, distance }) => ({ incidentId, distance }))
+        };
+    }
+
+    /**
+     * Summarizes the relationships and progression in analyst-readable
+     * statements.
+     */
+    async generateCorrelationInsights(findings, relationships, progression) {
+        const insights = [];
+
+        relationships.relatedIncidents.forEach(related => {
+            insights.push({
+                type: 'related-incident',
+                message: `Linked to incident ${related.incidentId} through ` +
+                    related.via.map(node => `${node.type} ${node.value}`).join(' → ')
+            });
+        });
+
+        progression.processChains
+            .filter(chain => chain.length > 2)
+            .forEach(chain => {
+                insights.push({ type: 'process-chain', message: `Process chain ${chain.join(' → ')}` });
+            });
+
+        if (progression.hostSpread.length > 1) {
+            insights.push({
+                type: 'host-spread',
+                message: `Activity reached ${progression.hostSpread.length} hosts: ` +
+                    progression.hostSpread.map(entry => entry.host).join(', ')
+            });
+        }
+
+        relationships.sharedTechniques.slice(0, 3).forEach(shared => {
+            insights.push({
+                type: 'shared-techniques',
+                message: `Shares ${shared.techniques.join(', ')} with incident ${shared.incidentId}`
+            });
+        });
+
+        return insights;
+    }
+
+    /**
+     * Confidence that the incident is part of something larger: highest
+     * when it shares an entity directly with another incident, lower the
+     * more hops the link takes.
+     */
+    calculateCorrelationConfidence(relationships) {
+        if (relationships.relatedIncidents.length === 0) {
+            return 0;
+        }
+
+        const closest = relationships.relatedIncidents[0].distance;
+        return Math.max(0.3, Math.round((0.9 - (closest - 2) * 0.15) * 100) / 100);
+    }
+
+    /**
+     * Loads the saved threat graph.
+     */
+    async restoreThreatGraph() {
+        return this.threatGraph.restore();
+    }
+
     /**
      * Initializes the correlation engine for threat analysis.
      * Sets up pattern matching and relationship identification capabilities.
@@ -237,6 +663,7 @@ class ThreatEngine {
      */
     initializeScoringSystem() {
         return {
+            version: this.scoringProfile.getActive().version,
             criteria: this.defineScoringCriteria(),
             weights: this.defineWeights(),
             thresholds: this.defineThresholds(),
@@ -244,6 +671,41 @@ class ThreatEngine {
         };
     }
 
+    /**
+     * Lists the scoring criteria with their settings in the active profile.
+     */
+    defineScoringCriteria() {
+        const { criteria } = this.scoringProfile.getActive();
+
+        return ScoringProfile.getCriteria().map(criterion => ({
+            ...criterion,
+            enabled: Boolean(criteria[criterion.id] && criteria[criterion.id].enabled),
+            params: (criteria[criterion.id] && criteria[criterion.id].params) || {}
+        }));
+    }
+
+    /**
+     * Copies each criterion's weight in the active profile.
+     */
+    defineWeights() {
+        return { ...this.scoringProfile.getActive().weights };
+    }
+
+    /**
+     * Copies the severity thresholds of the active profile.
+     */
+    defineThresholds() {
+        return { ...this.scoringProfile.getActive().thresholds };
+    }
+
+    /**
+     * Returns the function that scores inputs, optionally with an earlier
+     * profile version.
+     */
+    createScoreCalculator() {
+        return (inputs, options = {}) => this.scoringProfile.score(inputs, options);
+    }
+
     /**
      * Sets up learning integration for threat analysis.
      * Connects threat findings with educational resources.
@@ -0,0 +1,500 @@
+// src/core/toad/threat-graph.js
+
+import IndicatorExtractor from './indicator-extractor';
+import TimelineAnalyzer from './timeline-analyzer';
+
+// chrome.storage.local key holding the serialized graph
+const STORAGE_KEY = 'toadSageThreatGraph';
+
+// Oldest incidents are dropped from the graph beyond this many
+const DEFAULT_MAX_INCIDENTS = 500;
+
+const DEFAULT_MAX_DEPTH = 6;
+
+/**
+ * Edge types. Edges are directed as written, e.g. a parent process
+ * `spawned` its child, but queries traverse them in both directions.
+ */
+const EDGE_TYPES = {
+    RESOLVES_TO: 'resolves-to',
+    HOSTED_ON: 'hosted-on',
+    SPAWNED: 'spawned',
+    EXECUTED_ON: 'executed-on',
+    AUTHENTICATED_AS: 'authenticated-as',
+    COMMUNICATES_WITH: 'communicates-with',
+    USES_TECHNIQUE: 'uses-technique',
+    OBSERVED_IN: 'observed-in'
+};
+
+// Entity types whose values are case-insensitive
+const CASE_INSENSITIVE_TYPES = ['host', 'user', 'process', 'domain', 'email', 'md5', 'sha1', 'sha256'];
+
+// Separates a process or local account from the host it belongs to in
+// node values, e.g. "cmd.exe@ws-01"
+const HOST_SCOPE_SEPARATOR = '@';
+
+// Built-in accounts every host has; the same name on two hosts is not the
+// same account
+const LOCAL_ACCOUNTS = ['system', 'nt authority\\system', 'local service', 'network service', 'root'];
+
+/**
+ * ThreatGraph is an entity-relationship graph of incidents and what they
+ * involve: indicators, hosts, users, processes and ATT&CK techniques.
+ * Nodes are keyed "<type>:<value>", e.g. "domain:evil.example". Every node
+ * and edge records the incidents it was seen in, so an incident can be
+ * removed again and shared entities show how incidents relate. The graph
+ * is kept in chrome.storage.local.
+ */
+class ThreatGraph {
+    constructor(options = {}) {
+        this.maxIncidents = options.maxIncidents || DEFAULT_MAX_INCIDENTS;
+        // Internal addresses matter here: they show movement between hosts
+        this.indicatorExtractor = new IndicatorExtractor({ includePrivate: true });
+        this.timelineAnalyzer = new TimelineAnalyzer();
+
+        this.nodes = new Map();
+        this.edges = new Map();
+        this.adjacency = new Map();
+
+        // Incident ids in the order they were added
+        this.incidents = [];
+    }
+
+    static nodeKey(type, value) {
+        const text = String(value).trim();
+        return `${type}:${CASE_INSENSITIVE_TYPES.includes(type) ? text.toLowerCase() : text}`;
+    }
+
+    /**
+     * Loads the saved graph.
+     */
+    async restore() {
+        const stored = await chrome.storage.local.get([STORAGE_KEY]);
+        const saved = stored[STORAGE_KEY];
+
+        this.nodes.clear();
+        this.edges.clear();
+        this.adjacency.clear();
+        this.incidents = [];
+
+        if (saved) {
+            saved.nodes.forEach(node => this.nodes.set(node.key, node));
+            saved.edges.forEach(edge => this.indexEdge(edge));
+            this.incidents = saved.incidents;
+        }
+
+        return this.nodes.size;
+    }
+
+    async save() {
+        await chrome.storage.local.set({
+            [STORAGE_KEY]: {
+                nodes: Array.from(this.nodes.values()),
+                edges: Array.from(this.edges.values()),
+                incidents: this.incidents
+            }
+        });
+    }
+
+    /**
+     * Adds a node, or records another sighting of an existing one.
+     * Returns the node key.
+     */
+    addNode(type, value, { source = null, at = null } = {}) {
+        const key = ThreatGraph.nodeKey(type, value);
+        const node = this.nodes.get(key) || {
+            key,
+            type,
+            value: key.slice(type.length + 1),
+            firstSeen: null,
+            lastSeen: null,
+            sources: []
+        };
+
+        this.recordSighting(node, source, at);
+        this.nodes.set(key, node);
+        return key;
+    }
+
+    /**
+     * Adds a typed edge between two existing nodes. Returns the edge key.
+     */
+    addEdge(from, type, to, { source = null, at = null } = {}) {
+        if (!this.nodes.has(from) || !this.nodes.has(to)) {
+            throw new Error(`Cannot link unknown nodes ${from} and ${to}`);
+        }
+
+        const key = `${from}|${type}|${to}`;
+        const edge = this.edges.get(key) || {
+            key,
+            from,
+            to,
+            type,
+            firstSeen: null,
+            lastSeen: null,
+            sources: []
+        };
+
+        this.recordSighting(edge, source, at);
+        this.indexEdge(edge);
+        return key;
+    }
+
+    recordSighting(item, source, at) {
+        if (source && !item.sources.includes(source)) {
+            item.sources.push(source);
+        }
+        if (at !== null) {
+            item.firstSeen = item.firstSeen === null ? at : Math.min(item.firstSeen, at);
+            item.lastSeen = item.lastSeen === null ? at : Math.max(item.lastSeen, at);
+        }
+    }
+
+    indexEdge(edge) {
+        this.edges.set(edge.key, edge);
+        [edge.from, edge.to].forEach(key => {
+            if (!this.adjacency.has(key)) {
+                this.adjacency.set(key, new Set());
+            }
+            this.adjacency.get(key).add(edge.key);
+        });
+    }
+
+    getNode(key) {
+        return this.nodes.get(key) || null;
+    }
+
+    /**
+     * Adds an incident: its indicators and techniques, and the hosts,
+     * users, processes and destinations named in its events, linked by
+     * what the events show. Re-adding an incident replaces it.
+     *
+     * `temporary` incidents do not count towards `maxIncidents`, so adding
+     * one never evicts a recorded incident; the caller removes it when done.
+     */
+    ingestIncident(incident, { indicators = [], techniques = [], temporary = false } = {}) {
+        if (!incident || !incident.id) {
+            throw new Error('Only incidents with an id can be added to the threat graph');
+        }
+
+        const source = String(incident.id);
+        this.removeIncident(source);
+
+        const incidentKey = this.addNode('incident', source, { source });
+        const firstSeen = new Map();
+        const options = at => ({ source, at });
+
+        const observe = (type, value, at = null) => {
+            const key = this.addNode(type, value, options(at));
+            if (at !== null && (!firstSeen.has(key) || at < firstSeen.get(key))) {
+                firstSeen.set(key, at);
+            }
+            if (type !== 'technique') {
+                this.addEdge(key, EDGE_TYPES.OBSERVED_IN, incidentKey, options(at));
+            }
+            return key;
+        };
+
+        indicators.forEach(indicator => observe(indicator.type, indicator.value));
+
+        // URLs link to the domain or address that hosts them
+        indicators
+            .filter(indicator => indicator.type === 'url')
+            .forEach(indicator => {
+                const parsed = this.indicatorExtractor.parseUrlHost(indicator.value);
+                const host = parsed && this.classifyDestination(parsed.value);
+                if (host) {
+                    this.addEdge(
+                        ThreatGraph.nodeKey('url', indicator.value),
+                        EDGE_TYPES.HOSTED_ON,
+                        observe(host.type, host.value),
+                        options(null)
+                    );
+                }
+            });
+
+        techniques.forEach(technique => {
+            const key = observe('technique', technique.id);
+            this.addEdge(incidentKey, EDGE_TYPES.USES_TECHNIQUE, key, options(null));
+        });
+
+        (Array.isArray(incident.events) ? incident.events : []).forEach(event => {
+            if (event && typeof event === 'object') {
+                this.ingestEvent(event, observe, options);
+            }
+        });
+
+        if (!temporary) {
+            this.incidents.push(source);
+            while (this.incidents.length > this.maxIncidents) {
+                this.removeIncident(this.incidents[0]);
+            }
+        }
+
+        return {
+            incidentKey,
+            firstSeen,
+            nodes: this.getIncidentNodes(source),
+            edges: this.getIncidentEdges(source)
+        };
+    }
+
+    /**
+     * Links the entities a single event names.
+     */
+    ingestEvent(event, observe, options) {
+        const at = this.timelineAnalyzer.parseTimestamp(event.timestamp !== undefined ? event.timestamp : event.time);
+        const name = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+        const processName = value => name(value) && name(value).split(/[\\/]/).pop();
+
+        const host = name(event.host || event.hostname);
+        const user = name(event.user || event.username);
+        const process = processName(event.process || event.processName || event.image);
+        const parent = processName(event.parentProcess || event.parentProcessName || event.parentImage);
+
+        // Processes and built-in accounts are only the same entity on the
+        // same host; scoping them keeps cmd.exe or SYSTEM from linking
+        // unrelated incidents
+        const scoped = value => (host ? `${value}${HOST_SCOPE_SEPARATOR}${host}` : value);
+        const account = user && LOCAL_ACCOUNTS.includes(user.toLowerCase()) ? scoped(user) : user;
+
+        const hostKey = host && observe('host', host, at);
+        const userKey = account && observe('user', account, at);
+        const processKey = process && observe('process', scoped(process), at);
+
+        if (hostKey && userKey) {
+            this.addEdge(hostKey, EDGE_TYPES.AUTHENTICATED_AS, userKey, options(at));
+        }
+        if (processKey) {
+            if (parent) {
+                this.addEdge(observe('process', scoped(parent), at), EDGE_TYPES.SPAWNED, processKey, options(at));
+            }
+            if (hostKey) {
+                this.addEdge(processKey, EDGE_TYPES.EXECUTED_ON, hostKey, options(at));
+            }
+        }
+
+        // DNS answers: the queried name resolves to the returned address
+        const query = this.classifyDestination(name(event.query || event.queryName) || '');
+        const answer = this.classifyDestination(name(event.answer || event.resolvedIp) || '');
+        if (query && answer) {
+            this.addEdge(
+                observe(query.type, query.value, at),
+                EDGE_TYPES.RESOLVES_TO,
+                observe(answer.type, answer.value, at),
+                options(at)
+            );
+        }
+
+        const destination = this.classifyDestination(
+            name(event.destination || event.destinationIp || event.dstIp || event.remoteAddress) || ''
+        );
+        const origin = processKey || hostKey;
+        if (destination && origin) {
+            this.addEdge(origin, EDGE_TYPES.COMMUNICATES_WITH, observe(destination.type, destination.value, at), options(at));
+        }
+    }
+
+    /**
+     * Works out whether a destination is an address, domain or URL. Names
+     * the extractor does not report, such as benign domains and bare
+     * hostnames, are kept as domains and hosts.
+     */
+    classifyDestination(value) {
+        if (!value) {
+            return null;
+        }
+
+        const [indicator] = this.indicatorExtractor.extract(value);
+        if (indicator) {
+            return { type: indicator.type, value: indicator.value };
+        }
+
+        return /^[\w-]+(\.[\w-]+)+$/.test(value) && !/^[\d.]+$/.test(value)
+            ? { type: 'domain', value }
+            : /^[\w-]+$/.test(value) ? { type: 'host', value } : null;
+    }
+
+    /**
+     * Removes an incident, along with every node and edge that no other
+     * incident has been seen with.
+     */
+    removeIncident(incidentId) {
+        const source = String(incidentId);
+        this.incidents = this.incidents.filter(id => id !== source);
+
+        this.edges.forEach(edge => {
+            edge.sources = edge.sources.filter(id => id !== source);
+            if (edge.sources.length === 0) {
+                this.edges.delete(edge.key);
+                [edge.from, edge.to].forEach(key => {
+                    const adjacent = this.adjacency.get(key);
+                    if (adjacent) {
+                        adjacent.delete(edge.key);
+                    }
+                });
+            }
+        });
+
+        this.nodes.forEach(node => {
+            node.sources = node.sources.filter(id => id !== source);
+            if (node.sources.length === 0) {
+                this.nodes.delete(node.key);
+                this.adjacency.delete(node.key);
+            }
+        });
+    }
+
+    getIncidentNodes(incidentId) {
+        return Array.from(this.nodes.values()).filter(node => node.sources.includes(String(incidentId)));
+    }
+
+    getIncidentEdges(incidentId) {
+        return Array.from(this.edges.values()).filter(edge => edge.sources.includes(String(incidentId)));
+    }
+
+    /**
+     * Lists a node's neighbours with the edge that links them, in either
+     * direction. `edgeTypes` and `nodeTypes` restrict what is followed.
+     */
+    neighbors(key, { edgeTypes, nodeTypes } = {}) {
+        return Array.from(this.adjacency.get(key) || [])
+            .map(edgeKey => this.edges.get(edgeKey))
+            .filter(edge => !edgeTypes || edgeTypes.includes(edge.type))
+            .map(edge => ({ key: edge.from === key ? edge.to : edge.from, edge }))
+            .filter(({ key: neighbor }) => !nodeTypes || nodeTypes.includes(this.nodes.get(neighbor).type));
+    }
+
+    /**
+     * Breadth-first search from a node. Returns the distance to and the
+     * edge leading to every node reached.
+     */
+    traverse(start, { maxDepth = DEFAULT_MAX_DEPTH, edgeTypes, nodeTypes, stopAt } = {}) {
+        const visited = new Map([[start, { distance: 0, previous: null, edge: null }]]);
+        let frontier = [start];
+
+        for (let depth = 1; depth <= maxDepth && frontier.length > 0; depth++) {
+            const next = [];
+            frontier.forEach(key => {
+                // Nodes matched by `stopAt` are reached but not expanded
+                if (key !== start && stopAt && stopAt(this.nodes.get(key))) {
+                    return;
+                }
+
+                this.neighbors(key, { edgeTypes, nodeTypes }).forEach(({ key: neighbor, edge }) => {
+                    if (!visited.has(neighbor)) {
+                        visited.set(neighbor, { distance: depth, previous: key, edge });
+                        next.push(neighbor);
+                    }
+                });
+            });
+            frontier = next;
+        }
+
+        return visited;
+    }
+
+    /**
+     * Finds the shortest chain of relationships between two nodes, or null
+     * when they are not connected within `maxDepth` hops.
+     */
+    shortestPath(from, to, options = {}) {
+        if (!this.nodes.has(from) || !this.nodes.has(to)) {
+            return null;
+        }
+
+        const visited = this.traverse(from, options);
+        if (!visited.has(to)) {
+            return null;
+        }
+
+        const nodes = [];
+        const edges = [];
+        for (let key = to; key !== null; key = visited.get(key).previous) {
+            nodes.unshift(this.nodes.get(key));
+            if (visited.get(key).edge) {
+                edges.unshift(visited.get(key).edge);
+            }
+        }
+
+        return { nodes, edges, length: edges.length };
+    }
+
+    /**
+     * Groups nodes into connected components, largest first.
+     */
+    connectedComponents({ edgeTypes } = {}) {
+        const assigned = new Set();
+        const components = [];
+
+        this.nodes.forEach((node, key) => {
+            if (assigned.has(key)) {
+                return;
+            }
+
+            const members = Array.from(this.traverse(key, { maxDepth: Infinity, edgeTypes }).keys());
+            members.forEach(member => assigned.add(member));
+            components.push(members.map(member => this.nodes.get(member)));
+        });
+
+        return components.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Lists what is linked to a node within `depth` hops, nearest first,
+     * e.g. every host that communicated with a domain.
+     */
+    pivot(key, { depth = 1, edgeTypes, nodeTypes } = {}) {
+        if (!this.nodes.has(key)) {
+            return null;
+        }
+
+        // Filter node types on the results rather than the traversal, so
+        // pivots can pass through other entity types
+        const visited = this.traverse(key, { maxDepth: depth, edgeTypes });
+        const results = Array.from(visited.entries())
+            .filter(([nodeKey]) => nodeKey !== key)
+            .map(([nodeKey, { distance, previous, edge }]) => ({
+                node: this.nodes.get(nodeKey),
+                distance,
+                via: { from: previous, edge }
+            }))
+            .filter(({ node }) => !nodeTypes || nodeTypes.includes(node.type))
+            .sort((a, b) => a.distance - b.distance || a.node.key.localeCompare(b.node.key));
+
+        return { origin: this.nodes.get(key), results };
+    }
+
+    /**
+     * Follows `spawned` edges from the incident's root processes, giving
+     * each parent-to-child chain it contains as process names.
+     */
+    processChains(incidentId) {
+        const source = String(incidentId);
+        const spawned = this.getIncidentEdges(source).filter(edge => edge.type === EDGE_TYPES.SPAWNED);
+        const children = new Map();
+        spawned.forEach(edge => {
+            children.set(edge.from, [...(children.get(edge.from) || []), edge.to]);
+        });
+
+        const childKeys = new Set(spawned.map(edge => edge.to));
+        const chains = [];
+        const walk = (key, chain) => {
+            const next = (children.get(key) || []).filter(child => !chain.includes(child));
+            if (next.length === 0) {
+                chains.push(chain);
+                return;
+            }
+            next.forEach(child => walk(child, [...chain, child]));
+        };
+
+        Array.from(children.keys())
+            .filter(key => !childKeys.has(key))
+            .forEach(root => walk(root, [root]));
+
+        // A chain runs on one host, so the host scope is left out
+        return chains.map(chain => chain.map(key => this.nodes.get(key).value.split(HOST_SCOPE_SEPARATOR)[0]));
+    }
+}
+
+export default ThreatGraph;
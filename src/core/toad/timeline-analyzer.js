@@ -0,0 +1,417 @@
+// src/core/toad/timeline-analyzer.js
+
+import { ATTACK_TACTICS } from '../../shared/constants';
+import { getIncidentText } from '../../shared/utils/incident-text';
+
+// Events at least this dense (count within the window) form a burst
+const DEFAULT_BURST_WINDOW = 60 * 1000;
+const DEFAULT_BURST_MIN_EVENTS = 5;
+
+// Beaconing needs enough regular contacts to rule out coincidence
+const DEFAULT_BEACON_MIN_EVENTS = 5;
+const DEFAULT_BEACON_MAX_JITTER = 0.2;
+
+// Timestamps below this are treated as seconds rather than milliseconds
+const EPOCH_SECONDS_LIMIT = 1e12;
+
+// Log lines that start with an ISO-8601 style timestamp
+const TIMESTAMPED_LINE = /^\s*\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?)\]?\s*(.*)$/;
+const HAS_TIMEZONE = /(Z|[+-]\d{2}:?\d{2})$/;
+
+// Hosts are preferred over URLs so contacts with varying paths group together
+const DESTINATION_TYPES = ['domain', 'ipv4', 'ipv6', 'url'];
+
+const TACTIC_INDEX = new Map();
+ATTACK_TACTICS.forEach((tactic, index) => {
+    TACTIC_INDEX.set(tactic.name, index);
+    TACTIC_INDEX.set(tactic.id.toLowerCase(), index);
+});
+
+/**
+ * TimelineAnalyzer turns an incident's events into a normalized, ordered
+ * timeline and looks for temporal patterns in it: bursts of activity,
+ * regular beaconing, attacker dwell time and the order in which ATT&CK
+ * tactics were observed.
+ */
+class TimelineAnalyzer {
+    constructor(options = {}) {
+        // Used to find the destination of events that only carry a message
+        this.indicatorExtractor = options.indicatorExtractor || null;
+
+        this.burstWindow = options.burstWindow || DEFAULT_BURST_WINDOW;
+        this.burstMinEvents = options.burstMinEvents || DEFAULT_BURST_MIN_EVENTS;
+        this.beaconMinEvents = options.beaconMinEvents || DEFAULT_BEACON_MIN_EVENTS;
+        this.beaconMaxJitter = options.beaconMaxJitter || DEFAULT_BEACON_MAX_JITTER;
+    }
+
+    /**
+     * Builds a time-ordered timeline from `incident.events`, falling back to
+     * timestamped lines in the incident text. Events without a usable
+     * timestamp are dropped.
+     */
+    normalize(incident) {
+        const rawEvents = this.collectEvents(incident);
+
+        const events = rawEvents
+            .map((event, index) => this.normalizeEvent(event, index))
+            .filter(Boolean)
+            .sort((a, b) => a.timestamp - b.timestamp || a.sequence - b.sequence);
+
+        const start = events.length > 0 ? events[0].timestamp : null;
+
+        return events.map(({ sequence, ...event }) => ({
+            ...event,
+            offset: event.timestamp - start
+        }));
+    }
+
+    /**
+     * Runs all temporal checks over a normalized timeline.
+     */
+    analyze(timeline, { detectedAt = null } = {}) {
+        const start = timeline.length > 0 ? timeline[0].timestamp : null;
+        const end = timeline.length > 0 ? timeline[timeline.length - 1].timestamp : null;
+
+        return {
+            timeline,
+            span: {
+                start: start !== null ? new Date(start).toISOString() : null,
+                end: end !== null ? new Date(end).toISOString() : null,
+                durationMs: start !== null ? end - start : 0,
+                eventCount: timeline.length
+            },
+            bursts: this.detectBursts(timeline),
+            beaconing: this.detectBeaconing(timeline),
+            dwellTime: this.calculateDwellTime(timeline, detectedAt),
+            killChain: this.analyzeKillChain(timeline)
+        };
+    }
+
+    /**
+     * Finds periods where at least `burstMinEvents` events occur within
+     * `burstWindow` milliseconds. Overlapping windows are merged.
+     */
+    detectBursts(timeline) {
+        const bursts = [];
+        let windowEnd = 0;
+
+        for (let i = 0; i < timeline.length; i++) {
+            // Extend the window as far as it stays within the burst window
+            while (
+                windowEnd < timeline.length &&
+                timeline[windowEnd].timestamp - timeline[i].timestamp <= this.burstWindow
+            ) {
+                windowEnd++;
+            }
+
+            if (windowEnd - i < this.burstMinEvents) {
+                continue;
+            }
+
+            const previous = bursts[bursts.length - 1];
+            if (previous && i <= previous.lastIndex) {
+                previous.lastIndex = windowEnd - 1;
+            } else {
+                bursts.push({ firstIndex: i, lastIndex: windowEnd - 1 });
+            }
+        }
+
+        return bursts.map(({ firstIndex, lastIndex }) => {
+            const events = timeline.slice(firstIndex, lastIndex + 1);
+            const durationMs = events[events.length - 1].timestamp - events[0].timestamp;
+
+            return {
+                start: events[0].time,
+                end: events[events.length - 1].time,
+                durationMs,
+                eventCount: events.length,
+                eventsPerMinute: Number((events.length / Math.max(durationMs / 60000, 1 / 60)).toFixed(1)),
+                eventIds: events.map(event => event.id)
+            };
+        });
+    }
+
+    /**
+     * Finds destinations contacted at regular intervals. Regularity is
+     * measured as the coefficient of variation (jitter) of the intervals
+     * between contacts.
+     */
+    detectBeaconing(timeline) {
+        const byDestination = new Map();
+        timeline
+            .filter(event => event.destination)
+            .forEach(event => {
+                const events = byDestination.get(event.destination) || [];
+                events.push(event);
+                byDestination.set(event.destination, events);
+            });
+
+        const beacons = [];
+        byDestination.forEach((events, destination) => {
+            if (events.length < this.beaconMinEvents) {
+                return;
+            }
+
+            const intervals = [];
+            for (let i = 1; i < events.length; i++) {
+                intervals.push(events[i].timestamp - events[i - 1].timestamp);
+            }
+
+            const mean = intervals.reduce((sum, interval) => sum + interval, 0) / intervals.length;
+            if (mean <= 0) {
+                return;
+            }
+
+            const variance = intervals
+                .reduce((sum, interval) => sum + (interval - mean) ** 2, 0) / intervals.length;
+            const jitter = Math.sqrt(variance) / mean;
+
+            if (jitter > this.beaconMaxJitter) {
+                return;
+            }
+
+            beacons.push({
+                destination,
+                contacts: events.length,
+                intervalMs: this.median(intervals),
+                meanIntervalMs: Math.round(mean),
+                jitter: Number(jitter.toFixed(3)),
+                first: events[0].time,
+                last: events[events.length - 1].time,
+                eventIds: events.map(event => event.id)
+            });
+        });
+
+        return beacons.sort((a, b) => b.contacts - a.contacts);
+    }
+
+    /**
+     * Measures how long the attacker was present before detection. The
+     * clock starts at the first initial-access event if one is tagged,
+     * otherwise at the first event, and stops at `detectedAt` or the last
+     * event.
+     */
+    calculateDwellTime(timeline, detectedAt) {
+        if (timeline.length === 0) {
+            return null;
+        }
+
+        const initialAccess = timeline.find(event => event.tactics.includes('initial-access'));
+        const compromisedAt = (initialAccess || timeline[0]).timestamp;
+
+        const detected = this.parseTimestamp(detectedAt);
+        const detectedTime = detected !== null ? detected : timeline[timeline.length - 1].timestamp;
+        const durationMs = Math.max(0, detectedTime - compromisedAt);
+
+        return {
+            compromisedAt: new Date(compromisedAt).toISOString(),
+            detectedAt: new Date(detectedTime).toISOString(),
+            durationMs,
+            basis: initialAccess ? 'initial-access' : 'first-event',
+            description: this.formatDuration(durationMs)
+        };
+    }
+
+    /**
+     * Orders observed tactics along the ATT&CK kill chain. A regression is
+     * an event whose tactic comes earlier in the kill chain than one already
+     * seen; a small number is normal, many suggest parallel activity or
+     * mislabelled events.
+     */
+    analyzeKillChain(timeline) {
+        const firstSeen = new Map();
+        let furthestIndex = -1;
+        let regressions = 0;
+        let taggedEvents = 0;
+
+        timeline.forEach(event => {
+            if (event.tactics.length === 0) {
+                return;
+            }
+            taggedEvents++;
+
+            event.tactics.forEach(tactic => {
+                const entry = firstSeen.get(tactic) || { tactic, firstSeen: event.time, eventCount: 0 };
+                entry.eventCount++;
+                firstSeen.set(tactic, entry);
+            });
+
+            const eventIndex = Math.max(...event.tactics.map(tactic => TACTIC_INDEX.get(tactic)));
+            if (eventIndex < furthestIndex) {
+                regressions++;
+            }
+            furthestIndex = Math.max(furthestIndex, eventIndex);
+        });
+
+        const sequence = Array.from(firstSeen.values())
+            .map(entry => ({ ...entry, killChainIndex: TACTIC_INDEX.get(entry.tactic) }));
+
+        return {
+            sequence,
+            furthestStage: furthestIndex >= 0 ? ATTACK_TACTICS[furthestIndex].name : null,
+            furthestIndex,
+            coverage: Number((sequence.length / ATTACK_TACTICS.length).toFixed(2)),
+            regressions,
+            ordered: regressions === 0,
+            orderScore: taggedEvents > 1
+                ? Number((1 - regressions / (taggedEvents - 1)).toFixed(2))
+                : 1
+        };
+    }
+
+    /**
+     * Gathers raw events from the incident's event list, or from
+     * timestamped lines of pasted log text.
+     */
+    collectEvents(incident) {
+        if (!incident) {
+            return [];
+        }
+
+        if (Array.isArray(incident.events) && incident.events.length > 0) {
+            return incident.events.map(event => ({ ...event, source: 'event' }));
+        }
+
+        return getIncidentText(incident).split(/\r?\n/)
+            .map(line => TIMESTAMPED_LINE.exec(line))
+            .filter(Boolean)
+            .map(([, timestamp, message]) => ({ timestamp, message, source: 'text' }));
+    }
+
+    /**
+     * Normalizes a raw event, returning null when it has no usable time.
+     */
+    normalizeEvent(event, index) {
+        const timestamp = this.parseTimestamp(
+            event.timestamp !== undefined ? event.timestamp : event.time
+        );
+        if (timestamp === null) {
+            return null;
+        }
+
+        const message = event.message || event.description || event.commandLine || '';
+
+        return {
+            id: event.id || `event-${index + 1}`,
+            sequence: index,
+            timestamp,
+            time: new Date(timestamp).toISOString(),
+            message,
+            host: event.host || event.hostname || null,
+            user: event.user || event.username || null,
+            destination: event.destination || this.findDestination(message),
+            tactics: this.normalizeTactics(event.tactics || event.tactic),
+            techniques: this.normalizeTechniques(event.techniques || event.technique),
+            source: event.source
+        };
+    }
+
+    /**
+     * Parses ISO strings and epoch seconds/milliseconds. Timestamps without
+     * a timezone are read as UTC so results do not depend on the analyst's
+     * browser.
+     */
+    parseTimestamp(value) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? null : value.getTime();
+        }
+
+        if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+            const number = Number(value);
+            return number < EPOCH_SECONDS_LIMIT ? Math.round(number * 1000) : number;
+        }
+
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        let text = value.trim().replace(' ', 'T');
+        if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !HAS_TIMEZONE.test(text)) {
+            text += 'Z';
+        }
+
+        const parsed = Date.parse(text);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+
+    /**
+     * Maps tactic names ("Initial Access", "initial_access") and IDs
+     * ("TA0001") to the kill-chain short names. Unknown tactics are dropped.
+     */
+    normalizeTactics(tactics) {
+        const values = Array.isArray(tactics) ? tactics : [tactics];
+
+        const names = values
+            .filter(tactic => typeof tactic === 'string')
+            .map(tactic => tactic.trim().toLowerCase().replace(/[\s_]+/g, '-'))
+            .filter(tactic => TACTIC_INDEX.has(tactic))
+            .map(tactic => ATTACK_TACTICS[TACTIC_INDEX.get(tactic)].name);
+
+        return Array.from(new Set(names));
+    }
+
+    /**
+     * Normalizes technique references to their IDs.
+     */
+    normalizeTechniques(techniques) {
+        const values = Array.isArray(techniques) ? techniques : [techniques];
+
+        return values
+            .map(technique => (typeof technique === 'string' ? technique : technique && technique.id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Picks the host (or failing that, URL) in an event message as its
+     * destination, so beaconing can be detected in plain log lines.
+     */
+    findDestination(message) {
+        if (!this.indicatorExtractor || !message) {
+            return null;
+        }
+
+        const indicators = this.indicatorExtractor.extract(message);
+        for (const type of DESTINATION_TYPES) {
+            const indicator = indicators.find(candidate => candidate.type === type);
+            if (indicator) {
+                return indicator.value;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Median of a list of intervals, rounded to the millisecond.
+     */
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return sorted.length % 2 === 0
+            ? Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+            : sorted[middle];
+    }
+
+    /**
+     * Formats a duration as e.g. "3d 4h 12m".
+     */
+    formatDuration(durationMs) {
+        const minutes = Math.floor(durationMs / 60000);
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const parts = [];
+
+        if (days > 0) parts.push(`${days}d`);
+        if (hours > 0) parts.push(`${hours}h`);
+        parts.push(`${minutes % 60}m`);
+
+        return parts.join(' ');
+    }
+}
+
+export default TimelineAnalyzer;
@@ -4,6 +4,29 @@ import { SecurityAnalyzer } from '../core/toad/analyzer';
 import { SecurityOperations } from '../core/toad/operations';
 import { ThreatEngine } from '../core/toad/threat-engine';
 import { SecurityMentor } from '../core/sage/mentor';
+import AssetInventory from '../core/toad/asset-inventory';
+import { OPERATION_EVENTS } from '../shared/constants';
+import { isAbortError, raceWithAbort, throwIfAborted } from '../shared/utils/abort';
+
+// Long-lived port the popup opens to stream analysis progress
+const ANALYSIS_PORT_NAME = 'toad-sage-analysis';
+
+// Headings for the analyzer's key finding types
+const FINDING_TITLES = {
+    severity: 'Severity',
+    threat: 'Threat',
+    progression: 'Attack progression',
+    impact: 'Business impact',
+    degraded: 'Incomplete analysis'
+};
+
+// Operational events other extension pages may publish
+const INBOUND_OPERATION_EVENTS = [
+    OPERATION_EVENTS.NEW_ALERT,
+    OPERATION_EVENTS.STATUS_UPDATE,
+    OPERATION_EVENTS.LEARNING_OPPORTUNITY,
+    OPERATION_EVENTS.RESPONSE_ACTION
+];
 
 /**
  * BackgroundService manages the core functionality of the TOAD SAGE extension
@@ -12,25 +35,38 @@ import { SecurityMentor } from '../core/sage/mentor';
  */
 class BackgroundService {
     constructor() {
-        // Initialize core components
-        this.analyzer = new SecurityAnalyzer();
-        this.operations = new SecurityOperations();
-        this.threatEngine = new ThreatEngine();
+        // Initialize core components; the asset inventory is shared so every
+        // component resolves incidents against the same assets
+        this.assetInventory = new AssetInventory();
+        this.analyzer = new SecurityAnalyzer({ assetInventory: this.assetInventory });
+        this.operations = new SecurityOperations({ assetInventory: this.assetInventory });
+        this.threatEngine = new ThreatEngine({ assetInventory: this.assetInventory });
         this.mentor = new SecurityMentor();
 
         // Extension state management
         this.state = {
             isMonitoring: false,
             activeAnalyses: new Map(),
+            runningAnalyses: new Map(),
             learningProgress: new Map(),
             lastUpdate: null
         };
 
         // Set up message handlers
         this.setupMessageHandlers();
+
+        // Forward operational events to the popup and other extension pages
+        this.relayOperationEvents();
+
+        // Start reloading open incidents and their SLA timers right away; the
+        // alarm listener must be registered synchronously for alarms to wake
+        // the worker
+        this.incidentsRestored = this.operations.restoreIncidents()
+            .catch(error => console.error('Failed to restore incidents and SLA timers:', error));
+        chrome.alarms.onAlarm.addListener(alarm => this.handleAlarm(alarm));
         
-        // Initialize extension
-        this.initialize();
+        // Initialize extension; alarms wait for this before being handled
+        this.ready = this.initialize();
     }
 
     /**
@@ -40,6 +76,21 @@ class BackgroundService {
         try {
             console.log('Initializing TOAD SAGE background service...');
 
+            // Restore the asset inventory saved by a previous session
+            await this.assetInventory.restore();
+
+            // Wait for incidents and SLA timers so their status is available to the popup
+            await this.incidentsRestored;
+
+            // Restore the scoring profile edited in Settings
+            this.applySeverityThresholds(await this.threatEngine.restoreScoringProfile());
+
+            // Restore the behavior baselines learned from earlier incidents
+            await this.threatEngine.restoreBehaviorBaselines();
+
+            // Restore the threat graph built from earlier incidents
+            await this.threatEngine.restoreThreatGraph();
+
             // Start security monitoring
             await this.operations.startMonitoring();
 
@@ -72,6 +123,72 @@ class BackgroundService {
                 });
             return true; // Keep message channel open for async response
         });
+
+        // Streaming analyses run over a dedicated port
+        chrome.runtime.onConnect.addListener(port => {
+            if (port.name === ANALYSIS_PORT_NAME) {
+                this.handleAnalysisPort(port);
+            }
+        });
+    }
+
+    /**
+     * Runs analyses requested over a long-lived port, relaying pipeline
+     * progress to the popup as each stage starts and completes
+     */
+    handleAnalysisPort(port) {
+        let connected = true;
+        const requestIds = new Set();
+
+        // Closing the popup cancels whatever it was waiting for
+        port.onDisconnect.addListener(() => {
+            connected = false;
+            requestIds.forEach(requestId => this.cancelAnalysis(requestId));
+        });
+
+        // The popup may close mid-analysis; stop posting once it is gone
+        const post = message => {
+            if (!connected) {
+                return;
+            }
+            try {
+                port.postMessage(message);
+            } catch (error) {
+                connected = false;
+            }
+        };
+
+        port.onMessage.addListener(async request => {
+            // Port messages arrive in order, so a cancel always finds the
+            // analysis it follows already running
+            if (request.type === 'CANCEL_ANALYSIS') {
+                this.cancelAnalysis(request.requestId);
+                return;
+            }
+
+            if (request.type !== 'ANALYZE_INCIDENT') {
+                post({ type: 'ANALYSIS_ERROR', error: `Unsupported port message: ${request.type}` });
+                return;
+            }
+
+            const requestId = request.requestId || this.generateRequestId();
+            requestIds.add(requestId);
+            post({ type: 'ANALYSIS_STARTED', requestId });
+
+            try {
+                const result = await this.runCancellableAnalysis(request.data, {
+                    requestId,
+                    onProgress: event => post({ type: 'ANALYSIS_PROGRESS', requestId, event })
+                });
+                post({ type: 'ANALYSIS_COMPLETE', requestId, result });
+            } catch (error) {
+                post(isAbortError(error)
+                    ? { type: 'ANALYSIS_CANCELLED', requestId }
+                    : { type: 'ANALYSIS_ERROR', requestId, error: error.message });
+            } finally {
+                requestIds.delete(requestId);
+            }
+        });
     }
 
     /**
@@ -83,7 +200,12 @@ class BackgroundService {
         try {
             switch (type) {
                 case 'ANALYZE_INCIDENT':
-                    return await this.handleIncidentAnalysis(data);
+                    return await this.runCancellableAnalysis(data, {
+                        requestId: data.requestId
+                    });
+
+                case 'CANCEL_ANALYSIS':
+                    return this.handleCancelAnalysis(data);
                 
                 case 'GET_LEARNING_RESOURCES':
                     return await this.handleLearningRequest(data);
@@ -94,6 +216,30 @@ class BackgroundService {
                 case 'GET_RECOMMENDATIONS':
                     return await this.handleRecommendationsRequest(data);
                 
+                case 'LOAD_ASSET_INVENTORY':
+                    return await this.handleAssetInventoryLoad(data);
+                
+                case 'PUBLISH_OPERATION_EVENT':
+                    return await this.publishOperationEvent(data);
+                
+                case 'GET_SLA_STATUS':
+                    return this.handleSlaStatusRequest(data);
+                
+                case 'CHECK_STATUS':
+                    return this.operations.getMonitoringStatus();
+                
+                case 'ATTACH_EVIDENCE':
+                    return this.operations.attachEvidence(data.incidentId, data.evidence);
+                
+                case 'GET_SCORING_PROFILE':
+                    return this.handleScoringProfileRequest();
+                
+                case 'UPDATE_SCORING_PROFILE':
+                    return await this.handleScoringProfileUpdate(data);
+                
+                case 'QUERY_THREAT_GRAPH':
+                    return this.handleThreatGraphQuery(data);
+                
                 default:
                     throw new Error(`Unknown message type: ${type}`);
             }
@@ -104,21 +250,209 @@ class BackgroundService {
     }
 
     /**
-     * Handles security incident analysis requests
+     * Runs an incident analysis that can be stopped with CANCEL_ANALYSIS
+     * while it is in flight
      */
-    async handleIncidentAnalysis(incidentData) {
+    async runCancellableAnalysis(incidentData, { requestId, onProgress } = {}) {
+        const id = requestId || this.generateRequestId();
+        const controller = new AbortController();
+        this.state.runningAnalyses.set(id, controller);
+
         try {
-            // Perform threat analysis
-            const threatAnalysis = await this.threatEngine.analyzeThreat(incidentData);
-            
-            // Get comprehensive security analysis
-            const securityAnalysis = await this.analyzer.analyzeIncident(incidentData);
+            return await this.handleIncidentAnalysis(incidentData, {
+                signal: controller.signal,
+                onProgress
+            });
+        } finally {
+            this.state.runningAnalyses.delete(id);
+        }
+    }
+
+    /**
+     * Handles requests to cancel a running analysis
+     */
+    handleCancelAnalysis({ requestId } = {}) {
+        return {
+            requestId,
+            cancelled: this.cancelAnalysis(requestId)
+        };
+    }
+
+    /**
+     * Broadcasts every operational event as an OPERATION_EVENT message
+     */
+    relayOperationEvents() {
+        this.operations.on('*', (payload, event) => {
+            chrome.runtime.sendMessage({ type: 'OPERATION_EVENT', event, data: payload }, () => {
+                // Nobody is listening while the popup is closed
+                void chrome.runtime.lastError;
+            });
+        });
+    }
+
+    /**
+     * Publishes an operational event on behalf of an extension page and
+     * returns what the handlers produced
+     */
+    async publishOperationEvent({ event, payload } = {}) {
+        if (!INBOUND_OPERATION_EVENTS.includes(event)) {
+            throw new Error(`Event cannot be published from outside the background: ${event}`);
+        }
+
+        const results = await this.operations.emit(event, payload);
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            throw failure.reason;
+        }
+
+        return results.map(result => result.value);
+    }
+
+    /**
+     * Routes chrome.alarms alarms (monitoring cycle and SLA timers) to
+     * operations once the service has restored its state
+     */
+    async handleAlarm(alarm) {
+        try {
+            await this.ready;
+            const handled = await this.operations.handleAlarm(alarm);
+            if (!handled) {
+                console.warn(`Unhandled alarm: ${alarm.name}`);
+            }
+        } catch (error) {
+            console.error(`Failed to handle alarm ${alarm.name}:`, error);
+        }
+    }
+
+    /**
+     * Returns the SLA timers of open incidents, or of one incident
+     */
+    handleSlaStatusRequest({ incidentId } = {}) {
+        return {
+            timers: this.operations.slaTracker.getStatus(incidentId),
+            generatedAt: Date.now()
+        };
+    }
+
+    /**
+     * Returns the active scoring profile, the criteria it can configure and
+     * a summary of earlier versions
+     */
+    handleScoringProfileRequest() {
+        const { scoringProfile } = this.threatEngine;
+
+        return {
+            profile: scoringProfile.getActive(),
+            criteria: this.threatEngine.defineScoringCriteria(),
+            versions: scoringProfile.versions.map(({ version, createdAt, createdBy, note }) => ({
+                version,
+                createdAt,
+                createdBy,
+                note
+            }))
+        };
+    }
+
+    /**
+     * Answers threat graph queries. Nodes are given as keys such as
+     * "domain:evil.example" or "incident:INC-1":
+     * - `path` finds how `from` and `to` are related
+     * - `pivot` lists what is linked to `node` within `depth` hops
+     * - `components` groups the graph into connected clusters
+     */
+    handleThreatGraphQuery({ query, from, to, node, depth, edgeTypes, nodeTypes } = {}) {
+        const graph = this.threatEngine.threatGraph;
+
+        switch (query) {
+            case 'path':
+                return { path: graph.shortestPath(from, to, { maxDepth: depth, edgeTypes }) };
+
+            case 'pivot':
+                return { pivot: graph.pivot(node, { depth, edgeTypes, nodeTypes }) };
+
+            case 'components':
+                return {
+                    components: graph.connectedComponents({ edgeTypes }).map(members => ({
+                        size: members.length,
+                        incidents: members.filter(member => member.type === 'incident').map(member => member.value),
+                        nodes: members.map(member => member.key)
+                    }))
+                };
+
+            default:
+                throw new Error(`Unknown threat graph query: ${query}`);
+        }
+    }
+
+    /**
+     * Saves scoring profile changes from Settings as a new version
+     */
+    async handleScoringProfileUpdate({ changes, actor, note } = {}) {
+        this.applySeverityThresholds(
+            await this.threatEngine.updateScoringProfile(changes, { actor, note })
+        );
+        return this.handleScoringProfileRequest();
+    }
+
+    /**
+     * Bands triage severity, which the popup badge shows, with the
+     * thresholds of the scoring profile
+     */
+    applySeverityThresholds(profile) {
+        this.analyzer.setSeverityThresholds(profile.thresholds);
+        this.operations.analyzer.setSeverityThresholds(profile.thresholds);
+    }
+
+    /**
+     * Replaces the asset inventory with uploaded JSON or CSV and saves it
+     * for later sessions
+     */
+    async handleAssetInventoryLoad({ content, format } = {}) {
+        const result = this.assetInventory.load(content, { format });
+        await this.assetInventory.save();
+
+        return {
+            ...result,
+            loadedAt: this.assetInventory.loadedAt
+        };
+    }
+
+    /**
+     * Aborts a running analysis; returns false if it already finished
+     */
+    cancelAnalysis(requestId) {
+        const controller = this.state.runningAnalyses.get(requestId);
+        if (!controller) {
+            return false;
+        }
+
+        controller.abort();
+        this.state.runningAnalyses.delete(requestId);
+        return true;
+    }
+
+    /**
+     * Handles security incident analysis requests. `options.onProgress`
+     * receives pipeline stage events as they happen and `options.signal`
+     * cancels the threat engine, the pipeline and mentorship.
+     */
+    async handleIncidentAnalysis(incidentData, options = {}) {
+        const { signal } = options;
+
+        try {
+            // Run threat analysis alongside the staged security analysis so
+            // progress from the pipeline is not held back by the threat engine
+            const [threatAnalysis, securityAnalysis] = await Promise.all([
+                this.analyzeThreatSafely(incidentData, { signal }),
+                this.analyzer.analyzeIncident(incidentData, {
+                    signal,
+                    onProgress: options.onProgress
+                })
+            ]);
             
             // Generate educational insights
-            const educationalContext = await this.mentor.provideMentorship(
-                incidentData,
-                securityAnalysis
-            );
+            const educationalContext = await this.provideGuidance(incidentData, securityAnalysis, { signal });
+            throwIfAborted(signal);
 
             // Store analysis results
             const analysisId = this.generateAnalysisId();
@@ -140,11 +474,50 @@ class BackgroundService {
                 )
             };
         } catch (error) {
+            if (isAbortError(error)) {
+                console.log('Incident analysis cancelled');
+                throw error;
+            }
+
             console.error('Incident analysis failed:', error);
             throw new Error(`Analysis failed: ${error.message}`);
         }
     }
 
+    /**
+     * Runs the threat engine for an incident. Its risk score supplements
+     * the staged analysis, so failures are logged and the analysis is
+     * returned without it, marked as degraded.
+     */
+    async analyzeThreatSafely(incidentData, { signal } = {}) {
+        try {
+            return await this.threatEngine.analyzeThreat(incidentData, { signal });
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            console.error('Threat engine analysis failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Asks the mentor for guidance on an analyzed incident. Guidance is
+     * supplementary, so failures are logged and the results are returned
+     * without it.
+     */
+    async provideGuidance(incidentData, securityAnalysis, { signal } = {}) {
+        try {
+            return await raceWithAbort(this.mentor.provideMentorship(incidentData, securityAnalysis), signal);
+        } catch (error) {
+            if (isAbortError(error)) {
+                throw error;
+            }
+            console.error('Mentorship failed:', error);
+            return null;
+        }
+    }
+
     /**
      * Handles requests for learning resources and educational content
      */
@@ -263,7 +636,8 @@ class BackgroundService {
     }
 
     /**
-     * Generates recommendations based on analyses
+     * Generates recommendations based on analyses, grouped for the popup.
+     * Each recommendation is a `{title, description}` pair.
      */
     async generateRecommendations(threatAnalysis, securityAnalysis) {
         return {
@@ -280,14 +654,152 @@ class BackgroundService {
      * Creates a summary of the analysis results
      */
     createAnalysisSummary(threatAnalysis, securityAnalysis) {
+        const pipeline = securityAnalysis && securityAnalysis.analysis
+            ? securityAnalysis.analysis
+            : { pipelineResults: [], degraded: false };
+
+        const stages = pipeline.pipelineResults.map(record => ({
+            stage: record.stage,
+            status: record.status,
+            error: record.error
+        }));
+
+        // The threat engine runs beside the pipeline; report it like a stage
+        if (!threatAnalysis) {
+            stages.push({ stage: 'Threat Engine', status: 'failed', error: 'Threat risk score unavailable' });
+        }
+
         return {
             severity: this.calculateOverallSeverity(threatAnalysis, securityAnalysis),
             keyFindings: this.extractKeyFindings(threatAnalysis, securityAnalysis),
             confidence: this.calculateConfidenceScore(threatAnalysis, securityAnalysis),
+            degraded: Boolean(pipeline.degraded) || !threatAnalysis,
+            stages,
             timestamp: new Date().toISOString()
         };
     }
 
+    /**
+     * Final pipeline context of the staged security analysis
+     */
+    getFinalContext(securityAnalysis) {
+        return (securityAnalysis && securityAnalysis.analysis && securityAnalysis.analysis.finalContext) || {};
+    }
+
+    /**
+     * Recommendations of the framework guide, when framework analysis ran
+     */
+    getFrameworkRecommendations(securityAnalysis) {
+        const frameworkResult = this.getFinalContext(securityAnalysis).frameworkAnalysis;
+        return (frameworkResult && frameworkResult.recommendations) || {};
+    }
+
+    /**
+     * Actions to take now: triage actions for the risks found, then
+     * containment for the ATT&CK tactics framework analysis observed
+     */
+    generateImmediateActions(threatAnalysis, securityAnalysis) {
+        const context = this.getFinalContext(securityAnalysis);
+        const triageActions = ((context.initialAssessment && context.initialAssessment.immediateActions) || [])
+            .map(entry => ({
+                title: entry.action,
+                description: entry.riskId ? `Triage risk: ${entry.riskId}` : 'Triage severity'
+            }));
+        const frameworkActions = (context.recommendations || [])
+            .filter(entry => entry.priority === 'immediate')
+            .map(entry => ({ title: entry.title, description: entry.description }));
+
+        return [...triageActions, ...frameworkActions];
+    }
+
+    /**
+     * Steps confirming each mapped technique, then the analyzer's next
+     * steps (stages to re-run, tactics to hunt, related incidents)
+     */
+    async createInvestigationPlan(threatAnalysis, securityAnalysis) {
+        const frameworkSteps = (this.getFrameworkRecommendations(securityAnalysis).investigation || [])
+            .map(entry => ({
+                title: entry.step,
+                description: entry.dataSources.length > 0
+                    ? `Check ${entry.dataSources.join(', ')}`
+                    : entry.evidence.join(', ')
+            }));
+        const nextSteps = ((securityAnalysis && securityAnalysis.insights && securityAnalysis.insights.nextSteps) || [])
+            .map(step => ({ title: step, description: '' }));
+
+        return [...frameworkSteps, ...nextSteps];
+    }
+
+    /**
+     * Tactics to study, with the techniques the incident showed for each
+     */
+    suggestLearningTopics(threatAnalysis, securityAnalysis) {
+        return (this.getFrameworkRecommendations(securityAnalysis).learning || []).map(entry => ({
+            title: `${entry.id} ${entry.name}`,
+            description: entry.techniques.length > 0 ? `Seen in this incident: ${entry.techniques.join(', ')}` : '',
+            url: entry.url
+        }));
+    }
+
+    /**
+     * The analyzer's key findings as `{title, description}`, followed by
+     * the threat engine's risk score when it ran
+     */
+    extractKeyFindings(threatAnalysis, securityAnalysis) {
+        const findings = ((securityAnalysis && securityAnalysis.insights && securityAnalysis.insights.keyFindings) || [])
+            .map(finding => ({
+                title: FINDING_TITLES[finding.type] || finding.type,
+                description: finding.message
+            }));
+
+        const riskScore = threatAnalysis && threatAnalysis.analysis && threatAnalysis.analysis.riskScore;
+        if (riskScore) {
+            findings.push({
+                title: 'Threat risk',
+                description: `${riskScore.severity} (risk score ${riskScore.score}/100, scoring profile v${riskScore.profileVersion})`
+            });
+        }
+
+        return findings;
+    }
+
+    /**
+     * Mean of the analyzer's overall confidence and the threat engine's,
+     * from whichever of the two is available; null when neither is
+     */
+    calculateConfidenceScore(threatAnalysis, securityAnalysis) {
+        const scores = [
+            securityAnalysis && securityAnalysis.confidence && securityAnalysis.confidence.overall,
+            threatAnalysis && threatAnalysis.confidence
+        ].filter(score => typeof score === 'number');
+
+        if (scores.length === 0) {
+            return null;
+        }
+        return Math.round(scores.reduce((total, score) => total + score, 0) / scores.length * 100) / 100;
+    }
+
+    /**
+     * Determines the overall severity from the triage threat score, keeping
+     * the score breakdown so the rating can be justified
+     */
+    calculateOverallSeverity(threatAnalysis, securityAnalysis) {
+        const finalContext = securityAnalysis && securityAnalysis.analysis
+            ? securityAnalysis.analysis.finalContext
+            : null;
+        const threatScore = finalContext && finalContext.threatScore;
+
+        if (!threatScore) {
+            return { level: 'unknown', score: null, breakdown: [] };
+        }
+
+        return {
+            level: threatScore.severity,
+            score: threatScore.score,
+            breakdown: threatScore.breakdown
+        };
+    }
+
     /**
      * Generates a unique analysis identifier
      */
@@ -295,6 +807,13 @@ class BackgroundService {
         return `analysis_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Generates an identifier for an in-flight analysis request
+     */
+    generateRequestId() {
+        return `request_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     /**
      * Handles errors in the background service
      */
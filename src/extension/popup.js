@@ -1,17 +1,63 @@
 // TOAD SAGE Popup Script
 // This script manages the popup interface interactions and communication with the background script
 
+// Long-lived port used to stream analysis progress from the background script
+const ANALYSIS_PORT_NAME = 'toad-sage-analysis';
+
+// Status markers shown next to each pipeline stage
+const STAGE_STATUS_ICONS = {
+    running: '⏳',
+    completed: '✅',
+    failed: '❌',
+    timeout: '⌛',
+    skipped: '⏭️',
+    cancelled: '⏹️'
+};
+
+// Label and text color for each system status reported by CHECK_STATUS
+const SYSTEM_STATUS_DISPLAY = {
+    optimal: { label: 'Optimal', colorClass: 'text-green-400' },
+    degraded: { label: 'Degraded', colorClass: 'text-yellow-400' },
+    error: { label: 'Failing', colorClass: 'text-red-500' },
+    inactive: { label: 'Inactive', colorClass: 'text-white/50' }
+};
+
+// How often the SLA countdowns tick
+const SLA_TICK_INTERVAL = 1000;
+
+// Recommendation groups sent by the background service, in display order
+const RECOMMENDATION_GROUPS = [
+    { key: 'immediate', title: 'Immediate actions' },
+    { key: 'investigation', title: 'Investigation' },
+    { key: 'learning', title: 'Learning' }
+];
+
+// Labels for the SLA clocks run by the background service
+const SLA_KIND_LABELS = {
+    acknowledge: 'Acknowledge',
+    contain: 'Contain'
+};
+
 class TOADSagePopup {
     constructor() {
         // Initialize state management
         this.state = {
             currentTab: 'analysis',
             isAnalyzing: false,
+            currentRequestId: null,
             analysisResults: null,
             systemStatus: 'optimal',
-            learningProgress: 0
+            learningProgress: 0,
+            slaTimers: [],
+            slaFetchedAt: 0
         };
 
+        this.slaTicker = null;
+
+        // Port of the running analysis; cancels travel over it so they
+        // arrive after the request they cancel
+        this.analysisPort = null;
+
         // Cache DOM elements for better performance
         this.elements = {
             tabButtons: document.querySelectorAll('.tab-button'),
@@ -20,7 +66,17 @@ class TOADSagePopup {
             clearButton: document.querySelector('[class*="premium-button"]:last-of-type'),
             loadingState: document.querySelector('#loading-state'),
             resultsSection: document.querySelector('#analysis-results'),
-            systemStatusIndicator: document.querySelector('.bg-gradient-to-r')
+            progressList: document.querySelector('#analysis-progress'),
+            triageSection: document.querySelector('#triage-results'),
+            timelineSection: document.querySelector('#timeline-results'),
+            slaSection: document.querySelector('#sla-timers'),
+            systemStatusLabel: document.querySelector('#system-status-label'),
+            systemStatusBar: document.querySelector('#system-status-bar'),
+            systemStatusDetails: document.querySelector('#system-status-details'),
+            guardianIndicator: document.querySelector('#guardian-indicator'),
+            guardianStatus: document.querySelector('#guardian-status'),
+            scoringProfileSection: document.querySelector('#scoring-profile'),
+            saveScoringProfileButton: document.querySelector('#save-scoring-profile')
         };
 
         // Bind event handlers
@@ -42,6 +98,9 @@ class TOADSagePopup {
             // Load any saved analysis state
             await this.loadSavedState();
 
+            // Show SLA countdowns for open incidents
+            await this.refreshSlaTimers();
+
             // Initialize animations and transitions
             this.initializeAnimations();
 
@@ -63,16 +122,52 @@ class TOADSagePopup {
 
         // Analysis actions
         this.elements.analyzeButton.addEventListener('click', () => this.handleAnalysis());
-        this.elements.clearButton.addEventListener('click', () => this.clearAnalysis());
+        // The Clear button doubles as Cancel while an analysis is running
+        this.elements.clearButton.addEventListener('click', () => {
+            if (this.state.isAnalyzing) {
+                this.cancelAnalysis();
+            } else {
+                this.clearAnalysis();
+            }
+        });
 
         // Input handling
         this.elements.analysisInput.addEventListener('input', (e) => this.handleInput(e));
 
+        // Settings
+        this.elements.saveScoringProfileButton.addEventListener('click', () => this.saveScoringProfile());
+
         // Listen for messages from background script
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             this.handleBackgroundMessage(message, sender, sendResponse);
             return true; // Keep the message channel open for async responses
         });
+
+        // Reload SLA timers whenever an incident or its SLA changes
+        ['sla.warning', 'sla.breached', 'incident.created', 'incident.statusChanged',
+            'incident.closed', 'incident.escalated'].forEach(event => {
+            document.addEventListener(`toad-sage:${event}`, () => this.refreshSlaTimers());
+        });
+
+        // Each monitoring cycle reports fresh health
+        document.addEventListener('toad-sage:monitoring.cycle', (e) => {
+            this.updateSystemStatus(e.detail.health);
+        });
+    }
+
+    /**
+     * Handles messages pushed by the background service. Operational events
+     * are re-dispatched on the document as `toad-sage:<event>` so any part
+     * of the popup can subscribe to them.
+     */
+    handleBackgroundMessage(message, sender, sendResponse) {
+        if (message && message.type === 'OPERATION_EVENT') {
+            document.dispatchEvent(new CustomEvent(`toad-sage:${message.event}`, {
+                detail: message.data
+            }));
+        }
+
+        sendResponse({ received: true });
     }
 
     /**
@@ -95,6 +190,147 @@ class TOADSagePopup {
         this.updateTabContent(selectedTab);
     }
 
+    /**
+     * Shows the panel of the selected tab and loads its data
+     */
+    updateTabContent(tab) {
+        document.querySelectorAll('[data-tab-panel]').forEach(panel => {
+            panel.style.display = panel.getAttribute('data-tab-panel') === tab ? 'block' : 'none';
+        });
+
+        if (tab === 'settings') {
+            this.loadScoringProfile();
+        }
+    }
+
+    /**
+     * Fetches the active scoring profile for the Settings tab
+     */
+    async loadScoringProfile() {
+        try {
+            this.renderScoringProfile(await this.sendBackgroundMessage('GET_SCORING_PROFILE'));
+        } catch (error) {
+            console.error('Failed to load scoring profile:', error);
+            this.elements.scoringProfileSection.querySelector('#scoring-profile-error').textContent =
+                `Could not load the scoring profile: ${error.message}`;
+        }
+    }
+
+    /**
+     * Fills the scoring form: one row per criterion with its enabled flag
+     * and weight, the severity thresholds, and the known exploited CVEs
+     */
+    renderScoringProfile({ profile, criteria }) {
+        const section = this.elements.scoringProfileSection;
+        const createdAt = profile.createdAt ? new Date(profile.createdAt).toLocaleString() : '';
+
+        section.querySelector('#scoring-profile-version').textContent =
+            `Version ${profile.version} · ${profile.createdBy}${createdAt ? ` · ${createdAt}` : ''}`;
+        section.querySelector('#scoring-profile-error').textContent = '';
+
+        const list = section.querySelector('#scoring-criteria');
+        list.innerHTML = '';
+        criteria.forEach(criterion => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center justify-between text-xs text-white/80';
+
+            const label = document.createElement('label');
+            label.className = 'flex items-center space-x-2';
+            label.title = criterion.description;
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.checked = criterion.enabled;
+            enabled.dataset.criterion = criterion.id;
+            enabled.dataset.field = 'enabled';
+
+            const name = document.createElement('span');
+            name.textContent = criterion.label;
+            label.appendChild(enabled);
+            label.appendChild(name);
+
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.min = '0';
+            weight.max = '1';
+            weight.step = '0.05';
+            weight.value = String(profile.weights[criterion.id] || 0);
+            weight.className = 'premium-input w-20 p-1 rounded text-xs';
+            weight.dataset.criterion = criterion.id;
+            weight.dataset.field = 'weight';
+
+            item.appendChild(label);
+            item.appendChild(weight);
+            list.appendChild(item);
+        });
+
+        const thresholds = section.querySelector('#scoring-thresholds');
+        thresholds.innerHTML = '';
+        ['critical', 'high', 'medium', 'low'].forEach(band => {
+            const label = document.createElement('label');
+            label.className = `text-xs ${this.getSeverityClass(band)}`;
+            label.textContent = band;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.max = '100';
+            input.value = String(profile.thresholds[band]);
+            input.className = 'premium-input w-full p-1 rounded text-xs';
+            input.dataset.threshold = band;
+
+            label.appendChild(input);
+            thresholds.appendChild(label);
+        });
+
+        const exploitAvailability = profile.criteria.exploitAvailability;
+        section.querySelector('#scoring-known-exploited').value =
+            ((exploitAvailability && exploitAvailability.params.knownExploitedCves) || []).join(', ');
+    }
+
+    /**
+     * Saves the scoring form as a new profile version. Validation errors
+     * from the background service are shown under the form.
+     */
+    async saveScoringProfile() {
+        const section = this.elements.scoringProfileSection;
+        const changes = { criteria: {}, weights: {}, thresholds: {} };
+
+        section.querySelectorAll('[data-criterion]').forEach(input => {
+            const id = input.dataset.criterion;
+            if (input.dataset.field === 'enabled') {
+                changes.criteria[id] = { ...changes.criteria[id], enabled: input.checked };
+            } else {
+                changes.weights[id] = Number(input.value);
+            }
+        });
+
+        section.querySelectorAll('[data-threshold]').forEach(input => {
+            changes.thresholds[input.dataset.threshold] = Number(input.value);
+        });
+
+        const knownExploitedCves = section.querySelector('#scoring-known-exploited').value
+            .split(/[\s,]+/)
+            .map(cve => cve.trim().toUpperCase())
+            .filter(Boolean);
+        changes.criteria.exploitAvailability = {
+            ...changes.criteria.exploitAvailability,
+            params: { knownExploitedCves }
+        };
+
+        this.elements.saveScoringProfileButton.disabled = true;
+        try {
+            this.renderScoringProfile(await this.sendBackgroundMessage('UPDATE_SCORING_PROFILE', {
+                changes,
+                actor: 'analyst'
+            }));
+        } catch (error) {
+            section.querySelector('#scoring-profile-error').textContent = error.message;
+        } finally {
+            this.elements.saveScoringProfileButton.disabled = false;
+        }
+    }
+
     /**
      * Handles the security analysis process
      */
@@ -110,6 +346,7 @@ class TOADSagePopup {
             // Update UI state
             this.state.isAnalyzing = true;
             this.updateUIForAnalysis(true);
+            this.resetAnalysisProgress();
 
             // Send analysis request to background script
             const results = await this.sendAnalysisRequest(incidentDetails);
@@ -118,10 +355,16 @@ class TOADSagePopup {
             this.displayAnalysisResults(results);
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showError('Analysis cancelled');
+                return;
+            }
+
             console.error('Analysis error:', error);
             this.showError('Analysis failed. Please try again.');
         } finally {
             this.state.isAnalyzing = false;
+            this.state.currentRequestId = null;
             this.updateUIForAnalysis(false);
         }
     }
@@ -144,10 +387,29 @@ class TOADSagePopup {
             this.elements.analyzeButton.textContent = 'Begin Analysis';
         }
 
+        // Swap Clear for Cancel while the analysis runs
+        this.elements.clearButton.textContent = isAnalyzing ? 'Cancel' : 'Clear';
+
         // Toggle input interaction
         this.elements.analysisInput.disabled = isAnalyzing;
     }
 
+    /**
+     * Asks the background script to stop the running analysis
+     */
+    cancelAnalysis() {
+        const requestId = this.state.currentRequestId;
+        if (!requestId || !this.analysisPort) {
+            return;
+        }
+
+        try {
+            this.analysisPort.postMessage({ type: 'CANCEL_ANALYSIS', requestId });
+        } catch (error) {
+            console.error('Cancel request failed:', error);
+        }
+    }
+
     /**
      * Displays the analysis results in the interface
      */
@@ -174,38 +436,116 @@ class TOADSagePopup {
      * Creates and populates result elements with analysis data
      */
     createResultElements(results) {
-        const { severity, findings, recommendations } = results;
+        const { summary, recommendations } = results;
+
+        // Flag partial results when optional analysis stages did not complete
+        this.renderDegradedNotice(summary);
 
         // Update severity indicator
         const severityElement = document.querySelector('.severity-indicator');
         if (severityElement) {
-            severityElement.className = `severity-indicator ${this.getSeverityClass(severity)}`;
-            severityElement.textContent = severity;
+            const { level, score } = summary.severity;
+            severityElement.className = `severity-indicator ${this.getSeverityClass(level)}`;
+            severityElement.textContent = score === null ? level : `${level} · ${score}/100`;
+        }
+
+        const confidenceElement = document.querySelector('#analysis-confidence');
+        if (confidenceElement) {
+            confidenceElement.textContent = summary.confidence === null
+                ? ''
+                : `Confidence ${Math.round(summary.confidence * 100)}%`;
         }
 
         // Update findings list
         const findingsList = document.querySelector('#key-findings-list');
         if (findingsList) {
-            findingsList.innerHTML = findings.map(finding => `
-                <li class="feature-card premium-card rounded-xl p-4 mb-2">
-                    <h4 class="text-sm font-semibold text-green-400">${finding.title}</h4>
-                    <p class="text-xs text-white/70 mt-1">${finding.description}</p>
-                </li>
-            `).join('');
+            findingsList.innerHTML = '';
+            summary.keyFindings.forEach(finding => {
+                findingsList.appendChild(this.createResultItem(finding.title, finding.description));
+            });
         }
 
-        // Update recommendations
+        // Update recommendations, one group per kind
         const recommendationsList = document.querySelector('#recommendations-list');
         if (recommendationsList) {
-            recommendationsList.innerHTML = recommendations.map(rec => `
-                <li class="feature-card premium-card rounded-xl p-4 mb-2">
-                    <h4 class="text-sm font-semibold text-green-400">${rec.title}</h4>
-                    <p class="text-xs text-white/70 mt-1">${rec.description}</p>
-                </li>
-            `).join('');
+            recommendationsList.innerHTML = '';
+            RECOMMENDATION_GROUPS.forEach(({ key, title }) => {
+                const entries = recommendations[key] || [];
+                if (entries.length === 0) {
+                    return;
+                }
+
+                const heading = document.createElement('li');
+                heading.className = 'text-xs font-semibold uppercase tracking-wide text-white/50 mt-4';
+                heading.textContent = title;
+                recommendationsList.appendChild(heading);
+
+                entries.forEach(entry => {
+                    recommendationsList.appendChild(this.createResultItem(entry.title, entry.description, entry.url));
+                });
+            });
         }
     }
 
+    /**
+     * Builds one finding or recommendation card. Findings quote the pasted
+     * incident, so text is never rendered as HTML
+     */
+    createResultItem(title, description, url) {
+        const item = document.createElement('li');
+        item.className = 'feature-card premium-card rounded-xl p-4 mb-2';
+
+        const heading = document.createElement('h4');
+        heading.className = 'text-sm font-semibold text-green-400';
+        if (url) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = title;
+            heading.appendChild(link);
+        } else {
+            heading.textContent = title;
+        }
+        item.appendChild(heading);
+
+        if (description) {
+            const text = document.createElement('p');
+            text.className = 'text-xs text-white/70 mt-1';
+            text.textContent = description;
+            item.appendChild(text);
+        }
+
+        return item;
+    }
+
+    /**
+     * Shows which analysis stages failed, timed out or were skipped so
+     * partial results are not mistaken for a complete analysis
+     */
+    renderDegradedNotice(summary) {
+        const existingNotice = this.elements.resultsSection.querySelector('.degraded-notice');
+        if (existingNotice) {
+            existingNotice.remove();
+        }
+
+        if (!summary || !summary.degraded) {
+            return;
+        }
+
+        const incompleteStages = summary.stages
+            .filter(stage => stage.status !== 'completed')
+            .map(stage => `${stage.stage} (${stage.status})`);
+
+        const notice = document.createElement('div');
+        notice.className = 'degraded-notice premium-card rounded-xl p-4 mb-4 border border-yellow-400/50';
+        notice.innerHTML = `
+            <h4 class="text-sm font-semibold text-yellow-400">Partial analysis</h4>
+            <p class="text-xs text-white/70 mt-1">Some stages did not complete: ${incompleteStages.join(', ')}</p>
+        `;
+        this.elements.resultsSection.prepend(notice);
+    }
+
     /**
      * Clears the analysis input and results
      */
@@ -227,37 +567,376 @@ class TOADSagePopup {
     }
 
     /**
-     * Sends analysis request to the background script
+     * Sends analysis request to the background script over a long-lived
+     * port so stage progress can be rendered while the analysis runs
      */
     async sendAnalysisRequest(incidentDetails) {
         return new Promise((resolve, reject) => {
-            chrome.runtime.sendMessage({
+            const port = chrome.runtime.connect({ name: ANALYSIS_PORT_NAME });
+            let settled = false;
+
+            // The id is ours so Cancel works before the background answers
+            const requestId = this.generateRequestId();
+            this.state.currentRequestId = requestId;
+            this.analysisPort = port;
+
+            const settle = () => {
+                settled = true;
+                this.analysisPort = null;
+                port.disconnect();
+            };
+
+            port.onMessage.addListener(message => {
+                switch (message.type) {
+                    case 'ANALYSIS_PROGRESS':
+                        this.handleAnalysisProgress(message.event);
+                        break;
+
+                    case 'ANALYSIS_COMPLETE':
+                        settle();
+                        resolve(message.result);
+                        break;
+
+                    case 'ANALYSIS_ERROR':
+                        settle();
+                        reject(new Error(message.error));
+                        break;
+
+                    case 'ANALYSIS_CANCELLED': {
+                        settle();
+                        const error = new Error('Analysis cancelled');
+                        error.name = 'AbortError';
+                        reject(error);
+                        break;
+                    }
+                }
+            });
+
+            port.onDisconnect.addListener(() => {
+                this.analysisPort = null;
+                if (!settled) {
+                    reject(chrome.runtime.lastError || new Error('Connection to background service lost'));
+                }
+            });
+
+            port.postMessage({
                 type: 'ANALYZE_INCIDENT',
+                requestId,
                 data: { incident: incidentDetails }
-            }, response => {
-                if (chrome.runtime.lastError) {
-                    reject(chrome.runtime.lastError);
+            });
+        });
+    }
+
+    /**
+     * Generates a unique ID for an analysis request
+     */
+    generateRequestId() {
+        return `request_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Updates the stage list and renders partial results as pipeline
+     * progress events arrive
+     */
+    handleAnalysisProgress(event) {
+        const status = event.type === 'stage-start' ? 'running' : event.status;
+        this.renderStageStatus(event.stage, status, event.error);
+
+        // Triage findings are useful long before impact analysis finishes
+        if (event.type === 'stage-complete' && event.stage === 'Initial Triage' && event.result) {
+            this.renderTriageResults(event.result);
+        }
+
+        if (event.type === 'stage-complete' && event.stage === 'Pattern Recognition' && event.result) {
+            this.renderTimeline(event.result.temporal);
+        }
+    }
+
+    /**
+     * Clears progress and partial results from a previous analysis
+     */
+    resetAnalysisProgress() {
+        if (this.elements.progressList) {
+            this.elements.progressList.innerHTML = '';
+            this.elements.progressList.style.display = 'block';
+        }
+
+        if (this.elements.triageSection) {
+            this.elements.triageSection.style.display = 'none';
+        }
+
+        if (this.elements.timelineSection) {
+            this.elements.timelineSection.style.display = 'none';
+        }
+    }
+
+    /**
+     * Adds or updates the progress entry for a pipeline stage
+     */
+    renderStageStatus(stageName, status, error) {
+        const list = this.elements.progressList;
+        if (!list) {
+            return;
+        }
+
+        let item = Array.from(list.children).find(child => child.dataset.stage === stageName);
+        if (!item) {
+            item = document.createElement('li');
+            item.dataset.stage = stageName;
+            list.appendChild(item);
+        }
+
+        const icon = STAGE_STATUS_ICONS[status] || '•';
+        item.textContent = error
+            ? `${icon} ${stageName} — ${status}: ${error}`
+            : `${icon} ${stageName}`;
+    }
+
+    /**
+     * Renders severity, score and extracted indicators from the triage stage
+     */
+    renderTriageResults(triage) {
+        const section = this.elements.triageSection;
+        if (!section) {
+            return;
+        }
+
+        const severityElement = section.querySelector('#triage-severity');
+        severityElement.className = `text-sm font-medium ${this.getSeverityClass(triage.severity)}`;
+        severityElement.textContent = triage.severity;
+
+        section.querySelector('#triage-score').textContent = triage.threatScore
+            ? `Threat score ${triage.threatScore.score}/100`
+            : '';
+
+        // Indicator values come from pasted text, so never render them as HTML
+        const list = section.querySelector('#triage-indicators');
+        list.innerHTML = '';
+        (triage.indicators || []).forEach(indicator => {
+            const item = document.createElement('li');
+            item.className = 'feature-card premium-card rounded-xl p-3 text-xs';
+
+            const type = document.createElement('span');
+            type.className = 'text-green-400 font-semibold mr-2';
+            type.textContent = indicator.type;
+
+            const value = document.createElement('span');
+            value.className = 'text-white/80 break-all';
+            value.textContent = indicator.value;
+
+            item.append(type, value);
+            list.appendChild(item);
+        });
+
+        section.style.display = 'block';
+    }
+
+    /**
+     * Draws the normalized event timeline: a track with one marker per
+     * event, and a list of events with their offset from the first one
+     */
+    renderTimeline(temporal) {
+        const section = this.elements.timelineSection;
+        if (!section || !temporal || temporal.timeline.length === 0) {
+            return;
+        }
+
+        const { timeline, span, bursts, beaconing, dwellTime, killChain } = temporal;
+        const burstEvents = new Set(bursts.flatMap(burst => burst.eventIds));
+        const beaconEvents = new Set(beaconing.flatMap(beacon => beacon.eventIds));
+
+        const notes = [`${span.eventCount} events`];
+        if (dwellTime) notes.push(`dwell time ${dwellTime.description}`);
+        if (bursts.length > 0) notes.push(`${bursts.length} burst(s)`);
+        if (beaconing.length > 0) notes.push(`beaconing to ${beaconing.map(beacon => beacon.destination).join(', ')}`);
+        if (killChain.furthestStage) notes.push(`reached ${killChain.furthestStage}`);
+        section.querySelector('#timeline-summary').textContent = notes.join(' · ');
+
+        const track = section.querySelector('#timeline-track');
+        const list = section.querySelector('#timeline-events');
+        track.innerHTML = '';
+        list.innerHTML = '';
+
+        timeline.forEach(event => {
+            const colorClass = beaconEvents.has(event.id)
+                ? 'bg-red-500'
+                : burstEvents.has(event.id) ? 'bg-orange-400' : 'bg-green-400';
+
+            const marker = document.createElement('span');
+            marker.className = `absolute top-0 h-2 w-1 rounded ${colorClass}`;
+            marker.style.left = `${span.durationMs > 0 ? (event.offset / span.durationMs) * 100 : 0}%`;
+            marker.title = event.time;
+            track.appendChild(marker);
+
+            // Event messages come from logs, so never render them as HTML
+            const item = document.createElement('li');
+            item.className = 'text-xs text-white/80 break-all';
+            item.textContent = [
+                `+${this.formatOffset(event.offset)}`,
+                event.tactics.length > 0 ? `[${event.tactics.join(', ')}]` : '',
+                event.message
+            ].filter(Boolean).join(' ');
+            list.appendChild(item);
+        });
+
+        section.style.display = 'block';
+    }
+
+    /**
+     * Fetches SLA timers from the background service and restarts the
+     * countdown
+     */
+    async refreshSlaTimers() {
+        try {
+            const response = await new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage({ type: 'GET_SLA_STATUS' }, result => {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        resolve(result);
+                    }
+                });
+            });
+
+            if (!response || response.error) {
+                throw new Error(response ? response.error : 'No response from background service');
+            }
+
+            this.state.slaTimers = response.timers;
+            this.state.slaFetchedAt = Date.now();
+        } catch (error) {
+            console.error('SLA status request failed:', error);
+            this.state.slaTimers = [];
+        }
+
+        clearInterval(this.slaTicker);
+        this.slaTicker = null;
+        this.renderSlaTimers();
+
+        if (this.state.slaTimers.some(timer => timer.remainingMs !== null)) {
+            this.slaTicker = setInterval(() => this.renderSlaTimers(), SLA_TICK_INTERVAL);
+        }
+    }
+
+    /**
+     * Draws one row per incident with a countdown for each running SLA
+     * clock. Remaining time is counted down locally from the last fetch.
+     */
+    renderSlaTimers() {
+        const section = this.elements.slaSection;
+        if (!section) {
+            return;
+        }
+
+        const list = section.querySelector('#sla-timer-list');
+        const elapsed = Date.now() - this.state.slaFetchedAt;
+        const byIncident = new Map();
+
+        this.state.slaTimers.forEach(timer => {
+            const timers = byIncident.get(timer.incidentId) || [];
+            timers.push(timer);
+            byIncident.set(timer.incidentId, timers);
+        });
+
+        list.innerHTML = '';
+        byIncident.forEach((timers, incidentId) => {
+            const item = document.createElement('li');
+            item.className = 'text-xs text-white/80';
+
+            const title = document.createElement('div');
+            title.className = `font-medium ${this.getSeverityClass(timers[0].severity)}`;
+            title.textContent = `${incidentId} (${timers[0].severity})`;
+            item.appendChild(title);
+
+            timers.forEach(timer => {
+                const row = document.createElement('div');
+                row.className = 'flex justify-between';
+
+                const label = document.createElement('span');
+                label.textContent = SLA_KIND_LABELS[timer.kind] || timer.kind;
+
+                const value = document.createElement('span');
+                if (timer.remainingMs === null) {
+                    value.textContent = timer.status === 'met' ? 'met' : `missed by ${this.formatOffset(timer.overdueMs)}`;
+                    value.className = timer.status === 'met' ? 'text-green-400' : 'text-red-500';
                 } else {
-                    resolve(response);
+                    const remaining = timer.remainingMs - elapsed;
+                    const warned = timer.dueAt - remaining >= timer.warnAt;
+                    value.textContent = remaining > 0
+                        ? this.formatOffset(remaining)
+                        : `overdue ${this.formatOffset(-remaining)}`;
+                    value.className = remaining <= 0 ? 'text-red-500' : warned ? 'text-yellow-400' : 'text-green-400';
                 }
+
+                row.appendChild(label);
+                row.appendChild(value);
+                item.appendChild(row);
             });
+
+            list.appendChild(item);
         });
+
+        section.style.display = byIncident.size > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Formats a millisecond offset as h:mm:ss
+     */
+    formatOffset(offsetMs) {
+        const totalSeconds = Math.floor(offsetMs / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+        return `${hours}:${minutes}:${seconds}`;
+    }
+
+    /**
+     * Maps a severity band to its text color
+     */
+    getSeverityClass(severity) {
+        switch (severity) {
+            case 'critical':
+                return 'text-red-500';
+            case 'high':
+                return 'text-orange-400';
+            case 'medium':
+                return 'text-yellow-400';
+            case 'low':
+                return 'text-green-400';
+            default:
+                return 'text-white/70';
+        }
     }
 
     /**
      * Updates the system status display
      */
-    updateSystemStatus(status) {
-        const statusIndicator = document.querySelector('.status-dot');
-        const statusText = document.querySelector('.text-green-400');
+    updateSystemStatus(report) {
+        const { status } = report;
+        const display = SYSTEM_STATUS_DISPLAY[status] || SYSTEM_STATUS_DISPLAY.error;
+        this.state.systemStatus = status;
 
-        if (status === 'optimal') {
-            statusIndicator.style.backgroundColor = '#4CAF50';
-            statusText.textContent = 'Guardian Active';
-        } else {
-            statusIndicator.style.backgroundColor = '#FFA726';
-            statusText.textContent = 'Guardian Alert';
+        this.elements.guardianIndicator.style.backgroundColor = status === 'optimal' ? '#4CAF50' : '#FFA726';
+        this.elements.guardianStatus.textContent = status === 'optimal' ? 'Guardian Active' : 'Guardian Alert';
+        this.elements.guardianStatus.className = `text-sm font-medium ${status === 'optimal' ? 'text-green-400' : 'text-orange-400'}`;
+
+        this.elements.systemStatusLabel.textContent = display.label;
+        this.elements.systemStatusLabel.className = `text-sm font-medium ${display.colorClass}`;
+        this.elements.systemStatusBar.style.width = `${report.score || 0}%`;
+
+        const details = [];
+        if (report.lastRunAt) {
+            details.push(`Last check ${this.formatOffset(Date.now() - Date.parse(report.lastRunAt))} ago`);
+        } else if (status !== 'error') {
+            details.push('Waiting for the first monitoring cycle');
         }
+        if (report.activeIncidents !== undefined) details.push(`${report.activeIncidents} active incident(s)`);
+        if (report.queue) details.push(`${report.queue.queued} queued alert(s)`);
+        if (report.overdue) details.push('monitoring cycle overdue');
+        if (report.errors && report.errors.length > 0) details.push(`${report.errors.length} error(s) in last cycle`);
+        if (report.error) details.push(report.error);
+        this.elements.systemStatusDetails.textContent = details.join(' · ');
     }
 
     /**
@@ -311,17 +990,48 @@ class TOADSagePopup {
     }
 
     /**
-     * Checks the system status with the background script
+     * Sends a request to the background service and resolves with its
+     * response, rejecting when the service fails or reports an error
+     */
+    sendBackgroundMessage(type, data) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ type, data }, response => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else if (!response || response.error) {
+                    reject(new Error(response ? response.error : 'No response from background service'));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
+    /**
+     * Checks the system status with the background script. Resolves with
+     * the monitoring health report, or an error status when the background
+     * service cannot be reached.
      */
     async checkSystemStatus() {
         try {
-            const response = await new Promise((resolve) => {
-                chrome.runtime.sendMessage({ type: 'CHECK_STATUS' }, resolve);
+            const response = await new Promise((resolve, reject) => {
+                chrome.runtime.sendMessage({ type: 'CHECK_STATUS' }, result => {
+                    if (chrome.runtime.lastError) {
+                        reject(chrome.runtime.lastError);
+                    } else {
+                        resolve(result);
+                    }
+                });
             });
-            return response.status;
+
+            if (!response || response.error) {
+                throw new Error(response ? response.error : 'No response from background service');
+            }
+
+            return response;
         } catch (error) {
             console.error('Status check failed:', error);
-            return 'error';
+            return { status: 'error', score: 0, error: error.message };
         }
     }
 
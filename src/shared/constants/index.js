@@ -0,0 +1,91 @@
+// src/shared/constants/index.js
+
+/**
+ * Minimum 0-100 scores for each severity band. Shared by triage scoring
+ * and the operational alert thresholds so both always agree.
+ */
+export const SEVERITY_THRESHOLDS = {
+    critical: 90,
+    high: 70,
+    medium: 50,
+    low: 30
+};
+
+// Severity bands from most to least severe; scores below `low` are informational
+export const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low', 'informational'];
+
+/**
+ * Enterprise ATT&CK tactics in kill-chain order, keyed by short name with
+ * their tactic IDs. Used to order observed activity along an attack.
+ */
+export const ATTACK_TACTICS = [
+    { id: 'TA0043', name: 'reconnaissance' },
+    { id: 'TA0042', name: 'resource-development' },
+    { id: 'TA0001', name: 'initial-access' },
+    { id: 'TA0002', name: 'execution' },
+    { id: 'TA0003', name: 'persistence' },
+    { id: 'TA0004', name: 'privilege-escalation' },
+    { id: 'TA0005', name: 'defense-evasion' },
+    { id: 'TA0006', name: 'credential-access' },
+    { id: 'TA0007', name: 'discovery' },
+    { id: 'TA0008', name: 'lateral-movement' },
+    { id: 'TA0009', name: 'collection' },
+    { id: 'TA0011', name: 'command-and-control' },
+    { id: 'TA0010', name: 'exfiltration' },
+    { id: 'TA0040', name: 'impact' }
+];
+
+/**
+ * Events published by SecurityOperations. The incident.* events describe
+ * incident lifecycle changes and carry the incident id and record.
+ */
+export const OPERATION_EVENTS = {
+    NEW_ALERT: 'newAlert',
+    STATUS_UPDATE: 'statusUpdate',
+    LEARNING_OPPORTUNITY: 'learningOpportunity',
+    RESPONSE_ACTION: 'responseAction',
+    INCIDENT_CREATED: 'incident.created',
+    INCIDENT_UPDATED: 'incident.updated',
+    INCIDENT_STATUS_CHANGED: 'incident.statusChanged',
+    INCIDENT_CLOSED: 'incident.closed',
+    INCIDENT_ESCALATED: 'incident.escalated',
+    SLA_WARNING: 'sla.warning',
+    SLA_BREACHED: 'sla.breached',
+    MONITORING_CYCLE: 'monitoring.cycle'
+};
+
+// Incident lifecycle states (see IncidentLifecycle for allowed transitions)
+export const INCIDENT_STATES = {
+    NEW: 'new',
+    TRIAGED: 'triaged',
+    INVESTIGATING: 'investigating',
+    CONTAINED: 'contained',
+    ERADICATED: 'eradicated',
+    RECOVERED: 'recovered',
+    CLOSED: 'closed',
+    FALSE_POSITIVE: 'false_positive'
+};
+
+/**
+ * Incident response phases in execution order, after NIST SP 800-61.
+ * Playbook steps declare one of these phases.
+ */
+export const RESPONSE_PHASES = [
+    'analysis',
+    'containment',
+    'eradication',
+    'recovery',
+    'post-incident'
+];
+
+/**
+ * Phases that must finish before a phase can start. Analysis and
+ * containment run side by side; the review waits for everything else.
+ */
+export const RESPONSE_PHASE_GATES = {
+    analysis: [],
+    containment: [],
+    eradication: ['containment'],
+    recovery: ['eradication'],
+    'post-incident': ['analysis', 'containment', 'eradication', 'recovery']
+};
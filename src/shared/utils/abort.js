@@ -0,0 +1,55 @@
+// src/shared/utils/abort.js
+
+/**
+ * Creates the error used when an AbortSignal cancels work. Reuses the
+ * signal's reason when it is already an error so callers see one
+ * consistent cause.
+ */
+export function createAbortError(signal) {
+    if (signal && signal.reason instanceof Error) {
+        return signal.reason;
+    }
+
+    const error = new Error('Analysis cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * True when an error represents a cancelled operation.
+ */
+export function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Throws an AbortError if the signal has been aborted.
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw createAbortError(signal);
+    }
+}
+
+/**
+ * Settles with the given promise, or rejects as soon as the signal aborts.
+ * The underlying work is not stopped, only no longer awaited.
+ */
+export function raceWithAbort(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    if (signal.aborted) {
+        return Promise.reject(createAbortError(signal));
+    }
+
+    let onAbort;
+    const aborted = new Promise((resolve, reject) => {
+        onAbort = () => reject(createAbortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return Promise.race([promise, aborted])
+        .finally(() => signal.removeEventListener('abort', onAbort));
+}
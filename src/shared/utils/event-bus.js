@@ -0,0 +1,134 @@
+// src/shared/utils/event-bus.js
+
+// Pattern that matches every event
+const MATCH_ALL = '*';
+
+/**
+ * EventBus provides publish/subscribe messaging between components.
+ *
+ * Event names are dot-separated, e.g. "incident.created". Subscriptions may
+ * use "*" to receive every event, or "*" in place of a single segment, e.g.
+ * "incident.*". Handlers receive `(payload, eventName)` and may be async;
+ * a failing handler is logged and never prevents other handlers from
+ * running or the emitter from continuing.
+ */
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribes to an event or pattern. Returns a function that removes
+     * the subscription.
+     */
+    on(pattern, handler) {
+        return this.addListener(pattern, handler, false);
+    }
+
+    /**
+     * Subscribes for a single delivery.
+     */
+    once(pattern, handler) {
+        return this.addListener(pattern, handler, true);
+    }
+
+    /**
+     * Removes a subscription. Without a handler, removes every subscription
+     * for the pattern.
+     */
+    off(pattern, handler) {
+        if (!handler) {
+            this.listeners.delete(pattern);
+            return;
+        }
+
+        this.removeListeners(pattern, listener => listener.handler === handler);
+    }
+
+    /**
+     * Delivers an event to every matching handler and waits for them to
+     * settle. Resolves with one `{ status, value | reason }` entry per
+     * handler that received the event.
+     */
+    async emit(eventName, payload) {
+        const listeners = this.getMatchingListeners(eventName);
+
+        // One-time listeners are removed before delivery so re-entrant emits skip them
+        listeners
+            .filter(({ listener }) => listener.once)
+            .forEach(({ pattern, listener }) => this.removeListeners(pattern, entry => entry === listener));
+
+        return Promise.all(listeners.map(async ({ pattern, listener }) => {
+            try {
+                return { status: 'fulfilled', value: await listener.handler(payload, eventName) };
+            } catch (error) {
+                console.error(`Handler for ${pattern} failed on ${eventName}:`, error);
+                return { status: 'rejected', reason: error };
+            }
+        }));
+    }
+
+    /**
+     * Counts the handlers that would receive an event.
+     */
+    listenerCount(eventName) {
+        return this.getMatchingListeners(eventName).length;
+    }
+
+    addListener(pattern, handler, once) {
+        if (typeof pattern !== 'string' || !pattern) {
+            throw new Error('Event name must be a non-empty string');
+        }
+
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for ${pattern} must be a function`);
+        }
+
+        const listener = { handler, once };
+        const listeners = this.listeners.get(pattern) || [];
+        listeners.push(listener);
+        this.listeners.set(pattern, listeners);
+
+        return () => this.removeListeners(pattern, entry => entry === listener);
+    }
+
+    removeListeners(pattern, predicate) {
+        const listeners = (this.listeners.get(pattern) || [])
+            .filter(listener => !predicate(listener));
+
+        if (listeners.length > 0) {
+            this.listeners.set(pattern, listeners);
+        } else {
+            this.listeners.delete(pattern);
+        }
+    }
+
+    getMatchingListeners(eventName) {
+        const matches = [];
+
+        this.listeners.forEach((listeners, pattern) => {
+            if (this.matches(pattern, eventName)) {
+                listeners.forEach(listener => matches.push({ pattern, listener }));
+            }
+        });
+
+        return matches;
+    }
+
+    /**
+     * Checks an event name against a subscription pattern.
+     */
+    matches(pattern, eventName) {
+        if (pattern === MATCH_ALL || pattern === eventName) {
+            return true;
+        }
+
+        const patternSegments = pattern.split('.');
+        const eventSegments = eventName.split('.');
+
+        return patternSegments.length === eventSegments.length &&
+            patternSegments.every((segment, index) => segment === '*' || segment === eventSegments[index]);
+    }
+}
+
+export default EventBus;
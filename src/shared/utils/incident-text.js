@@ -0,0 +1,94 @@
+// src/shared/utils/incident-text.js
+
+// Fields that may carry free-form incident text, in the order they are read
+const INCIDENT_TEXT_FIELDS = [
+    'title',
+    'summary',
+    'description',
+    'details',
+    'incident',
+    'raw',
+    'rawLog',
+    'message'
+];
+
+// Fields read from each entry of an incident's event list
+const EVENT_TEXT_FIELDS = ['message', 'description', 'commandLine'];
+
+/**
+ * Flattens an incident into a single block of analyzable text.
+ * Incidents arrive either as plain strings (pasted into the popup) or as
+ * objects from alert sources; offsets reported by text-based analysis are
+ * relative to the string returned here.
+ */
+export function getIncidentText(incident) {
+    if (!incident) {
+        return '';
+    }
+
+    if (typeof incident === 'string') {
+        return incident;
+    }
+
+    const parts = [];
+
+    for (const field of INCIDENT_TEXT_FIELDS) {
+        const value = incident[field];
+        if (typeof value === 'string') {
+            parts.push(value);
+        } else if (value && typeof value === 'object' && field === 'incident') {
+            // The popup wraps pasted text as { incident: '...' }
+            parts.push(getIncidentText(value));
+        }
+    }
+
+    if (Array.isArray(incident.events)) {
+        incident.events.forEach(event => {
+            EVENT_TEXT_FIELDS.forEach(field => {
+                if (event && typeof event[field] === 'string') {
+                    parts.push(event[field]);
+                }
+            });
+        });
+    }
+
+    return parts.filter(Boolean).join('\n');
+}
+
+/**
+ * Collects the hostnames an incident names explicitly, from its `host` and
+ * `hosts` fields and the hosts of its events.
+ */
+export function getIncidentHosts(incident) {
+    if (!incident || typeof incident !== 'object') {
+        return [];
+    }
+
+    const events = Array.isArray(incident.events) ? incident.events : [];
+    const hosts = [
+        incident.host,
+        ...(Array.isArray(incident.hosts) ? incident.hosts : []),
+        ...events.map(event => event && (event.host || event.hostname))
+    ];
+
+    return Array.from(new Set(hosts.filter(host => typeof host === 'string' && host)));
+}
+
+/**
+ * Collects the user accounts an incident names explicitly, from its `user`
+ * and `users` fields and the users of its events.
+ */
+export function getIncidentUsers(incident) {
+    if (!incident || typeof incident !== 'object') {
+        return [];
+    }
+
+    const events = Array.isArray(incident.events) ? incident.events : [];
+    const users = [
+        incident.user,
+        ...(Array.isArray(incident.users) ? incident.users : []),
+        ...events.map(event => event && (event.user || event.username))
+    ];
+
+    return Array.from(new Set(users.filter(user => typeof user === 'string' && user)));
+}